@@ -0,0 +1,152 @@
+/**
+ * AI Tab Assistant - Citations
+ * 
+ * Finds text the model cited on the page, highlights it for a few seconds
+ * and scrolls it into view. The search is injected into every frame on its
+ * own, so clicking a citation doesn't leave the content script running in
+ * embedded frames.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+/**
+ * Injected into each frame: look for the text, ignoring whitespace, case
+ * and quote styles, and when highlight is set wrap it in a temporary mark
+ * and scroll to it. Returns true if the frame has the text.
+ */
+function findOnPage(text, highlight) {
+  const CLEAR = '__aiTabAssistantClearHighlight';
+  const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA']);
+
+  // How long a cited span stays highlighted
+  const HIGHLIGHT_DURATION = 4000;
+
+  // Quotes come back from the model with typographic quotes, dashes and
+  // spacing that may differ from the page; compare without them
+  const normalizeChar = (c) => {
+    if (/[‘’‚‛′`]/.test(c)) return "'";
+    if (/[“”„‟″«»]/.test(c)) return '"';
+    if (/[‐‑‒–—―−]/.test(c)) return '-';
+    return c.toLowerCase();
+  };
+
+  // Text nodes in reading order, including those in open shadow roots
+  const collectTextNodes = (root, nodes = []) => {
+    for (let node = root.firstChild; node; node = node.nextSibling) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (node.data.trim()) nodes.push(node);
+      } else if (node.nodeType === Node.ELEMENT_NODE && !SKIPPED_TAGS.has(node.tagName)) {
+        if (node.shadowRoot) collectTextNodes(node.shadowRoot, nodes);
+        collectTextNodes(node, nodes);
+      }
+    }
+    return nodes;
+  };
+
+  const needle = Array.from(text.replace(/\s+/g, ''), normalizeChar).join('');
+  if (!needle || !document.body) return false;
+
+  // One string of every non-space character, remembering where each came from
+  const nodes = collectTextNodes(document.body);
+  let haystack = '';
+  const origins = [];
+  nodes.forEach((node, n) => {
+    for (let i = 0; i < node.data.length; i++) {
+      if (/\s/.test(node.data[i])) continue;
+      haystack += normalizeChar(node.data[i]);
+      origins.push(n, i);
+    }
+  });
+
+  const index = haystack.indexOf(needle);
+  if (index === -1) return false;
+  if (!highlight) return true;
+
+  const segments = [];
+  for (let k = index; k < index + needle.length; k++) {
+    const node = nodes[origins[k * 2]];
+    const offset = origins[k * 2 + 1];
+    const last = segments[segments.length - 1];
+    if (last?.node === node) last.end = offset + 1;
+    else segments.push({ node, start: offset, end: offset + 1 });
+  }
+
+  // Wrap each piece in a mark; the restore function puts the text node
+  // back exactly as it was, so frameworks that own the text don't notice
+  const wrapText = ({ node, start, end }) => {
+    const original = node.data;
+    const created = [];
+    let target = node;
+    if (start > 0) {
+      target = target.splitText(start);
+      created.push(target);
+    }
+    if (end - start < target.data.length) created.push(target.splitText(end - start));
+
+    const mark = document.createElement('mark');
+    mark.style.cssText = 'background: #fde047 !important; color: #111 !important; border-radius: 2px; ' +
+      'box-shadow: 0 0 0 2px #fde047; transition: background 0.3s;';
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+
+    return () => {
+      if (mark.parentNode) mark.replaceWith(target);
+      created.forEach(piece => piece.remove());
+      node.data = original;
+    };
+  };
+
+  window[CLEAR]?.();
+  const restores = segments.map(wrapText);
+  const timer = setTimeout(() => window[CLEAR]?.(), HIGHLIGHT_DURATION);
+  window[CLEAR] = () => {
+    clearTimeout(timer);
+    restores.forEach(restore => restore());
+    window[CLEAR] = null;
+  };
+
+  segments[0].node.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  return true;
+}
+
+/**
+ * Highlight cited text in the tab and scroll to it
+ * Every frame is searched; the text is highlighted in the top frame if it
+ * has it, otherwise in the first frame that does. Resolves with { found }.
+ */
+export async function highlightCitation(tabId, text) {
+  if (!tabId || !text) return { found: false };
+
+  const results = await chrome.scripting.executeScript({
+    target: { tabId, allFrames: true },
+    args: [text, false],
+    func: findOnPage
+  }).catch(() => []);
+
+  // Restricted frames (chrome:// pages, the Web Store) have no result
+  const matches = results.filter(entry => entry?.result === true).map(entry => entry.frameId);
+  if (matches.length === 0) return { found: false };
+
+  const frameId = matches.includes(0) ? 0 : matches[0];
+  const [highlighted] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    args: [text, true],
+    func: findOnPage
+  }).catch(() => []);
+  return { found: highlighted?.result === true };
+}
@@ -0,0 +1,113 @@
+/**
+ * AI Tab Assistant - Computation Tool
+ * 
+ * The run_javascript tool the model can call to do exact arithmetic over
+ * the extracted tables and metrics. The code itself runs in the side panel's
+ * sandboxed page (no network, no extension APIs); this module describes the
+ * tool, prepares the data the code sees and formats results for the model.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+// Tool-call rounds allowed per answer before the model must reply in text
+export const MAX_TOOL_ROUNDS = 5;
+
+// Longest tool output returned to the model
+const MAX_RESULT_CHARS = 8000;
+
+export const COMPUTE_TOOL = {
+  name: 'run_javascript',
+  description: `Run JavaScript over the data extracted from the current page and get the result back. Use it for any sum, count, average, filter, ranking or percent change over table data instead of calculating yourself.
+
+The code is the body of a function: return the result (it must be JSON-serializable); console.log output is returned as well. There is no DOM or network access. Globals:
+- tables: [{ index, caption, columns: [{ name, type }], rows: [{ <column name>: value }] }]. Values are normalized by column type: number, percent (12.5 for "12.5%") and currency columns hold numbers, date columns "YYYY-MM-DD" strings, text columns strings; empty cells are null. Rows include every captured row, not just those shown in the prompt.
+- metrics: [{ label, value }] with values as displayed on the page.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      code: {
+        type: 'string',
+        description: 'JavaScript function body, e.g. return tables[0].rows.filter(r => r.Query.includes("pricing")).reduce((sum, r) => sum + r.Clicks, 0);'
+      }
+    },
+    required: ['code']
+  }
+};
+
+/**
+ * Make column names usable as object keys, suffixing duplicates
+ */
+function uniqueNames(columns) {
+  const seen = new Map();
+  return columns.map(column => {
+    const count = (seen.get(column.name) || 0) + 1;
+    seen.set(column.name, count);
+    return count > 1 ? `${column.name} (${count})` : column.name;
+  });
+}
+
+/**
+ * Build the tables and metrics globals for the sandbox from extracted page data
+ */
+export function buildComputeData(data) {
+  const tables = (data?.tables || []).map((table, index) => {
+    const columns = table.columns || [];
+    const names = uniqueNames(columns);
+    return {
+      index,
+      caption: table.caption || '',
+      columns: columns.map((column, i) => ({
+        name: names[i],
+        type: column.type,
+        ...(column.currency ? { currency: column.currency } : {})
+      })),
+      rows: (table.values || []).map(row => Object.fromEntries(names.map((name, i) => [name, row[i] ?? null])))
+    };
+  });
+
+  return {
+    tables,
+    metrics: (data?.metrics || []).map(({ label, value }) => ({ label, value }))
+  };
+}
+
+/**
+ * Read the code argument of a run_javascript call
+ */
+export function getToolCode(call) {
+  const args = call.arguments || {};
+  return typeof args.code === 'string' ? args.code : (args._raw || '');
+}
+
+/**
+ * Format a sandbox run ({ result, logs, error }) as the tool result text
+ */
+export function formatToolResult(run) {
+  const parts = [];
+  if (run.logs?.length) parts.push(`Console output:\n${run.logs.join('\n')}`);
+  if (run.error) {
+    parts.push(`Error: ${run.error}`);
+  } else {
+    parts.push(`Result: ${run.result === undefined ? 'undefined (nothing returned)' : run.result}`);
+  }
+
+  const text = parts.join('\n\n');
+  return text.length > MAX_RESULT_CHARS
+    ? `${text.slice(0, MAX_RESULT_CHARS)}\n[Output truncated - return a smaller result]`
+    : text;
+}
@@ -0,0 +1,60 @@
+/**
+ * AI Tab Assistant - Context Menus
+ * 
+ * Right-click entries for selections, links, images and the page. Each one
+ * opens the side panel with its prompt filled in and what it's about
+ * attached; the message then goes through the usual chat port.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+// Menu entries and the prompt each one fills in
+export const MENU_ITEMS = [
+  { id: 'ask-selection', title: 'Ask about selection', contexts: ['selection'], prompt: 'Explain the selected text.' },
+  { id: 'summarize-link', title: 'Summarize linked page', contexts: ['link'], prompt: 'Summarize the linked page.' },
+  { id: 'describe-image', title: 'Describe image', contexts: ['image'], prompt: 'Describe this image.' },
+  { id: 'summarize-page', title: 'Summarize this page', contexts: ['page'], prompt: 'Summarize this page.' }
+];
+
+/**
+ * Create the menu entries, replacing any from an earlier version
+ */
+export async function createContextMenus() {
+  await chrome.contextMenus.removeAll();
+  MENU_ITEMS.forEach(({ id, title, contexts }) => chrome.contextMenus.create({ id, title, contexts }));
+}
+
+/**
+ * What the side panel needs for a menu click
+ * Returns { prompt } plus the selection ({ text, heading, section }) or the
+ * URL of the link or image, or null for a menu item that isn't ours.
+ */
+export function buildMenuRequest(info) {
+  const item = MENU_ITEMS.find(entry => entry.id === info.menuItemId);
+  if (!item) return null;
+
+  const request = { prompt: item.prompt };
+  if (item.id === 'ask-selection') {
+    request.selection = { text: info.selectionText || '', heading: '', section: '' };
+  } else if (item.id === 'summarize-link') {
+    request.url = info.linkUrl;
+  } else if (item.id === 'describe-image') {
+    request.url = info.srcUrl;
+  }
+  return request;
+}
@@ -0,0 +1,141 @@
+/**
+ * AI Tab Assistant - Context Packer
+ * 
+ * Fits extracted page sections and attachments into the token budget left
+ * over by the selected model's context window, response limit and
+ * conversation history. Sections are kept in priority order, truncated when
+ * only part fits, and everything left out is reported back to the panel.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { countTokens, truncateToTokens } from '../shared/tokenizer.js';
+
+// Tokenizer estimates aren't exact: keep some of the window in reserve
+const SAFETY_MARGIN = 0.05;
+const MIN_SAFETY_TOKENS = 256;
+
+// Don't bother keeping a sliver of a section smaller than this
+const MIN_PARTIAL_TOKENS = 120;
+
+const TRUNCATION_NOTE = '[... truncated to fit the context window]';
+const TRUNCATION_NOTE_TOKENS = countTokens(TRUNCATION_NOTE) + 1;
+
+/**
+ * Work out how many prompt tokens are left for page context
+ * fixedTokens covers everything that must be sent regardless: system
+ * prompt, conversation history and the user's message.
+ */
+export function computeContextBudget({ contextWindow, outputTokens, fixedTokens }) {
+  const reserve = Math.max(MIN_SAFETY_TOKENS, Math.round(contextWindow * SAFETY_MARGIN));
+  return Math.max(0, contextWindow - outputTokens - reserve - fixedTokens);
+}
+
+/**
+ * Join sections into context text, printing each heading once before the
+ * first section that uses it
+ */
+export function renderSections(sections) {
+  let text = '';
+  let lastHeading = null;
+  for (const section of sections) {
+    if (section.heading && section.heading !== lastHeading) {
+      text += `${section.heading}\n`;
+      lastHeading = section.heading;
+    }
+    text += `${section.text}\n\n`;
+  }
+  return text;
+}
+
+/**
+ * Pack sections into the budget, best-ranked first
+ * Sections are { id, title, heading, rank, text } in display order; a lower
+ * rank is more important. Returns { text, kept, report }: the packed text in
+ * display order, the kept sections with their (possibly truncated) text,
+ * and a report listing every section's fate. Sections sharing a group (the
+ * parts of one document) are kept as a run from the group's first section:
+ * once one doesn't fit, the group's later sections are dropped, and only
+ * the first may be truncated.
+ */
+export function packSections(sections, budget) {
+  const entries = sections.map((section, order) => ({
+    ...section,
+    order,
+    tokens: countTokens(section.text),
+    keptText: '',
+    keptTokens: 0,
+    status: 'dropped'
+  }));
+
+  let remaining = budget;
+  const byRank = [...entries].sort((a, b) => a.rank - b.rank || a.order - b.order);
+  const startedGroups = new Set();
+  const closedGroups = new Set();
+
+  for (const entry of byRank) {
+    const grouped = entry.group !== undefined;
+    if (grouped && closedGroups.has(entry.group)) continue;
+    const first = !grouped || !startedGroups.has(entry.group);
+    if (grouped) startedGroups.add(entry.group);
+
+    if (entry.tokens <= remaining) {
+      entry.keptText = entry.text;
+      entry.keptTokens = entry.tokens;
+      entry.status = 'included';
+    } else if (remaining >= MIN_PARTIAL_TOKENS && first) {
+      const { text } = truncateToTokens(entry.text, remaining - TRUNCATION_NOTE_TOKENS);
+      entry.keptText = `${text}\n${TRUNCATION_NOTE}`;
+      entry.keptTokens = countTokens(entry.keptText);
+      entry.status = 'truncated';
+      if (grouped) closedGroups.add(entry.group);
+    } else {
+      if (grouped) closedGroups.add(entry.group);
+      continue;
+    }
+    remaining -= entry.keptTokens;
+  }
+
+  const kept = entries
+    .filter(entry => entry.status !== 'dropped')
+    .map(entry => ({ ...entry, text: entry.keptText }));
+
+  return {
+    text: renderSections(kept),
+    kept,
+    report: {
+      budget,
+      used: budget - remaining,
+      sections: entries.map(({ id, title, tokens, keptTokens, status }) => ({ id, title, tokens, keptTokens, status }))
+    }
+  };
+}
+
+/**
+ * Describe what was left out, for the model and the panel
+ * Returns an empty string when everything fit.
+ */
+export function describeOmissions(report) {
+  const dropped = report.sections.filter(s => s.status === 'dropped').map(s => s.title);
+  const truncated = report.sections.filter(s => s.status === 'truncated').map(s => s.title);
+
+  const parts = [];
+  if (truncated.length) parts.push(`truncated: ${truncated.join(', ')}`);
+  if (dropped.length) parts.push(`omitted: ${dropped.join(', ')}`);
+  return parts.join('; ');
+}
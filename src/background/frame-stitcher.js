@@ -0,0 +1,223 @@
+/**
+ * AI Tab Assistant - Frame Stitching
+ * 
+ * Combines the extraction results of every frame in a tab into one page.
+ * Each iframe's content is put back where the iframe sits in its parent,
+ * labelled with the frame URL, and the frame tree is kept for the context
+ * summary.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+// Cap on child frames stitched into one page; ad-heavy pages embed dozens
+const MAX_FRAMES = 20;
+
+// Child frames with less text than this and no tables or metrics are left
+// out (trackers, ad slots, empty widgets)
+const MIN_FRAME_TEXT = 20;
+
+// Placeholder toMarkdown leaves where an iframe sits
+const SLOT_PATTERN = /\[\[FRAME (\d+)\]\]/g;
+
+// Per-frame lists appended to the parent's
+const LIST_FIELDS = ['headings', 'metrics', 'chartData', 'forms', 'links', 'lists', 'dataAttributes'];
+
+// Frame tree status shown next to each frame URL
+const STATUS_LABELS = {
+  page: '',
+  included: '',
+  empty: ' (no content)',
+  unreadable: ' (not readable)',
+  skipped: ' (skipped: frame limit)'
+};
+
+/**
+ * Check if a frame's extraction is worth stitching in
+ */
+function hasContent(data) {
+  if (!data || data.hidden) return false;
+  return (data.mainContent || '').trim().length >= MIN_FRAME_TEXT ||
+    data.tables?.length > 0 ||
+    data.metrics?.length > 0;
+}
+
+/**
+ * Pair child frames with the iframe slots their parent recorded: by
+ * window name, then by URL, then in document order. Returns a Map of
+ * child -> slot index; unpaired children are appended to the parent.
+ */
+function assignSlots(slots, children) {
+  const free = [...slots];
+  const placement = new Map();
+
+  const take = (child, matches) => {
+    if (placement.has(child)) return;
+    const i = free.findIndex(matches);
+    if (i >= 0) placement.set(child, free.splice(i, 1)[0].index);
+  };
+
+  children.forEach(child => child.name && take(child, slot => slot.name === child.name));
+  children.forEach(child => take(child, slot => slot.src === child.url));
+  children.forEach(child => take(child, () => true));
+
+  return placement;
+}
+
+/**
+ * Label a child frame's content with its URL
+ */
+function frameBlock(data) {
+  const label = data.title ? `${data.title} - ${data.url}` : data.url;
+  return `[Embedded frame: ${label}]\n\n${(data.mainContent || '').trim()}\n\n[End of embedded frame]`;
+}
+
+/**
+ * Append a child frame's tables, lists and text to its parent
+ */
+function mergeFrameData(parent, child) {
+  parent.tables = [
+    ...(parent.tables || []),
+    ...(child.tables || []).map(table => ({ ...table, frame: table.frame || child.url }))
+  ];
+
+  LIST_FIELDS.forEach(field => {
+    parent[field] = [...(parent[field] || []), ...(child[field] || [])];
+  });
+
+  ['allVisibleText', 'boilerplateText'].forEach(field => {
+    parent[field] = [parent[field], child[field]].filter(Boolean).join('\n\n');
+  });
+
+  if (!parent.selectedText && child.selectedText) {
+    parent.selectedText = child.selectedText;
+  }
+}
+
+/**
+ * Stitch per-frame extraction results into the top frame's data
+ * results are chrome.scripting injection results ({ frameId, result });
+ * frames is chrome.webNavigation.getAllFrames() output, used for the
+ * parent/child structure. Without it, every child hangs off the top frame.
+ */
+export function stitchFrames(results, frames = []) {
+  const dataById = new Map((results || [])
+    .filter(entry => entry?.result)
+    .map(entry => [entry.frameId, entry.result]));
+
+  const top = dataById.get(0);
+  if (!top) return null;
+
+  const frameInfo = new Map(frames.map(frame => [frame.frameId, frame]));
+  if (frameInfo.size === 0) {
+    dataById.forEach((data, frameId) => {
+      frameInfo.set(frameId, { frameId, parentFrameId: frameId === 0 ? -1 : 0, url: data.url });
+    });
+  }
+
+  const parentOf = (frameId) => frameInfo.get(frameId)?.parentFrameId ?? 0;
+
+  // Frames under an unreadable frame are stitched into the nearest readable ancestor
+  const readableAncestor = (frameId) => {
+    let parent = parentOf(frameId);
+    while (parent > 0 && !dataById.has(parent)) parent = parentOf(parent);
+    return Math.max(parent, 0);
+  };
+
+  const status = new Map([[0, 'page']]);
+  const children = new Map();
+  let stitched = 0;
+
+  [...frameInfo.keys()].filter(id => id !== 0).sort((a, b) => a - b).forEach(frameId => {
+    const data = dataById.get(frameId);
+    if (!data) {
+      status.set(frameId, 'unreadable');
+    } else if (!hasContent(data)) {
+      status.set(frameId, 'empty');
+    } else if (stitched >= MAX_FRAMES) {
+      status.set(frameId, 'skipped');
+    } else {
+      stitched++;
+      status.set(frameId, 'included');
+      const parent = readableAncestor(frameId);
+      children.set(parent, [...(children.get(parent) || []), frameId]);
+    }
+  });
+
+  const stitch = (frameId) => {
+    const { frameSlots, frameName, hidden, ...data } = dataById.get(frameId);
+    const kids = (children.get(frameId) || []).map(id => ({
+      id,
+      url: frameInfo.get(id)?.url || dataById.get(id).url,
+      name: dataById.get(id).frameName
+    }));
+    const placement = assignSlots(frameSlots || [], kids);
+
+    const blocks = new Map();
+    const appended = [];
+    kids.forEach(kid => {
+      const child = stitch(kid.id);
+      mergeFrameData(data, child);
+      if (placement.has(kid)) {
+        blocks.set(placement.get(kid), frameBlock(child));
+      } else {
+        appended.push(frameBlock(child));
+      }
+    });
+
+    data.mainContent = [
+      (data.mainContent || '').replace(SLOT_PATTERN, (match, index) => blocks.get(Number(index)) || ''),
+      ...appended
+    ].join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    return data;
+  };
+
+  const page = stitch(0);
+
+  // Frame tree in document order, depth-first
+  const tree = [];
+  const walk = (frameId, depth) => {
+    const info = frameInfo.get(frameId);
+    const data = dataById.get(frameId);
+    tree.push({
+      url: info?.url || data?.url || '',
+      title: data?.title || '',
+      depth,
+      status: status.get(frameId) || 'unreadable',
+      tables: data?.tables?.length || 0
+    });
+    [...frameInfo.values()]
+      .filter(frame => frame.parentFrameId === frameId)
+      .sort((a, b) => a.frameId - b.frameId)
+      .forEach(frame => walk(frame.frameId, depth + 1));
+  };
+  walk(0, 0);
+
+  page.frames = tree;
+  return page;
+}
+
+/**
+ * Render the frame tree as an indented list for the context summary
+ */
+export function formatFrameTree(frames) {
+  return frames.map(frame => {
+    const tables = frame.tables > 0 ? ` - ${frame.tables} table${frame.tables === 1 ? '' : 's'}` : '';
+    return `${'  '.repeat(frame.depth + 1)}• ${frame.url}${STATUS_LABELS[frame.status] ?? ''}${tables}`;
+  }).join('\n');
+}
@@ -0,0 +1,293 @@
+/**
+ * AI Tab Assistant - Full-Page Capture
+ * 
+ * Opt-in capture for infinite-scroll pages and virtualized grids, which
+ * only render the rows in view. The page and its scroll containers are
+ * scrolled step by step, tables and lists are re-extracted at each step and
+ * rows are merged by key until the end of the page, a row cap or a time
+ * limit is reached. The pagination crawler collects rows the same way.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+// Total rows kept across all captured tables
+export const MAX_CAPTURE_ROWS = 5000;
+
+// Give up after this long, keeping what was captured
+const CAPTURE_TIME_LIMIT = 90000;
+
+// Wait for virtualized grids and lazy loaders to render after each scroll
+const STEP_DELAY = 600;
+
+// Stop once nothing has scrolled for this many steps in a row (the second
+// step gives infinite-scroll pages a chance to load more)
+const MAX_IDLE_STEPS = 2;
+
+const MAX_LIST_ITEMS = 500;
+
+// Why a capture stopped, for the context summary
+const STOP_REASONS = {
+  end: 'reached the end of the page',
+  lastPage: 'reached the last page',
+  pages: 'page limit reached',
+  rows: 'row limit reached',
+  time: 'time limit reached',
+  cancelled: 'stopped by user'
+};
+
+/**
+ * Injected into the page: scroll the document and its scroll containers
+ * one step. 'start' records the scroll containers and their positions,
+ * 'step' scrolls each by most of its height, 'restore' puts them back.
+ */
+function scrollPage(mode) {
+  const STATE = '__aiTabAssistantCapture';
+
+  if (mode === 'start') {
+    const scrollers = [document.scrollingElement || document.documentElement];
+    const visit = (root) => {
+      root.querySelectorAll('*').forEach(el => {
+        if (el.shadowRoot) visit(el.shadowRoot);
+        if (el.scrollHeight <= el.clientHeight + 20 || el.clientHeight < 100 || el.clientWidth < 100) return;
+        const overflow = window.getComputedStyle(el).overflowY;
+        if (['auto', 'scroll', 'overlay'].includes(overflow)) scrollers.push(el);
+      });
+    };
+    visit(document);
+
+    // The largest containers hold the data; ignore small dropdowns and code blocks
+    const [page, ...containers] = scrollers;
+    containers.sort((a, b) => b.clientWidth * b.clientHeight - a.clientWidth * a.clientHeight);
+    window[STATE] = [page, ...containers.slice(0, 10)].map(el => ({ el, top: el.scrollTop }));
+    return { scrollers: window[STATE].length };
+  }
+
+  const state = window[STATE] || [];
+
+  if (mode === 'restore') {
+    state.forEach(({ el, top }) => { el.scrollTop = top; });
+    delete window[STATE];
+    return { scrollers: state.length };
+  }
+
+  let moved = false;
+  const fractions = state.filter(({ el }) => el.isConnected).map(({ el }) => {
+    const before = el.scrollTop;
+    el.scrollTop = before + Math.max(el.clientHeight * 0.8, 100);
+    if (el.scrollTop > before + 1) moved = true;
+    return el.scrollHeight > 0 ? Math.min(1, (el.scrollTop + el.clientHeight) / el.scrollHeight) : 1;
+  });
+
+  // The container furthest from its end decides how far along we are
+  return { moved, progress: fractions.length > 0 ? Math.min(...fractions) : 1 };
+}
+
+/**
+ * Identify the same table across scroll steps
+ */
+function tableKey(table) {
+  return [table.frame || '', table.source || '', table.caption || '', (table.headers || []).join('|')].join('\n');
+}
+
+/**
+ * Identify a row; virtualized grids re-render the same rows as they scroll
+ */
+function rowKey(row) {
+  return row.join('\u0001');
+}
+
+/**
+ * Start an empty capture for addToCapture
+ */
+export function createCapture() {
+  return { tables: new Map(), lists: [], rows: 0, truncated: false };
+}
+
+/**
+ * Merge one step's (or page's) tables and lists into the capture
+ * Returns the number of new rows added.
+ */
+export function addToCapture(capture, data) {
+  let added = 0;
+
+  (data?.tables || []).forEach(table => {
+    const key = tableKey(table);
+    let entry = capture.tables.get(key);
+    if (!entry) {
+      entry = { table: { ...table, rows: [] }, seen: new Set() };
+      capture.tables.set(key, entry);
+    }
+
+    for (const row of table.rows || []) {
+      const id = rowKey(row);
+      if (entry.seen.has(id)) continue;
+      if (capture.rows >= MAX_CAPTURE_ROWS) {
+        capture.truncated = true;
+        break;
+      }
+      entry.seen.add(id);
+      entry.table.rows.push(row);
+      capture.rows++;
+      added++;
+    }
+  });
+
+  (data?.lists || []).forEach(list => {
+    // Lists have no stable identity; one sharing an item is the same list
+    const existing = capture.lists.find(entry => list.items.some(item => entry.seen.has(item)));
+    const entry = existing || { list: { ...list, items: [] }, seen: new Set() };
+    if (!existing) capture.lists.push(entry);
+
+    list.items.forEach(item => {
+      if (entry.seen.has(item) || entry.list.items.length >= MAX_LIST_ITEMS) return;
+      entry.seen.add(item);
+      entry.list.items.push(item);
+    });
+  });
+
+  return added;
+}
+
+/**
+ * Final tables and lists of a capture, with info for the context summary
+ */
+export function captureResult(capture, info) {
+  return {
+    tables: [...capture.tables.values()].map(entry => entry.table),
+    lists: capture.lists.map(entry => entry.list),
+    info: { ...info, rows: capture.rows, tables: capture.tables.size }
+  };
+}
+
+/**
+ * Wait between steps; resolves early when cancelled
+ */
+export function wait(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Scroll through a tab, collecting every table row and list item rendered
+ * along the way. extract() returns the tables and lists currently in the
+ * page. Cancelling keeps what was captured so far.
+ * Returns { tables, lists, info: { steps, rows, tables, elapsed, stopped } }.
+ */
+export async function captureFullPage(tabId, { extract, onProgress, signal } = {}) {
+  const run = async (mode) => {
+    const [result] = await chrome.scripting.executeScript({ target: { tabId }, args: [mode], func: scrollPage });
+    return result?.result || {};
+  };
+
+  const started = Date.now();
+  const capture = createCapture();
+  let steps = 0;
+  let idle = 0;
+  let stopped = 'end';
+
+  await run('start');
+
+  try {
+    addToCapture(capture, await extract());
+
+    while (true) {
+      if (signal?.aborted) {
+        stopped = 'cancelled';
+        break;
+      }
+      if (capture.truncated) {
+        stopped = 'rows';
+        break;
+      }
+      if (Date.now() - started > CAPTURE_TIME_LIMIT) {
+        stopped = 'time';
+        break;
+      }
+
+      const { moved, progress } = await run('step');
+      steps++;
+      idle = moved ? 0 : idle + 1;
+      if (idle >= MAX_IDLE_STEPS) break;
+
+      await wait(STEP_DELAY, signal);
+      if (signal?.aborted) continue;
+
+      const added = addToCapture(capture, await extract());
+      onProgress?.({
+        step: steps,
+        progress: moved ? progress : 1,
+        added,
+        rows: capture.rows,
+        tables: capture.tables.size,
+        elapsed: Date.now() - started
+      });
+    }
+  } finally {
+    await run('restore').catch(() => {});
+  }
+
+  return captureResult(capture, { mode: 'scroll', steps, elapsed: Date.now() - started, stopped });
+}
+
+/**
+ * Put captured tables and lists into freshly extracted page data
+ * Captured tables replace the partial ones they grew from.
+ */
+export function applyCapture(data, capture) {
+  const captured = new Map(capture.tables.map(table => [tableKey(table), table]));
+
+  const tables = (data.tables || []).map(table => {
+    const full = captured.get(tableKey(table));
+    if (!full) return table;
+    captured.delete(tableKey(table));
+    return full.rows.length > (table.rows?.length || 0) ? { ...full, capturedRows: full.rows.length } : table;
+  });
+
+  const lists = (data.lists || []).filter(list =>
+    !capture.lists.some(full => list.items.every(item => full.items.includes(item))));
+
+  return {
+    ...data,
+    tables: [...tables, ...[...captured.values()].map(table => ({ ...table, capturedRows: table.rows.length }))],
+    lists: [...capture.lists, ...lists],
+    capture: capture.info
+  };
+}
+
+/**
+ * Describe a capture for the context summary
+ */
+export function describeCapture(info) {
+  const tables = `${info.rows.toLocaleString()} rows in ${info.tables} table${info.tables === 1 ? '' : 's'}`;
+  const reason = STOP_REASONS[info.stopped] || info.stopped;
+
+  if (info.mode === 'pages') {
+    const total = info.reportedTotal ? `; the page reports ${info.reportedTotal.toLocaleString()} rows in total` : '';
+    return `${tables} across ${info.pages} page${info.pages === 1 ? '' : 's'} (${reason}${total})`;
+  }
+  return `${tables} over ${info.steps} scroll steps (${reason})`;
+}
@@ -0,0 +1,72 @@
+/**
+ * AI Tab Assistant - Page Scopes
+ * 
+ * Element scopes picked with the panel's element picker, remembered per URL
+ * pattern. A page with a scope only has the picked element (and the shadow
+ * roots inside it) read for the assistant.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { matchesUrlPattern } from '../shared/site-extractors.js';
+
+/**
+ * URL pattern a scope is remembered under: the page without its query or hash
+ */
+export function scopePattern(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}*`;
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Find the scope remembered for a URL
+ * Returns { urlPattern, selector, label } or null
+ */
+export async function getPageScope(url) {
+  const { pageScopes } = await chrome.storage.local.get({ pageScopes: [] });
+  return pageScopes.find(scope => matchesUrlPattern(scope.urlPattern, url)) || null;
+}
+
+/**
+ * Remember a picked element for the URL's pattern, replacing an earlier one
+ */
+export async function savePageScope(url, { selector, label = '' }) {
+  const urlPattern = scopePattern(url);
+  if (!urlPattern || !selector) return null;
+
+  const { pageScopes } = await chrome.storage.local.get({ pageScopes: [] });
+  const scope = { urlPattern, selector, label };
+  await chrome.storage.local.set({
+    pageScopes: [scope, ...pageScopes.filter(entry => entry.urlPattern !== urlPattern)]
+  });
+  return scope;
+}
+
+/**
+ * Forget the scope remembered for a URL
+ */
+export async function clearPageScope(url) {
+  const { pageScopes } = await chrome.storage.local.get({ pageScopes: [] });
+  await chrome.storage.local.set({
+    pageScopes: pageScopes.filter(scope => !matchesUrlPattern(scope.urlPattern, url))
+  });
+}
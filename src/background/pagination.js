@@ -0,0 +1,142 @@
+/**
+ * AI Tab Assistant - Pagination Crawler
+ * 
+ * Walks paginated tables ("1-25 of 1,340" with a Next button): clicks the
+ * page's next control through the content script, waits for the table to
+ * update (or the next page to load) and merges every page's rows into one
+ * deduplicated dataset.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { addToCapture, captureResult, createCapture, wait } from './page-capture.js';
+
+// Most pages the crawler clicks through in one run
+export const MAX_PAGES = 50;
+
+// Give up after this long, keeping the pages captured
+const CRAWL_TIME_LIMIT = 180000;
+
+// Pagers that load a new document
+const PAGE_LOAD_TIMEOUT = 15000;
+
+// Let client-side rendering finish after a full page load
+const SETTLE_DELAY = 800;
+
+/**
+ * Send a message to the tab's content script, retrying while a newly
+ * loaded page injects it. Only the top frame's pager is walked.
+ */
+async function sendToPage(tabId, message, attempts = 1) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await chrome.tabs.sendMessage(tabId, message, { frameId: 0 });
+    } catch (error) {
+      if (attempt >= attempts) throw error;
+      await wait(500);
+    }
+  }
+}
+
+/**
+ * Resolve when the tab finishes loading, or after the timeout
+ */
+function waitForTabLoad(tabId, timeout) {
+  return new Promise(resolve => {
+    const done = () => {
+      chrome.tabs.onUpdated.removeListener(listener);
+      clearTimeout(timer);
+      resolve();
+    };
+    const listener = (updatedTabId, changeInfo) => {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') done();
+    };
+    const timer = setTimeout(done, timeout);
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/**
+ * Look for a next-page control and a row range on the page
+ * Returns { found, label, rangeText, totalRows, totalPages }.
+ */
+export async function detectPagination(tabId) {
+  return sendToPage(tabId, { action: 'findNextPage' }, 2);
+}
+
+/**
+ * Click through the pages of a paginated table, collecting the rows of
+ * each. extract() returns the tables and lists currently in the page;
+ * pager is detectPagination's result. Cancelling keeps the pages so far.
+ * Returns { tables, lists, info: { pages, rows, tables, reportedTotal, stopped } }.
+ */
+export async function walkPages(tabId, { extract, pager = {}, onProgress, signal } = {}) {
+  const started = Date.now();
+  const capture = createCapture();
+  const reportedTotal = pager.totalRows || null;
+  let pages = 1;
+  let stopped = 'lastPage';
+
+  const progress = () => {
+    if (reportedTotal) return Math.min(1, capture.rows / reportedTotal);
+    return Math.min(1, pages / (pager.totalPages || MAX_PAGES));
+  };
+
+  addToCapture(capture, await extract());
+  onProgress?.({ page: pages, rows: capture.rows, tables: capture.tables.size, progress: progress() });
+
+  while (true) {
+    if (signal?.aborted) {
+      stopped = 'cancelled';
+      break;
+    }
+    if (capture.truncated) {
+      stopped = 'rows';
+      break;
+    }
+    if (reportedTotal && capture.rows >= reportedTotal) break;
+    if (pages >= MAX_PAGES) {
+      stopped = 'pages';
+      break;
+    }
+    if (Date.now() - started > CRAWL_TIME_LIMIT) {
+      stopped = 'time';
+      break;
+    }
+
+    const result = await sendToPage(tabId, { action: 'clickNextPage' }).catch(() => null);
+    if (!result?.clicked) break;
+
+    if (result.navigating) {
+      await waitForTabLoad(tabId, PAGE_LOAD_TIMEOUT);
+      await wait(SETTLE_DELAY, signal);
+    } else if (!result.changed) {
+      break;
+    }
+    if (signal?.aborted) continue;
+
+    pages++;
+    const added = addToCapture(capture, await extract());
+    onProgress?.({ page: pages, added, rows: capture.rows, tables: capture.tables.size, progress: progress() });
+
+    // Same rows as before: the pager didn't move
+    if (added === 0 && !capture.truncated) break;
+  }
+
+  return captureResult(capture, { mode: 'pages', pages, reportedTotal, elapsed: Date.now() - started, stopped });
+}
@@ -0,0 +1,285 @@
+/**
+ * AI Tab Assistant - Anthropic Provider
+ * 
+ * Native Anthropic Messages API backend. Translates the OpenAI-style
+ * message list used throughout the extension into the Messages request
+ * shape (top-level system prompt, content blocks, max_tokens) and streams
+ * the response.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { ProviderError, fetchWithRetry, readEventStream, readErrorBody } from './common.js';
+import { buildGenerationParams } from '../../shared/model-registry.js';
+
+const API_BASE = 'https://api.anthropic.com/v1';
+const API_VERSION = '2023-06-01';
+
+// Messages API stop reasons mapped to the OpenAI-style finish reasons used elsewhere
+const STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  tool_use: 'tool_calls'
+};
+
+/**
+ * Build request headers for the Anthropic API
+ */
+function buildHeaders(apiKey) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': API_VERSION,
+    // Required for requests that carry an Origin header (extension pages)
+    'anthropic-dangerous-direct-browser-access': 'true'
+  };
+}
+
+/**
+ * Convert message content (string or OpenAI-style parts) into content blocks
+ */
+function toContentBlocks(content) {
+  if (typeof content === 'string') {
+    return content ? [{ type: 'text', text: content }] : [];
+  }
+
+  return (content || []).map(part => {
+    if (part.type === 'text') {
+      return part.text ? { type: 'text', text: part.text } : null;
+    }
+    if (part.type === 'image_url') {
+      const match = part.image_url?.url?.match(/^data:([^;]+);base64,(.+)$/);
+      if (match) {
+        return { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } };
+      }
+      return { type: 'image', source: { type: 'url', url: part.image_url?.url } };
+    }
+    return null;
+  }).filter(Boolean);
+}
+
+/**
+ * Split an OpenAI-style message list into a system prompt and Messages API turns
+ * Consecutive turns with the same role are merged, as the API expects
+ * user and assistant turns to alternate.
+ */
+function toAnthropicRequest(messages) {
+  const system = [];
+  const turns = [];
+
+  messages.forEach(message => {
+    if (message.role === 'system') {
+      system.push(typeof message.content === 'string'
+        ? message.content
+        : toContentBlocks(message.content).map(b => b.text || '').join('\n'));
+      return;
+    }
+
+    const role = message.role === 'assistant' ? 'assistant' : 'user';
+    const blocks = toContentBlocks(message.content);
+    if (message.role === 'tool') {
+      // Tool results go back in a user turn, one block per call
+      blocks.splice(0, blocks.length, {
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: message.content
+      });
+    }
+    (message.toolCalls || []).forEach(call => {
+      blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments });
+    });
+    if (blocks.length === 0) return;
+
+    const previous = turns[turns.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...blocks);
+    } else {
+      turns.push({ role, content: blocks });
+    }
+  });
+
+  return { system: system.join('\n\n'), messages: turns };
+}
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Anthropic',
+
+  /**
+   * Whether settings contain what this provider needs to make requests
+   */
+  isConfigured(settings) {
+    return !!settings.anthropicApiKey;
+  },
+
+  /**
+   * Send a chat request with streaming enabled
+   * Calls onDelta with each text fragment as it arrives and resolves with
+   * { content, finishReason, usage, toolCalls } once the stream ends.
+   * Aborting the signal cancels the request; onRetry is told about
+   * automatic retries. tools lists { name, description, parameters }
+   * definitions the model may call.
+   */
+  async sendChat(messages, settings, { onDelta, signal, onRetry, tools } = {}) {
+    if (!settings.anthropicApiKey) {
+      throw new ProviderError('API key not configured. Click the gear icon to add your Anthropic API key.', {
+        type: 'configuration'
+      });
+    }
+
+    const { system, messages: turns } = toAnthropicRequest(messages);
+
+    const body = {
+      model: settings.model,
+      ...buildGenerationParams(settings.model, settings),
+      messages: turns,
+      stream: true
+    };
+    if (system) body.system = system;
+    if (tools?.length) {
+      body.tools = tools.map(({ name, description, parameters }) => ({
+        name,
+        description,
+        input_schema: parameters
+      }));
+    }
+
+    const response = await fetchWithRetry(`${API_BASE}/messages`, {
+      method: 'POST',
+      headers: buildHeaders(settings.anthropicApiKey),
+      body: JSON.stringify(body),
+      signal
+    }, { onRetry });
+
+    if (!response.ok) {
+      throw this.mapError(response.status, await readErrorBody(response));
+    }
+
+    let content = '';
+    let finishReason = null;
+    const rawUsage = { input_tokens: 0, output_tokens: 0 };
+    // tool_use blocks by content block index; their input streams as JSON text
+    const toolBlocks = new Map();
+
+    await readEventStream(response, (data) => {
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch (e) {
+        return;
+      }
+
+      switch (event.type) {
+        case 'message_start':
+          Object.assign(rawUsage, event.message?.usage);
+          break;
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            toolBlocks.set(event.index, {
+              id: event.content_block.id,
+              name: event.content_block.name,
+              json: ''
+            });
+          }
+          break;
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta' && event.delta.text) {
+            content += event.delta.text;
+            onDelta?.(event.delta.text);
+          } else if (event.delta?.type === 'input_json_delta' && toolBlocks.has(event.index)) {
+            toolBlocks.get(event.index).json += event.delta.partial_json || '';
+          }
+          break;
+        case 'message_delta':
+          if (event.delta?.stop_reason) {
+            finishReason = STOP_REASONS[event.delta.stop_reason] || event.delta.stop_reason;
+          }
+          if (event.usage) {
+            Object.assign(rawUsage, event.usage);
+          }
+          break;
+        case 'error':
+          throw this.mapError(null, event);
+      }
+    });
+
+    const toolCalls = [...toolBlocks.values()].map(({ id, name, json }) => {
+      let input;
+      try {
+        input = JSON.parse(json || '{}');
+      } catch (e) {
+        input = { _raw: json };
+      }
+      return { id, name, arguments: input };
+    });
+
+    return {
+      content: content || (toolCalls.length ? '' : 'No response generated.'),
+      finishReason,
+      usage: this.normalizeUsage(rawUsage),
+      toolCalls
+    };
+  },
+
+  /**
+   * List models available to the given API key
+   */
+  async listModels(settings) {
+    const response = await fetch(`${API_BASE}/models?limit=100`, {
+      method: 'GET',
+      headers: buildHeaders(settings.anthropicApiKey)
+    });
+
+    if (!response.ok) {
+      throw this.mapError(response.status, await readErrorBody(response));
+    }
+
+    const data = await response.json();
+
+    return (data.data || []).map(model => ({
+      id: model.id,
+      name: model.display_name || model.id,
+      created: Math.floor(new Date(model.created_at).getTime() / 1000) || 0,
+      owned_by: 'anthropic'
+    }));
+  },
+
+  /**
+   * Convert an error response body into a ProviderError
+   */
+  mapError(status, body) {
+    const message = body?.error?.message || `API error: ${status}`;
+    return new ProviderError(message, { status, type: body?.error?.type || null });
+  },
+
+  /**
+   * Convert Anthropic usage into the shared { promptTokens, completionTokens, totalTokens } shape
+   */
+  normalizeUsage(usage) {
+    const promptTokens = (usage.input_tokens || 0) +
+      (usage.cache_creation_input_tokens || 0) +
+      (usage.cache_read_input_tokens || 0);
+    const completionTokens = usage.output_tokens || 0;
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens
+    };
+  }
+};
@@ -0,0 +1,176 @@
+/**
+ * AI Tab Assistant - Provider Utilities
+ * 
+ * Shared helpers for LLM provider implementations: a common error type,
+ * retrying fetch with exponential backoff, and a server-sent events reader
+ * used for streamed responses.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+/**
+ * Error raised by a provider request
+ * Carries the HTTP status (when there is one) so callers can decide how
+ * to react without parsing the message.
+ */
+export class ProviderError extends Error {
+  constructor(message, { status = null, type = null } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.type = type;
+  }
+}
+
+// Statuses worth retrying: timeouts, rate limits, server errors, Anthropic's "overloaded"
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY = 1000;
+
+// Waits longer than this aren't worth blocking the chat for - give up
+// and let the caller fall back to another model instead
+const MAX_RETRY_DELAY = 30000;
+
+/**
+ * Check whether a failed request with this status may succeed if retried
+ */
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUSES.includes(status);
+}
+
+/**
+ * Check whether an error was caused by the request being cancelled
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError';
+}
+
+/**
+ * Wait for the given time, rejecting early if the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('Request cancelled', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('Request cancelled', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+/**
+ * Read how long the server asked us to wait, in milliseconds
+ * Supports retry-after-ms and Retry-After as seconds or an HTTP date.
+ */
+function parseRetryAfter(headers) {
+  const ms = parseFloat(headers.get('retry-after-ms'));
+  if (!isNaN(ms)) return ms;
+
+  const value = headers.get('retry-after');
+  if (!value) return null;
+
+  const seconds = parseFloat(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * fetch() with automatic retries for rate limits, server errors and network failures
+ * Backs off exponentially with jitter, honoring Retry-After when the server
+ * sends one. Resolves with the last response (which may still be an error
+ * response) so the caller can map it; onRetry is told about each retry.
+ */
+export async function fetchWithRetry(url, init = {}, { onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    let response = null;
+    let networkError = null;
+
+    try {
+      response = await fetch(url, init);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      networkError = error;
+    }
+
+    if (response && !isRetryableStatus(response.status)) {
+      return response;
+    }
+
+    const retryAfter = response ? parseRetryAfter(response.headers) : null;
+    const delay = retryAfter ?? BASE_RETRY_DELAY * 2 ** attempt + Math.random() * 250;
+
+    if (attempt >= MAX_RETRIES || delay > MAX_RETRY_DELAY) {
+      if (networkError) throw networkError;
+      return response;
+    }
+
+    onRetry?.({ attempt: attempt + 1, maxRetries: MAX_RETRIES, delay, status: response?.status ?? null });
+
+    // Release the failed response before trying again
+    response?.body?.cancel().catch(() => {});
+    await sleep(delay, init.signal);
+  }
+}
+
+/**
+ * Read a server-sent events stream, calling onEvent with each data payload
+ */
+export async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (event) => {
+    const data = event
+      .split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.slice(5).trimStart())
+      .join('\n');
+    if (data) onEvent(data);
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by blank lines; keep the trailing partial event
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    events.forEach(dispatch);
+  }
+
+  // A last event the server didn't end with a blank line
+  buffer += decoder.decode();
+  dispatch(buffer);
+}
+
+/**
+ * Read the error body of a failed response, tolerating non-JSON bodies
+ */
+export async function readErrorBody(response) {
+  return response.json().catch(() => ({}));
+}
@@ -0,0 +1,58 @@
+/**
+ * AI Tab Assistant - LLM Providers
+ * 
+ * Registry of chat backends. Every provider exposes the same interface:
+ * 
+ *   id, name            - identifier stored in settings and display name
+ *   isConfigured(settings)
+ *                       - whether the key/endpoint it needs is set
+ *   sendChat(messages, settings, { onDelta, signal, onRetry, tools })
+ *                       - streams a chat completion, retrying rate limits
+ *                         and server errors; resolves with
+ *                         { content, finishReason, usage, toolCalls }
+ *                         (finishReason 'tool_calls' when the model wants
+ *                         tool results before it answers)
+ *   listModels(settings)
+ *                       - lists models for the settings page
+ *   mapError(status, body)
+ *                       - converts an error response into a ProviderError
+ *   normalizeUsage(raw) - converts usage into
+ *                         { promptTokens, completionTokens, totalTokens }
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { openaiProvider, compatibleProvider } from './openai.js';
+import { anthropicProvider } from './anthropic.js';
+
+export { ProviderError, isAbortError, isRetryableStatus } from './common.js';
+
+export const PROVIDERS = {
+  [openaiProvider.id]: openaiProvider,
+  [anthropicProvider.id]: anthropicProvider,
+  [compatibleProvider.id]: compatibleProvider
+};
+
+export const DEFAULT_PROVIDER = openaiProvider.id;
+
+/**
+ * Look up a provider by id, falling back to the default provider
+ */
+export function getProvider(id) {
+  return PROVIDERS[id] || PROVIDERS[DEFAULT_PROVIDER];
+}
@@ -0,0 +1,337 @@
+/**
+ * AI Tab Assistant - OpenAI Provider
+ * 
+ * Chat Completions backend. Streams responses from /chat/completions and
+ * lists chat-capable models from /models. The same implementation serves
+ * custom OpenAI-compatible endpoints (Ollama, LM Studio, vLLM) and Azure
+ * OpenAI deployments, which differ only in base URL, auth header and routing.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { ProviderError, fetchWithRetry, isAbortError, readEventStream, readErrorBody } from './common.js';
+import { getModelCapabilities, buildGenerationParams, applySystemRole } from '../../shared/model-registry.js';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+// Model ids that are not chat models even though they match the families below
+const EXCLUDED_MODEL_TERMS = [
+  'instruct', 'vision', 'realtime', 'audio', 'embedding', 'whisper',
+  'tts', 'dall-e', 'davinci', 'babbage', 'curie', 'ada', 'image',
+  'transcribe', 'moderation'
+];
+
+/**
+ * Parse extra headers written one per line as "Header-Name: value"
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  (text || '').split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator <= 0) return;
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    if (name) headers[name] = value;
+  });
+  return headers;
+}
+
+/**
+ * Convert the shared message list into Chat Completions messages
+ * Assistant turns that called tools carry toolCalls, and each tool result
+ * is a { role: 'tool', toolCallId, content } message.
+ */
+function toChatMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+/**
+ * Parse the JSON arguments of a streamed tool call, keeping unparseable
+ * text so the tool can report the problem back to the model
+ */
+function parseToolArguments(text) {
+  try {
+    return JSON.parse(text || '{}');
+  } catch (e) {
+    return { _raw: text };
+  }
+}
+
+/**
+ * Resolve request URLs and headers for an endpoint configuration
+ * config: { apiKey, baseUrl, extraHeaders, apiStyle, azureApiVersion }
+ */
+function resolveEndpoint(config, model) {
+  const baseUrl = (config.baseUrl || OPENAI_BASE_URL).replace(/\/+$/, '');
+  const headers = {
+    'Content-Type': 'application/json',
+    ...parseHeaderLines(config.extraHeaders)
+  };
+
+  if (config.apiStyle === 'azure') {
+    // Azure routes by deployment name and authenticates with an api-key header
+    const apiVersion = encodeURIComponent(config.azureApiVersion || DEFAULT_AZURE_API_VERSION);
+    if (config.apiKey) headers['api-key'] = config.apiKey;
+    return {
+      chatUrl: `${baseUrl}/openai/deployments/${encodeURIComponent(model)}/chat/completions?api-version=${apiVersion}`,
+      modelsUrl: null,
+      headers
+    };
+  }
+
+  if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+  return {
+    chatUrl: `${baseUrl}/chat/completions`,
+    modelsUrl: `${baseUrl}/models`,
+    headers
+  };
+}
+
+/**
+ * Retrying fetch() that turns network failures into a readable ProviderError
+ */
+async function fetchEndpoint(url, init, retryOptions) {
+  try {
+    return await fetchWithRetry(url, init, retryOptions);
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    const origin = new URL(url).origin;
+    throw new ProviderError(
+      `Could not reach ${origin}. Check the endpoint URL, that the server is running, and that its CORS settings allow requests from the extension.`
+    );
+  }
+}
+
+/**
+ * Create a Chat Completions provider
+ * getConfig maps stored settings to an endpoint configuration, and
+ * filterModels decides which reported models are offered in settings.
+ */
+function createOpenAIProvider({ id, name, getConfig, isConfigured, filterModels, missingConfigMessage }) {
+  return {
+    id,
+    name,
+
+    /**
+     * Whether settings contain what this provider needs to make requests
+     */
+    isConfigured,
+
+    /**
+     * Send a chat request with streaming enabled
+     * Calls onDelta with each text fragment as it arrives and resolves with
+     * { content, finishReason, usage, toolCalls } once the stream ends.
+     * Aborting the signal cancels the request; onRetry is told about
+     * automatic retries. tools lists { name, description, parameters }
+     * definitions the model may call.
+     */
+    async sendChat(messages, settings, { onDelta, signal, onRetry, tools } = {}) {
+      if (!isConfigured(settings)) {
+        throw new ProviderError(missingConfigMessage, { type: 'configuration' });
+      }
+
+      const endpoint = resolveEndpoint(getConfig(settings), settings.model);
+      const capabilities = getModelCapabilities(settings.model);
+
+      const body = {
+        model: settings.model,
+        messages: applySystemRole(toChatMessages(messages), capabilities),
+        ...buildGenerationParams(settings.model, settings),
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+      if (tools?.length) {
+        body.tools = tools.map(({ name, description, parameters }) => ({
+          type: 'function',
+          function: { name, description, parameters }
+        }));
+      }
+
+      const response = await fetchEndpoint(endpoint.chatUrl, {
+        method: 'POST',
+        headers: endpoint.headers,
+        body: JSON.stringify(body),
+        signal
+      }, { onRetry });
+
+      if (!response.ok) {
+        throw this.mapError(response.status, await readErrorBody(response));
+      }
+
+      let content = '';
+      let finishReason = null;
+      let usage = null;
+      // Tool calls stream as fragments keyed by index
+      const toolCalls = [];
+
+      await readEventStream(response, (data) => {
+        if (data === '[DONE]') return;
+
+        let chunk;
+        try {
+          chunk = JSON.parse(data);
+        } catch (e) {
+          return; // Ignore malformed keep-alive lines
+        }
+
+        if (chunk.error) {
+          throw this.mapError(null, chunk);
+        }
+
+        const choice = chunk.choices?.[0];
+        const delta = choice?.delta?.content;
+        if (delta) {
+          content += delta;
+          onDelta?.(delta);
+        }
+        (choice?.delta?.tool_calls || []).forEach(fragment => {
+          const call = toolCalls[fragment.index ?? 0] ||= { id: '', name: '', arguments: '' };
+          if (fragment.id) call.id = fragment.id;
+          if (fragment.function?.name) call.name += fragment.function.name;
+          if (fragment.function?.arguments) call.arguments += fragment.function.arguments;
+        });
+        if (choice?.finish_reason) {
+          finishReason = choice.finish_reason;
+        }
+        // Usage arrives in a final chunk with an empty choices array
+        if (chunk.usage) {
+          usage = this.normalizeUsage(chunk.usage);
+        }
+      });
+
+      const calls = toolCalls.filter(Boolean).map(call => ({
+        ...call,
+        arguments: parseToolArguments(call.arguments)
+      }));
+
+      return {
+        content: content || (calls.length ? '' : 'No response generated.'),
+        finishReason: calls.length ? 'tool_calls' : finishReason,
+        usage,
+        toolCalls: calls
+      };
+    },
+
+    /**
+     * List chat models the endpoint reports
+     * Azure endpoints list the deployments configured in settings instead,
+     * since requests are routed by deployment name.
+     */
+    async listModels(settings) {
+      const config = getConfig(settings);
+
+      if (config.apiStyle === 'azure') {
+        return (config.azureDeployments || '')
+          .split(/[\n,]/)
+          .map(deployment => deployment.trim())
+          .filter(Boolean)
+          .map(deployment => ({ id: deployment, created: 0, owned_by: 'azure' }));
+      }
+
+      const endpoint = resolveEndpoint(config);
+      const response = await fetchEndpoint(endpoint.modelsUrl, {
+        method: 'GET',
+        headers: endpoint.headers
+      });
+
+      if (!response.ok) {
+        throw this.mapError(response.status, await readErrorBody(response));
+      }
+
+      const data = await response.json();
+
+      return (data.data || [])
+        .filter(model => filterModels(model.id.toLowerCase()))
+        .map(model => ({
+          id: model.id,
+          created: model.created || 0,
+          owned_by: model.owned_by || ''
+        }));
+    },
+
+    /**
+     * Convert an error response body into a ProviderError
+     */
+    mapError(status, body) {
+      const message = body?.error?.message ||
+                      (typeof body?.error === 'string' ? body.error : '') ||
+                      `API error: ${status}`;
+      return new ProviderError(message, { status, type: body?.error?.type || body?.error?.code || null });
+    },
+
+    /**
+     * Convert OpenAI usage into the shared { promptTokens, completionTokens, totalTokens } shape
+     */
+    normalizeUsage(usage) {
+      return {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+      };
+    }
+  };
+}
+
+export const openaiProvider = createOpenAIProvider({
+  id: 'openai',
+  name: 'OpenAI',
+  getConfig: (settings) => ({ apiKey: settings.apiKey }),
+  isConfigured: (settings) => !!settings.apiKey,
+  // Filter to only chat models (gpt-* and o-series reasoning models)
+  filterModels: (id) => (
+    (id.startsWith('gpt-') || id.startsWith('chatgpt-') || /^o\d/.test(id)) &&
+    !EXCLUDED_MODEL_TERMS.some(term => id.includes(term))
+  ),
+  missingConfigMessage: 'API key not configured. Click the gear icon to add your OpenAI API key.'
+});
+
+export const compatibleProvider = createOpenAIProvider({
+  id: 'openai-compatible',
+  name: 'OpenAI-compatible',
+  getConfig: (settings) => ({
+    apiKey: settings.customApiKey,
+    baseUrl: settings.customBaseUrl,
+    extraHeaders: settings.customHeaders,
+    apiStyle: settings.customApiStyle,
+    azureDeployments: settings.azureDeployments,
+    azureApiVersion: settings.azureApiVersion
+  }),
+  // Self-hosted servers usually run without a key, so only the URL is required
+  isConfigured: (settings) => !!settings.customBaseUrl,
+  // Self-hosted endpoints only serve what the user installed, so offer everything
+  // except embedding models
+  filterModels: (id) => !id.includes('embed'),
+  missingConfigMessage: 'Endpoint not configured. Click the gear icon to set the base URL of your OpenAI-compatible server.'
+});
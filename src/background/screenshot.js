@@ -0,0 +1,187 @@
+/**
+ * AI Tab Assistant - Screenshots
+ * 
+ * Captures the visible area of a tab, or the whole page by scrolling and
+ * stitching viewport captures, and downsizes the result for vision models.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { wait } from './page-capture.js';
+import { MAX_IMAGE_EDGE, resizeImage, createThumbnail, estimateImageTokens } from '../shared/image-resize.js';
+
+// captureVisibleTab allows two calls per second
+const CAPTURE_INTERVAL = 600;
+
+// Let lazy images and scroll-triggered content render after each scroll
+const SCROLL_SETTLE_DELAY = 300;
+
+// Most viewports stitched into one full-page screenshot
+const MAX_VIEWPORTS = 8;
+
+// Full-page screenshots are tall; keep them readable without sending megapixels
+const MAX_FULL_PAGE_WIDTH = 1280;
+const MAX_FULL_PAGE_HEIGHT = 4096;
+
+/**
+ * Injected into the page: measure, scroll or restore for a full-page capture
+ * Fixed and sticky elements (headers, chat widgets) are hidden after the
+ * first viewport so they don't repeat in every slice.
+ */
+function scrollForScreenshot(mode, top) {
+  const STATE = '__aiTabAssistantScreenshot';
+
+  if (mode === 'measure') {
+    window[STATE] = { x: window.scrollX, y: window.scrollY, hidden: [] };
+    const root = document.scrollingElement || document.documentElement;
+    return { pageHeight: root.scrollHeight, viewportHeight: window.innerHeight, viewportWidth: window.innerWidth };
+  }
+
+  const state = window[STATE];
+  if (!state) return null;
+
+  if (mode === 'restore') {
+    state.hidden.forEach(({ el, visibility }) => { el.style.visibility = visibility; });
+    window.scrollTo(state.x, state.y);
+    delete window[STATE];
+    return null;
+  }
+
+  if (top > 0 && state.hidden.length === 0) {
+    document.querySelectorAll('body *').forEach(el => {
+      const position = window.getComputedStyle(el).position;
+      if (position === 'fixed' || position === 'sticky') {
+        state.hidden.push({ el, visibility: el.style.visibility });
+        el.style.visibility = 'hidden';
+      }
+    });
+  }
+  window.scrollTo(0, top);
+  return { top: window.scrollY };
+}
+
+/**
+ * Run the scroll helper in the tab's top frame
+ */
+async function scrollTab(tabId, mode, top = 0) {
+  const [result] = await chrome.scripting.executeScript({
+    target: { tabId },
+    func: scrollForScreenshot,
+    args: [mode, top]
+  });
+  return result?.result;
+}
+
+// When captureVisibleTab was last called, to stay under its rate limit
+let lastCaptureAt = 0;
+
+/**
+ * Capture the visible area of the tab's window as an ImageBitmap
+ */
+async function captureViewport(windowId) {
+  const delay = lastCaptureAt + CAPTURE_INTERVAL - Date.now();
+  if (delay > 0) await wait(delay);
+  lastCaptureAt = Date.now();
+
+  const dataUrl = await chrome.tabs.captureVisibleTab(windowId, { format: 'png' });
+  const blob = await (await fetch(dataUrl)).blob();
+  return createImageBitmap(blob);
+}
+
+/**
+ * Scroll through the page capturing each viewport, then stitch the slices
+ */
+async function captureFullPage(tab, signal) {
+  const page = await scrollTab(tab.id, 'measure');
+  if (!page) throw new Error('Could not measure the page');
+
+  const height = Math.min(page.pageHeight, page.viewportHeight * MAX_VIEWPORTS);
+  const slices = [];
+
+  try {
+    for (let top = 0; top < height; top += page.viewportHeight) {
+      if (signal?.aborted) throw new DOMException('Request cancelled', 'AbortError');
+      const scrolled = await scrollTab(tab.id, 'scroll', top);
+      await wait(SCROLL_SETTLE_DELAY);
+      slices.push({ top: scrolled?.top ?? top, bitmap: await captureViewport(tab.windowId) });
+      // The page stopped scrolling (shorter than measured, or scrolling is locked)
+      if ((scrolled?.top ?? top) < top) break;
+    }
+  } finally {
+    await scrollTab(tab.id, 'restore').catch(() => {});
+  }
+
+  // Captures are in device pixels. Slices are drawn already scaled down to
+  // the size that is sent, so the stitched canvas never holds the page at
+  // full resolution.
+  const pixelRatio = slices[0].bitmap.width / page.viewportWidth;
+  const bottom = Math.min(height, Math.max(...slices.map(slice => slice.top)) + page.viewportHeight) * pixelRatio;
+  const scale = Math.min(1, MAX_FULL_PAGE_WIDTH / slices[0].bitmap.width, MAX_FULL_PAGE_HEIGHT / bottom);
+  const width = Math.max(1, Math.round(slices[0].bitmap.width * scale));
+  const canvas = new OffscreenCanvas(width, Math.max(1, Math.round(bottom * scale)));
+  const context = canvas.getContext('2d');
+  slices.forEach(({ top, bitmap }) => {
+    context.drawImage(bitmap, 0, Math.round(top * pixelRatio * scale), width, Math.ceil(bitmap.height * scale));
+    bitmap.close();
+  });
+
+  return {
+    image: canvas,
+    truncated: page.pageHeight > height
+  };
+}
+
+/**
+ * Take a screenshot of a tab for a vision model
+ * fullPage scrolls through the page and stitches up to MAX_VIEWPORTS
+ * viewports together. Resolves with { dataUrl, thumbnail, width, height,
+ * fullPage, truncated, tokens }.
+ */
+export async function captureScreenshot(tabId, { fullPage = false, signal } = {}) {
+  const tab = await chrome.tabs.get(tabId);
+  if (!tab.active) {
+    throw new Error('Screenshots need the page to be the visible tab in its window');
+  }
+  if (!/^(https?|file):/.test(tab.url || '')) {
+    throw new Error('Screenshots are not available on this page');
+  }
+
+  let image;
+  let truncated = false;
+  if (fullPage) {
+    ({ image, truncated } = await captureFullPage(tab, signal));
+  } else {
+    image = await captureViewport(tab.windowId);
+  }
+
+  const encoded = fullPage
+    ? await resizeImage(image, MAX_FULL_PAGE_WIDTH, MAX_FULL_PAGE_HEIGHT)
+    : await resizeImage(image, MAX_IMAGE_EDGE, MAX_IMAGE_EDGE);
+  const thumbnail = await createThumbnail(image);
+  image.close?.();
+
+  return {
+    dataUrl: encoded.dataUrl,
+    thumbnail,
+    width: encoded.width,
+    height: encoded.height,
+    fullPage,
+    truncated,
+    tokens: estimateImageTokens(encoded.width, encoded.height)
+  };
+}
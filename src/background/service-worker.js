@@ -3,7 +3,8 @@
  * 
  * Deep content extraction engine that captures everything visible on page,
  * including Shadow DOM, Web Components, and dynamically rendered content.
- * Handles communication between side panel and OpenAI API.
+ * Handles communication between side panel and the configured LLM provider,
+ * streaming responses back to the panel as they are generated.
  * 
  * @copyright 2025 Volar Agency (https://thevolar.com)
  * @license MIT
@@ -23,6 +24,24 @@
  * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
  */
 
+import { getProvider, DEFAULT_PROVIDER, isAbortError, isRetryableStatus } from './providers/index.js';
+import { mergeExtractedText } from './text-merge.js';
+import { stitchFrames, formatFrameTree } from './frame-stitcher.js';
+import { captureFullPage, applyCapture, describeCapture } from './page-capture.js';
+import { detectPagination, walkPages } from './pagination.js';
+import { computeContextBudget, describeOmissions, packSections, renderSections } from './context-packer.js';
+import { getModelCapabilities } from '../shared/model-registry.js';
+import { DEFAULT_SYSTEM_PROMPT } from '../shared/system-prompt.js';
+import { resolveExtractors, findExtractor } from '../shared/site-extractors.js';
+import { countTokens, countMessageTokens } from '../shared/tokenizer.js';
+import { typeTable, describeColumns } from '../shared/table-model.js';
+import { COMPUTE_TOOL, MAX_TOOL_ROUNDS, buildComputeData, getToolCode, formatToolResult } from './compute-tool.js';
+import { captureScreenshot } from './screenshot.js';
+import { estimateImageTokens } from '../shared/image-resize.js';
+import { createContextMenus, buildMenuRequest } from './context-menus.js';
+import { getPageScope, savePageScope, clearPageScope } from './page-scopes.js';
+import { highlightCitation } from './citations.js';
+
 // Track current active tab content
 let currentTabData = {
   tabId: null,
@@ -33,38 +52,165 @@ let currentTabData = {
   lastUpdated: null
 };
 
+// In-flight chat requests by request ID, so they can be cancelled
+const activeChats = new Map();
+
+// Quick answer from the in-page Ask AI bubble waiting for the side panel
+// to pick it up ({ question, answer, userContent, selection })
+let pendingHandoff = null;
+
+// Right-click menu request waiting for the side panel
+// ({ prompt, selection?, url? }, see buildMenuRequest)
+let pendingMenuRequest = null;
+
 /**
  * Get settings from storage
  */
 async function getSettings() {
   const result = await chrome.storage.local.get({
+    provider: DEFAULT_PROVIDER,
     apiKey: '',
+    anthropicApiKey: '',
+    customBaseUrl: '',
+    customApiKey: '',
+    customHeaders: '',
+    customApiStyle: 'openai',
+    azureDeployments: '',
+    azureApiVersion: '',
     model: 'gpt-4o-mini',
     maxTokens: 2000,
-    systemPrompt: `You are a highly capable AI assistant analyzing the user's current browser tab. You have COMPLETE access to all page content provided below - this includes ALL text, data, tables, numbers, and information visible on the page.
-
-CRITICAL INSTRUCTIONS:
-1. ALWAYS analyze the ACTUAL DATA provided in the page content - never give generic advice
-2. Reference SPECIFIC numbers, keywords, metrics, and data points from the page
-3. If you see tables, extract and analyze the actual values
-4. Quote specific text from the page when relevant
-5. If asked about data that IS in the page content, provide detailed analysis WITH the actual data
-6. Only say "information not available" if you genuinely cannot find it in the provided content
-
-You are seeing the SAME content the user sees. Analyze it thoroughly.`
+    modelParams: {},
+    fallbackModels: '',
+    computeTool: true,
+    citations: true,
+    systemPrompt: DEFAULT_SYSTEM_PROMPT
   });
   return result;
 }
 
+/**
+ * Last http(s) tab analyzed - settings previews run against it while the
+ * settings page itself is the active tab. Its ID is kept in session storage
+ * because Chrome drops the service worker's variables when it suspends it;
+ * if that tab is gone, the most recently used web tab is taken instead.
+ * Resolves with the tab, or null when no web page is open.
+ */
+async function getLastWebTab() {
+  const { lastWebTabId } = await chrome.storage.session.get({ lastWebTabId: null });
+  const tab = lastWebTabId && await chrome.tabs.get(lastWebTabId).catch(() => null);
+  if (tab?.url?.startsWith('http')) return tab;
+
+  const tabs = await chrome.tabs.query({ url: ['http://*/*', 'https://*/*'] });
+  return tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0))[0] || null;
+}
+
+/**
+ * Full-page capture result ({ tabId, url, tables, lists, info }), applied to
+ * every extraction of that page until the tab navigates away. Kept in session
+ * storage next to lastWebTabId so it survives the service worker suspending.
+ */
+async function getCapturedPage() {
+  const { capturedPage } = await chrome.storage.session.get({ capturedPage: null });
+  return capturedPage;
+}
+
+/**
+ * Find the site extractor configured for a URL
+ */
+async function getSiteExtractor(url) {
+  const { siteExtractors } = await chrome.storage.local.get({ siteExtractors: [] });
+  return findExtractor(resolveExtractors(siteExtractors), url);
+}
+
 /**
  * DEEP content extraction - captures everything visible
  * Handles Shadow DOM, Web Components, SPAs like Google Search Console
+ * siteExtractor (from shared/site-extractors.js) adds per-site rules.
+ * options.tablesOnly reads just tables and lists (for full-page capture).
+ * options.scope is the selector of an element picked on the page; only its
+ * subtree (and the shadow roots in it) is read, in the top frame only.
  */
-async function extractPageContent(tabId) {
+async function extractPageContent(tabId, siteExtractor = null, options = {}) {
   try {
-    const results = await chrome.scripting.executeScript({
-      target: { tabId },
-      func: () => {
+    const injection = {
+      args: [siteExtractor, options],
+      func: (siteExtractor, options) => {
+        // ============ SITE EXTRACTOR RULES ============
+
+        const site = siteExtractor || null;
+
+        // Iframes are extracted in their own frames; toMarkdown records
+        // where each one sits so the service worker can stitch them back in
+        const frameSlots = [];
+        const excludeSelector = (site?.exclude || []).filter(Boolean).join(', ');
+
+        /**
+         * querySelectorAll that tolerates invalid user-supplied selectors
+         */
+        const queryAll = (root, selector) => {
+          if (!selector) return [];
+          try {
+            return Array.from(root.querySelectorAll(selector));
+          } catch (e) {
+            return [];
+          }
+        };
+
+        /**
+         * Check if an element sits inside a region the site extractor excludes
+         */
+        const isExcluded = (el) => {
+          if (!excludeSelector || !el?.closest) return false;
+          try {
+            return !!el.closest(excludeSelector);
+          } catch (e) {
+            return false;
+          }
+        };
+
+        // ============ SCOPE ============
+
+        /**
+         * The picked element extraction is limited to (null reads the whole
+         * page, also when the picked element is no longer there).
+         * ' >>> ' in the selector steps into the previous element's shadow root.
+         */
+        const scopeRoot = (() => {
+          if (!options?.scope) return null;
+          let root = document;
+          let el = null;
+          for (const part of options.scope.split(' >>> ')) {
+            if (!root) return null;
+            try {
+              el = root.querySelector(part);
+            } catch (e) {
+              return null;
+            }
+            if (!el) return null;
+            root = el.shadowRoot;
+          }
+          return el;
+        })();
+
+        /**
+         * querySelectorAll over the page, or over the picked element's subtree
+         */
+        const pageQueryAll = (selector) => {
+          if (!scopeRoot) return Array.from(document.querySelectorAll(selector));
+          return [...(scopeRoot.matches(selector) ? [scopeRoot] : []), ...scopeRoot.querySelectorAll(selector)];
+        };
+
+        /**
+         * Check if an element is inside the picked element, across shadow roots
+         */
+        const inScope = (el) => {
+          if (!scopeRoot) return true;
+          for (let node = el; node; node = node.parentNode || node.host) {
+            if (node === scopeRoot) return true;
+          }
+          return false;
+        };
+
         // ============ HELPER FUNCTIONS ============
         
         /**
@@ -227,130 +373,142 @@ async function extractPageContent(tabId) {
             return tableData;
           };
           
-          // 1. Regular HTML tables
-          document.querySelectorAll('table').forEach(table => {
-            const data = processTable(table, 'table');
-            if (data.rows.length > 0 || data.headers.length > 0) {
-              tables.push(data);
-            }
-          });
-          
-          // 2. Tables in Shadow DOM
-          const shadowRoots = getAllShadowRoots(document.body);
-          shadowRoots.forEach(shadowRoot => {
-            shadowRoot.querySelectorAll('table, [role="table"], [role="grid"]').forEach(table => {
-              const data = processTable(table, 'shadow-dom');
+          // Generic heuristics, unless a site extractor replaces them
+          if (!site?.replaceTables) {
+            // 1. Regular HTML tables
+            pageQueryAll('table').forEach(table => {
+              if (isExcluded(table)) return;
+              const data = processTable(table, 'table');
               if (data.rows.length > 0 || data.headers.length > 0) {
                 tables.push(data);
               }
             });
-          });
           
-          // 3. Grid/list structures that act like tables (Material UI, Angular, etc.)
-          const gridSelectors = [
-            '[role="grid"]',
-            '[role="table"]',
-            '[role="treegrid"]',
-            '.mat-table',
-            '.mdc-data-table',
-            '.ag-root',
-            '.data-table',
-            '[class*="table"]',
-            '[class*="grid"]',
-            '[class*="DataTable"]'
-          ];
+            // 2. Tables in Shadow DOM
+            const shadowRoots = scopeRoot
+              ? [...(scopeRoot.shadowRoot ? [scopeRoot.shadowRoot, ...getAllShadowRoots(scopeRoot.shadowRoot)] : []),
+                ...getAllShadowRoots(scopeRoot)]
+              : getAllShadowRoots(document.body);
+            shadowRoots.forEach(shadowRoot => {
+              shadowRoot.querySelectorAll('table, [role="table"], [role="grid"]').forEach(table => {
+                const data = processTable(table, 'shadow-dom');
+                if (data.rows.length > 0 || data.headers.length > 0) {
+                  tables.push(data);
+                }
+              });
+            });
+          
+            // 3. Grid/list structures that act like tables (Material UI, Angular, etc.)
+            const gridSelectors = [
+              '[role="grid"]',
+              '[role="table"]',
+              '[role="treegrid"]',
+              '.mat-table',
+              '.mdc-data-table',
+              '.ag-root',
+              '.data-table',
+              '[class*="table"]',
+              '[class*="grid"]',
+              '[class*="DataTable"]'
+            ];
           
-          document.querySelectorAll(gridSelectors.join(', ')).forEach(grid => {
-            if (grid.tagName === 'TABLE') return;
+            pageQueryAll(gridSelectors.join(', ')).forEach(grid => {
+              if (grid.tagName === 'TABLE' || isExcluded(grid)) return;
             
-            const gridData = {
-              source: 'grid-' + (grid.className || grid.tagName),
-              headers: [],
-              rows: []
-            };
+              const gridData = {
+                source: 'grid-' + (grid.className || grid.tagName),
+                headers: [],
+                rows: []
+              };
             
-            // Look for header row
-            const headerRow = grid.querySelector('[role="row"]:first-child, .header-row, .table-header, thead, [class*="header"]');
-            if (headerRow) {
-              headerRow.querySelectorAll('[role="columnheader"], [role="gridcell"], .header-cell, th, td, [class*="column"]').forEach(h => {
-                const text = h.innerText?.trim() || h.textContent?.trim() || '';
-                if (text) gridData.headers.push(text);
-              });
-            }
+              // Look for header row
+              const headerRow = grid.querySelector('[role="row"]:first-child, .header-row, .table-header, thead, [class*="header"]');
+              if (headerRow) {
+                headerRow.querySelectorAll('[role="columnheader"], [role="gridcell"], .header-cell, th, td, [class*="column"]').forEach(h => {
+                  const text = h.innerText?.trim() || h.textContent?.trim() || '';
+                  if (text) gridData.headers.push(text);
+                });
+              }
             
-            // Get all rows
-            grid.querySelectorAll('[role="row"], .data-row, .table-row, tr, [class*="row"]').forEach((row, idx) => {
-              // Skip header row
-              if (row === headerRow) return;
-              if (row.querySelector('[role="columnheader"]')) return;
+              // Get all rows
+              grid.querySelectorAll('[role="row"], .data-row, .table-row, tr, [class*="row"]').forEach((row, idx) => {
+                // Skip header row
+                if (row === headerRow) return;
+                if (row.querySelector('[role="columnheader"]')) return;
               
-              const cells = row.querySelectorAll('[role="gridcell"], [role="cell"], .cell, td, [class*="cell"]');
-              const rowData = [];
+                const cells = row.querySelectorAll('[role="gridcell"], [role="cell"], .cell, td, [class*="cell"]');
+                const rowData = [];
               
-              cells.forEach(cell => {
-                rowData.push(cell.innerText?.trim() || cell.textContent?.trim() || '');
-              });
+                cells.forEach(cell => {
+                  rowData.push(cell.innerText?.trim() || cell.textContent?.trim() || '');
+                });
               
-              if (rowData.some(d => d && d.length > 0)) {
-                gridData.rows.push(rowData);
+                if (rowData.some(d => d && d.length > 0)) {
+                  gridData.rows.push(rowData);
+                }
+              });
+            
+              if (gridData.rows.length > 0) {
+                tables.push(gridData);
               }
             });
-            
-            if (gridData.rows.length > 0) {
-              tables.push(gridData);
-            }
-          });
-          
-          // 4. Google Search Console specific extraction
-          if (window.location.hostname.includes('search.google.com')) {
-            try {
-              // GSC uses custom elements and shadow DOM heavily
-              const gscTables = document.querySelectorAll('c-wiz table, [jsname] table');
-              gscTables.forEach(table => {
-                const data = processTable(table, 'gsc-table');
-                if (data.rows.length > 0) {
-                  tables.push(data);
+          }
+
+          // 4. Site extractor table rules
+          const extractTableRule = (rule) => {
+            const containers = rule.table ? queryAll(scopeRoot || document, rule.table) : [scopeRoot || document.body];
+
+            containers.forEach(container => {
+              if (isExcluded(container) || !isVisible(container)) return;
+
+              const data = {
+                source: `site-${site.id}`,
+                caption: rule.label || container.getAttribute?.('aria-label') || '',
+                headers: [],
+                rows: []
+              };
+
+              queryAll(container, rule.header).forEach(th => {
+                const text = th.innerText?.trim() || th.textContent?.trim() || '';
+                if (text && !data.headers.includes(text)) {
+                  data.headers.push(text);
                 }
               });
-              
-              // Also try to get data from spans and divs that look like cells
-              const gscRows = document.querySelectorAll('[jsname] [role="row"], [jscontroller] [role="row"]');
-              if (gscRows.length > 0) {
-                const gscData = {
-                  source: 'gsc-custom',
-                  headers: [],
-                  rows: []
-                };
-                
-                gscRows.forEach((row, idx) => {
-                  const cells = row.querySelectorAll('[role="cell"], [role="gridcell"], span, div');
-                  const rowData = [];
-                  const seen = new Set();
-                  
-                  cells.forEach(cell => {
-                    const text = cell.innerText?.trim();
-                    if (text && !seen.has(text) && text.length < 500) {
-                      seen.add(text);
-                      rowData.push(text);
-                    }
-                  });
-                  
-                  if (rowData.length > 0) {
-                    // First row might be headers
-                    if (idx === 0 && gscData.headers.length === 0) {
-                      gscData.headers = rowData;
-                    } else {
-                      gscData.rows.push(rowData);
-                    }
+
+              queryAll(container, rule.row || 'tr').forEach(row => {
+                if (isExcluded(row)) return;
+
+                const rowData = [];
+                const seen = new Set();
+                queryAll(row, rule.cell || 'td, th').forEach(cell => {
+                  const text = cell.innerText?.trim() || cell.textContent?.trim() || '';
+                  if (rule.uniqueCells) {
+                    // Nested spans/divs repeat their parent's text
+                    if (!text || seen.has(text) || text.length >= 500) return;
+                    seen.add(text);
                   }
+                  rowData.push(text);
                 });
-                
-                if (gscData.rows.length > 0) {
-                  tables.push(gscData);
+
+                if (!rowData.some(d => d && d.length > 0)) return;
+                if (rule.firstRowHeader && data.headers.length === 0) {
+                  data.headers = rowData;
+                } else {
+                  data.rows.push(rowData);
                 }
+              });
+
+              if (data.rows.length > 0) {
+                tables.push(data);
               }
+            });
+          };
+
+          (site?.tables || []).forEach(rule => {
+            try {
+              extractTableRule(rule);
             } catch (e) {}
-          }
+          });
           
           return tables;
         };
@@ -379,8 +537,9 @@ async function extractPageContent(tabId) {
             '.dashboard-metric'
           ];
           
-          document.querySelectorAll(metricSelectors.join(', ')).forEach(el => {
-            if (!isVisible(el)) return;
+          const genericMatches = site?.replaceMetrics ? [] : pageQueryAll(metricSelectors.join(', '));
+          genericMatches.forEach(el => {
+            if (!isVisible(el) || isExcluded(el)) return;
             
             const text = getFullText(el);
             // Get label from parent, sibling, or aria-label
@@ -395,20 +554,534 @@ async function extractPageContent(tabId) {
               metrics.push({ label: label.slice(0, 100), value: text.slice(0, 200) });
             }
           });
+
+          // Site extractor label/value pairs
+          const readText = (el) => el ? getFullText(el) : '';
+          (site?.metrics || []).forEach(rule => {
+            if (rule.container) {
+              queryAll(scopeRoot || document, rule.container).forEach(container => {
+                if (!isVisible(container) || isExcluded(container)) return;
+                const value = readText(queryAll(container, rule.value)[0]);
+                if (value) {
+                  const label = readText(queryAll(container, rule.label)[0]);
+                  metrics.push({ label: label.slice(0, 100), value: value.slice(0, 200) });
+                }
+              });
+            } else {
+              const labels = queryAll(scopeRoot || document, rule.label);
+              queryAll(scopeRoot || document, rule.value).forEach((el, i) => {
+                const value = readText(el);
+                if (value && !isExcluded(el)) {
+                  metrics.push({ label: readText(labels[i]).slice(0, 100), value: value.slice(0, 200) });
+                }
+              });
+            }
+          });
           
           return metrics;
         };
 
+        // ============ CHART DATA ============
+
+        // Most points kept per series
+        const MAX_SERIES_POINTS = 500;
+
+        /**
+         * Format a timestamp or Date as an ISO date, with the time if it has one
+         */
+        const toISODate = (value) => {
+          const date = value instanceof Date ? value : new Date(value);
+          if (isNaN(date)) return String(value);
+          const iso = date.toISOString();
+          return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso.slice(0, 16).replace('T', ' ');
+        };
+
+        /**
+         * Make an axis value serializable: dates become ISO strings
+         */
+        const plainValue = (value) => {
+          if (value instanceof Date) return toISODate(value);
+          if (Array.isArray(value)) return value.join(' '); // Multi-line labels
+          if (value === null || value === undefined) return null;
+          return typeof value === 'number' || typeof value === 'string' ? value : String(value);
+        };
+
+        /**
+         * Read one data point in whatever shape a library stores it:
+         * 12, [x, y], { x, y }, { name, value }, a D3 stack slice or a record
+         */
+        const toPoint = (datum, fallbackX) => {
+          if (typeof datum === 'number') return { x: fallbackX, y: datum };
+          if (Array.isArray(datum)) {
+            // d3.stack() slices are [y0, y1] with the record on .data
+            if (datum.data && typeof datum.data === 'object') {
+              return { x: toPoint(datum.data, fallbackX)?.x ?? fallbackX, y: datum[1] - datum[0] };
+            }
+            return datum.length >= 2 ? { x: datum[0], y: datum[datum.length - 1] } : { x: fallbackX, y: datum[0] };
+          }
+          if (!datum || typeof datum !== 'object') return null;
+
+          // In records, the first date or text field is x and the first number y
+          const values = Object.values(datum);
+          const recordX = values.find(value => value instanceof Date || typeof value === 'string') ?? fallbackX;
+
+          if ('y' in datum) return { x: datum.x ?? datum.category ?? datum.name ?? recordX, y: datum.y };
+          if ('value' in datum) {
+            return Array.isArray(datum.value)
+              ? { x: datum.value[0], y: datum.value[datum.value.length - 1] }
+              : { x: datum.name ?? recordX, y: datum.value };
+          }
+          const y = values.find(value => typeof value === 'number' && Number.isFinite(value));
+          return y === undefined ? null : { x: recordX, y };
+        };
+
+        /**
+         * Build a named series from library data, skipping gaps
+         * labels supplies x values for data that only has y values;
+         * timeAxis turns numeric x values (timestamps) into dates.
+         */
+        const toSeries = (name, data, { labels = [], type = '', timeAxis = false } = {}) => {
+          const points = [];
+          let i = 0;
+          for (; i < (data || []).length && points.length < MAX_SERIES_POINTS; i++) {
+            const point = toPoint(data[i], labels[i] ?? i);
+            const y = typeof point?.y === 'string' ? Number(point.y) : point?.y;
+            if (typeof y !== 'number' || !Number.isFinite(y)) continue;
+            const x = timeAxis && typeof point.x === 'number' ? toISODate(point.x) : plainValue(point.x);
+            points.push({ x, y });
+          }
+          return points.length > 0
+            ? { name: String(name || ''), type: type || '', points, truncated: i < data.length }
+            : null;
+        };
+
+        /**
+         * Find a title for a chart: its label, SVG title or the heading of its card
+         */
+        const chartTitle = (el) => {
+          const label = el.getAttribute?.('aria-label');
+          if (label) return label.trim();
+          const svgTitle = el.querySelector?.('svg > title, title')?.textContent?.trim();
+          if (svgTitle) return svgTitle;
+          const card = el.closest?.('section, article, figure, [class*="card"], [class*="panel"], [class*="widget"]');
+          return card?.querySelector('h1, h2, h3, h4, h5, h6, figcaption, [class*="title"]')?.textContent?.trim().slice(0, 150) || '';
+        };
+
+        /**
+         * Chart.js keeps every live chart in Chart.instances
+         */
+        const readChartJs = (handled) => {
+          const instances = window.Chart?.instances;
+          if (!instances) return [];
+
+          return Object.values(instances).map(chart => {
+            const canvas = chart.canvas || chart.ctx?.canvas;
+            if (!inScope(canvas)) return null;
+            const config = chart.config?._config || chart.config || {};
+            const labels = chart.data?.labels || [];
+            const timeAxis = Object.values(chart.scales || {}).some(scale => ['time', 'timeseries'].includes(scale.type));
+
+            const series = (chart.data?.datasets || []).map((dataset, i) =>
+              toSeries(dataset.label || `Series ${i + 1}`, dataset.data, { labels, type: dataset.type || config.type, timeAxis })
+            ).filter(Boolean);
+            if (series.length === 0) return null;
+
+            if (canvas) handled.add(canvas);
+            const title = chart.options?.plugins?.title?.text || chart.options?.title?.text;
+            return {
+              library: 'Chart.js',
+              type: config.type || '',
+              title: [].concat(title || []).join(' ') || (canvas ? chartTitle(canvas) : ''),
+              series
+            };
+          }).filter(Boolean);
+        };
+
+        /**
+         * Highcharts keeps every chart in Highcharts.charts (with holes for destroyed ones)
+         */
+        const readHighcharts = (handled) => {
+          const charts = (window.Highcharts?.charts || []).filter(Boolean);
+
+          return charts.map(chart => {
+            if (!inScope(chart.renderTo || chart.container)) return null;
+            const xAxis = chart.xAxis?.[0];
+            const categories = xAxis?.categories || [];
+            const timeAxis = xAxis?.options?.type === 'datetime';
+
+            const series = (chart.series || [])
+              .filter(s => s.visible !== false && !s.options?.isInternal) // Skip the stock navigator
+              .map((s, i) => {
+                // xData/yData hold every point, even when only some are drawn
+                const data = s.yData?.length
+                  ? s.yData.map((y, j) => ({
+                      x: s.type === 'pie' ? s.points?.[j]?.name : categories[s.xData?.[j]] ?? s.xData?.[j],
+                      y
+                    }))
+                  : (s.points || []).map(p => ({ x: p.category ?? p.name ?? p.x, y: p.y }));
+                return toSeries(s.name || `Series ${i + 1}`, data, { type: s.type, timeAxis });
+              })
+              .filter(Boolean);
+            if (series.length === 0) return null;
+
+            const container = chart.renderTo || chart.container;
+            if (container) handled.add(container);
+            return {
+              library: 'Highcharts',
+              type: chart.options?.chart?.type || series[0].type,
+              title: chart.title?.textStr || chart.options?.title?.text || (container ? chartTitle(container) : ''),
+              series
+            };
+          }).filter(Boolean);
+        };
+
+        /**
+         * ECharts instances are looked up from their container elements
+         */
+        const readECharts = (handled) => {
+          const echarts = window.echarts;
+          if (!echarts?.getInstanceByDom) return [];
+
+          return pageQueryAll('[_echarts_instance_]').map(el => {
+            const option = echarts.getInstanceByDom(el)?.getOption?.();
+            if (!option) return null;
+
+            const xAxis = [].concat(option.xAxis || [])[0] || {};
+            const labels = (xAxis.data || []).map(d => (d && typeof d === 'object' ? d.value : d));
+            const series = [].concat(option.series || []).map((s, i) =>
+              toSeries(s.name || `Series ${i + 1}`, s.data, { labels, type: s.type, timeAxis: xAxis.type === 'time' })
+            ).filter(Boolean);
+            if (series.length === 0) return null;
+
+            handled.add(el);
+            return {
+              library: 'ECharts',
+              type: [...new Set(series.map(s => s.type))].join('/'),
+              title: [].concat(option.title || [])[0]?.text || chartTitle(el),
+              series
+            };
+          }).filter(Boolean);
+        };
+
+        /**
+         * Recharts: read the chart component's data and child series from React
+         */
+        const readRecharts = (handled) => {
+          const typeName = (child) => child?.type?.displayName || child?.type?.name || '';
+          const flatten = (children) => [].concat(children || []).flatMap(child =>
+            Array.isArray(child) ? flatten(child)
+              : typeName(child) === '' && child?.props?.children ? flatten(child.props.children) // Fragments
+                : [child]);
+          const valueOf = (row, key) => (typeof key === 'function' ? key(row) : row?.[key]);
+
+          return pageQueryAll('.recharts-wrapper').map(wrapper => {
+            const fiberKey = Object.keys(wrapper).find(key =>
+              key.startsWith('__reactFiber$') || key.startsWith('__reactInternalInstance$'));
+            let fiber = fiberKey ? wrapper[fiberKey] : null;
+            for (let depth = 0; fiber && depth < 15; depth++) {
+              if (Array.isArray(fiber.memoizedProps?.data) && fiber.memoizedProps.children) break;
+              fiber = fiber.return;
+            }
+            const props = fiber?.memoizedProps;
+            if (!props?.data) return null;
+
+            const children = flatten(props.children);
+            const xKey = children.find(child => typeName(child) === 'XAxis')?.props?.dataKey;
+
+            const series = children
+              .filter(child => ['Line', 'Bar', 'Area', 'Scatter', 'Pie'].includes(typeName(child)) && child.props?.dataKey)
+              .map((child, i) => {
+                const { dataKey, name, nameKey } = child.props;
+                const rows = child.props.data || props.data;
+                const xField = nameKey || xKey;
+                return toSeries(
+                  name || (typeof dataKey === 'string' ? dataKey : `Series ${i + 1}`),
+                  rows.map((row, j) => ({ x: xField ? valueOf(row, xField) : j, y: Number(valueOf(row, dataKey)) })),
+                  { type: typeName(child).toLowerCase() }
+                );
+              })
+              .filter(Boolean);
+            if (series.length === 0) return null;
+
+            handled.add(wrapper);
+            return { library: 'Recharts', type: [...new Set(series.map(s => s.type))].join('/'), title: chartTitle(wrapper), series };
+          }).filter(Boolean);
+        };
+
+        /**
+         * D3 charts: data bound to SVG elements as __data__
+         * Line and area paths carry a whole series; bars and dots one datum
+         * each, grouped by their parent.
+         */
+        const readD3 = (svg) => {
+          const series = [];
+          const boundName = (bound, el) => (bound && typeof bound === 'object' && !Array.isArray(bound)
+            ? bound.key ?? bound.name ?? bound.id ?? '' : '') ||
+            (el.parentNode?.__data__?.key ?? el.parentNode?.__data__?.name ?? '');
+
+          svg.querySelectorAll('path').forEach(path => {
+            const bound = path.__data__;
+            const data = Array.isArray(bound) ? bound : bound?.values || bound?.points || null;
+            if (!Array.isArray(data) || data.length < 2) return;
+            const s = toSeries(boundName(bound, path) || `Series ${series.length + 1}`, data, { type: 'line' });
+            if (s && s.points.length >= 2) series.push(s);
+          });
+
+          const groups = new Map();
+          svg.querySelectorAll('rect, circle').forEach(el => {
+            const bound = el.__data__;
+            if (bound === undefined || bound === null || (typeof bound !== 'object' && typeof bound !== 'number')) return;
+            if (!groups.has(el.parentNode)) groups.set(el.parentNode, []);
+            groups.get(el.parentNode).push(bound);
+          });
+          groups.forEach((data, parent) => {
+            if (data.length < 2) return;
+            const s = toSeries(boundName(parent.__data__, parent) || `Series ${series.length + 1}`, data,
+              { type: parent.querySelector('rect') ? 'bar' : 'scatter' });
+            if (s && s.points.length >= 2) series.push(s);
+          });
+
+          return series;
+        };
+
+        /**
+         * Parse an axis tick label: 1,200 / 1.2K / $3M / 45%
+         */
+        const parseTick = (text) => {
+          const match = text.replace(/[\s,$€£¥%]/g, '').replace(/−/g, '-').match(/^(-?\d*\.?\d+)([kmb])?$/i);
+          if (!match) return null;
+          return Number(match[1]) * ({ k: 1e3, m: 1e6, b: 1e9 }[match[2]?.toLowerCase()] || 1);
+        };
+
+        /**
+         * Least-squares line through (pixel, value) pairs
+         */
+        const fitAxis = (pairs) => {
+          const n = pairs.length;
+          const meanP = pairs.reduce((sum, [p]) => sum + p, 0) / n;
+          const meanV = pairs.reduce((sum, [, v]) => sum + v, 0) / n;
+          const spread = pairs.reduce((sum, [p]) => sum + (p - meanP) ** 2, 0);
+          if (spread === 0) return null;
+          const slope = pairs.reduce((sum, [p, v]) => sum + (p - meanP) * (v - meanV), 0) / spread;
+          return slope === 0 ? null : (pixel) => meanV + slope * (pixel - meanP);
+        };
+
+        /**
+         * Find an SVG chart's axes from its tick labels
+         * The y axis is a column of numeric labels; the x axis the row of
+         * labels with the most entries, numeric, dates or categories.
+         */
+        const findAxes = (svg) => {
+          const labels = Array.from(svg.querySelectorAll('text')).map(el => {
+            const rect = el.getBoundingClientRect();
+            return {
+              text: (el.textContent || '').trim(),
+              x: rect.left + rect.width / 2,
+              y: rect.top + rect.height / 2,
+              rect
+            };
+          }).filter(label => label.text && label.text.length < 30 && label.rect.width > 0);
+
+          const groupBy = (key) => {
+            const groups = new Map();
+            labels.forEach(label => {
+              const bucket = Math.round(key(label) / 4);
+              if (!groups.has(bucket)) groups.set(bucket, []);
+              groups.get(bucket).push(label);
+            });
+            return [...groups.values()];
+          };
+
+          // Y axis labels line up on their right edge (or left, for axes on the right)
+          const yColumn = [...groupBy(l => l.rect.right), ...groupBy(l => l.rect.left)]
+            .map(group => group.filter(l => parseTick(l.text) !== null))
+            .filter(group => new Set(group.map(l => Math.round(l.y))).size >= 3)
+            .sort((a, b) => b.length - a.length)[0];
+          if (!yColumn) return null;
+
+          const toValue = fitAxis(yColumn.map(l => [l.y, parseTick(l.text)]));
+          if (!toValue) return null;
+
+          const yLabels = new Set(yColumn);
+          const xRow = groupBy(l => l.rect.top)
+            .map(group => group.filter(l => !yLabels.has(l)))
+            .filter(group => group.length >= 2)
+            .sort((a, b) => b.length - a.length || b[0].y - a[0].y)[0];
+          if (!xRow) return { toValue, toX: null };
+
+          const ordered = [...xRow].sort((a, b) => a.x - b.x);
+          if (ordered.every(l => parseTick(l.text) !== null)) {
+            const fit = fitAxis(ordered.map(l => [l.x, parseTick(l.text)]));
+            return { toValue, toX: fit && (pixel => Number(fit(pixel).toPrecision(6))) };
+          }
+          if (ordered.every(l => /\d/.test(l.text) && !isNaN(Date.parse(l.text)))) {
+            const fit = fitAxis(ordered.map(l => [l.x, Date.parse(l.text)]));
+            return { toValue, toX: fit && (pixel => toISODate(fit(pixel))) };
+          }
+          // Categories: the nearest label
+          return {
+            toValue,
+            toX: (pixel) => ordered.reduce((best, l) => (Math.abs(l.x - pixel) < Math.abs(best.x - pixel) ? l : best)).text
+          };
+        };
+
         /**
-         * Extract data from charts (where accessible)
+         * Absolute vertices of an SVG path's d attribute (curves contribute their end points)
+         */
+        const pathVertices = (d) => {
+          const tokens = (d || '').match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+          const args = { M: 2, L: 2, T: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, A: 7, Z: 0 };
+          const points = [];
+          let x = 0;
+          let y = 0;
+          let command = null;
+
+          for (let i = 0; i < tokens.length;) {
+            if (/^[a-z]$/i.test(tokens[i])) command = tokens[i++];
+            const type = command?.toUpperCase();
+            if (!(type in args)) break;
+            if (type === 'Z') {
+              if (i < tokens.length && !/^[a-z]$/i.test(tokens[i])) break;
+              continue;
+            }
+
+            const values = tokens.slice(i, i + args[type]).map(Number);
+            if (values.length < args[type] || values.some(isNaN)) break;
+            i += args[type];
+
+            const relative = command !== type;
+            if (type === 'H') x = relative ? x + values[0] : values[0];
+            else if (type === 'V') y = relative ? y + values[0] : values[0];
+            else {
+              const [endX, endY] = values.slice(-2);
+              x = relative ? x + endX : endX;
+              y = relative ? y + endY : endY;
+            }
+            points.push({ x, y });
+          }
+          return points;
+        };
+
+        /**
+         * Fallback for hand-rolled SVG charts: map line vertices and bar
+         * tops back through the axis tick labels. Values are approximate.
+         */
+        const readSvgGeometry = (svg) => {
+          const box = svg.getBoundingClientRect();
+          if (box.width < 100 || box.height < 60) return [];
+
+          const axes = findAxes(svg);
+          if (!axes?.toX) return [];
+
+          const round = (value) => Number(value.toPrecision(4));
+          const isDecoration = (el) => !!el.closest('[class*="axis"], [class*="grid"], [class*="legend"], .tick, defs, clipPath, mask');
+          const series = [];
+
+          svg.querySelectorAll('path, polyline').forEach(shape => {
+            if (isDecoration(shape)) return;
+            const style = getComputedStyle(shape);
+            const filled = style.fill !== 'none' && !/rgba\(.*,\s*0\)$/.test(style.fill) && style.fillOpacity !== '0';
+            if (filled || style.stroke === 'none') return;
+
+            const vertices = shape.tagName.toLowerCase() === 'polyline'
+              ? (shape.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number)
+                  .reduce((pts, n, i, all) => (i % 2 ? pts : [...pts, { x: n, y: all[i + 1] }]), [])
+              : pathVertices(shape.getAttribute('d'));
+            const matrix = shape.getScreenCTM?.();
+            if (vertices.length < 2 || !matrix) return;
+
+            const points = [];
+            vertices.slice(0, MAX_SERIES_POINTS).forEach(vertex => {
+              const screen = new DOMPoint(vertex.x, vertex.y).matrixTransform(matrix);
+              const x = axes.toX(screen.x);
+              // A line through categories has one vertex per category
+              if (points.length && points[points.length - 1].x === x) return;
+              points.push({ x, y: round(axes.toValue(screen.y)) });
+            });
+            if (points.length >= 2) {
+              series.push({
+                name: shape.getAttribute('aria-label') || `Line ${series.length + 1} (${style.stroke})`,
+                type: 'line',
+                points,
+                truncated: vertices.length > MAX_SERIES_POINTS
+              });
+            }
+          });
+
+          // Bars, grouped by colour
+          const bars = new Map();
+          svg.querySelectorAll('rect').forEach(rect => {
+            if (isDecoration(rect)) return;
+            const r = rect.getBoundingClientRect();
+            if (r.width === 0 || r.height === 0 || r.width > box.width / 2) return;
+            const fill = getComputedStyle(rect).fill;
+            if (fill === 'none') return;
+            const top = axes.toValue(r.top);
+            const bottom = axes.toValue(r.bottom);
+            if (!bars.has(fill)) bars.set(fill, []);
+            bars.get(fill).push({ x: axes.toX(r.left + r.width / 2), y: round(Math.abs(bottom) < Math.abs(top) ? top : bottom), left: r.left });
+          });
+          bars.forEach((points, fill) => {
+            if (points.length < 2) return;
+            points.sort((a, b) => a.left - b.left);
+            series.push({
+              name: `Bars ${series.length + 1} (${fill})`,
+              type: 'bar',
+              points: points.slice(0, MAX_SERIES_POINTS).map(({ x, y }) => ({ x, y })),
+              truncated: points.length > MAX_SERIES_POINTS
+            });
+          });
+
+          return series;
+        };
+
+        /**
+         * Extract data from charts
+         * Live chart-library instances come first, then data D3 bound to SVG
+         * elements, then values read off the drawing of other SVG charts.
+         * SVGs with none of these fall back to their text labels.
          */
         const extractChartData = () => {
           const chartData = [];
-          
-          // SVG charts often have data in elements
-          document.querySelectorAll('svg').forEach((svg, idx) => {
-            if (!isVisible(svg)) return;
-            
+          // Chart containers already read through a library
+          const handled = new Set();
+          const isHandled = (el) => [...handled].some(container => container.contains(el));
+
+          [readChartJs, readHighcharts, readECharts, readRecharts].forEach(read => {
+            try {
+              chartData.push(...read(handled));
+            } catch (e) {
+              // A library's internals changed shape; try the others
+            }
+          });
+
+          pageQueryAll('svg').forEach((svg, idx) => {
+            if (!isVisible(svg) || isHandled(svg) || svg.parentElement?.closest('svg')) return;
+
+            let series = [];
+            let approximate = false;
+            try {
+              series = readD3(svg);
+              if (series.length === 0) {
+                series = readSvgGeometry(svg);
+                approximate = series.length > 0;
+              }
+            } catch (e) {
+              series = [];
+            }
+
+            if (series.length > 0) {
+              chartData.push({
+                index: idx,
+                library: approximate ? 'SVG' : 'D3',
+                type: [...new Set(series.map(s => s.type))].join('/'),
+                title: chartTitle(svg),
+                series,
+                ...(approximate ? { approximate: true } : {})
+              });
+              return;
+            }
+
             const chartInfo = {
               index: idx,
               title: svg.getAttribute('aria-label') || svg.querySelector('title')?.textContent || '',
@@ -435,8 +1108,9 @@ async function extractPageContent(tabId) {
             }
           });
           
-          // Canvas charts - try to get associated data
-          document.querySelectorAll('canvas').forEach((canvas, idx) => {
+          // Canvas charts no library exposed - only their label is available
+          pageQueryAll('canvas').forEach((canvas, idx) => {
+            if (isHandled(canvas)) return;
             const label = canvas.getAttribute('aria-label') || 
                          canvas.closest('[aria-label]')?.getAttribute('aria-label') || 
                          '';
@@ -454,7 +1128,7 @@ async function extractPageContent(tabId) {
         const extractForms = () => {
           const forms = [];
           
-          document.querySelectorAll('form, [role="form"]').forEach((form, idx) => {
+          pageQueryAll('form, [role="form"]').forEach((form, idx) => {
             if (!isVisible(form)) return;
             
             const formData = {
@@ -503,7 +1177,7 @@ async function extractPageContent(tabId) {
         const extractLinks = () => {
           const links = [];
           try {
-            document.querySelectorAll('a[href]').forEach(a => {
+            pageQueryAll('a[href]').forEach(a => {
               if (!isVisible(a)) return;
               const text = getFullText(a).slice(0, 200);
               const href = a.href;
@@ -521,7 +1195,7 @@ async function extractPageContent(tabId) {
         const extractLists = () => {
           const lists = [];
           try {
-            document.querySelectorAll('ul, ol, [role="list"]').forEach((list, idx) => {
+            pageQueryAll('ul, ol, [role="list"]').forEach((list, idx) => {
               if (!isVisible(list)) return;
               
               const items = [];
@@ -540,75 +1214,335 @@ async function extractPageContent(tabId) {
           return lists.slice(0, 20);
         };
 
+        // ============ ARTICLE DETECTION & MARKDOWN ============
+
+        const BOILERPLATE_PATTERN = /(^|[\s_-])(nav|navbar|navigation|menu|header|footer|sidebar|breadcrumbs?|cookies?|consent|gdpr|banner|advert|ads?|promo|newsletter|subscribe|social|share|sharing|related|popup|modal|skip-link)([\s_-]|$)/;
+        const CONTENT_PATTERN = /(^|[\s_-])(article|content|main|post|entry|story|body|text|markdown|prose|readme|docs?)([\s_-]|$)/;
+        const BOILERPLATE_ROLES = ['navigation', 'banner', 'contentinfo', 'complementary', 'search'];
+        const INLINE_TAGS = new Set([
+          'a', 'abbr', 'b', 'bdi', 'bdo', 'button', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i',
+          'img', 'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup',
+          'time', 'u', 'var'
+        ]);
+        const SKIP_TAGS = new Set([
+          'script', 'style', 'noscript', 'template', 'svg', 'head', 'link', 'meta',
+          'input', 'select', 'option', 'textarea'
+        ]);
+
         /**
-         * Extract main content text with better structure - including Shadow DOM
+         * Lowercased id and class names, for boilerplate/content hints
          */
-        const extractMainContent = () => {
-          let allText = '';
-          
-          // 1. Get regular DOM text
-          const clone = document.body.cloneNode(true);
-          const removeSelectors = [
-            'script', 'style', 'noscript', 'iframe',
-            '[aria-hidden="true"]', '[hidden]'
-          ];
-          
-          removeSelectors.forEach(sel => {
-            try {
-              clone.querySelectorAll(sel).forEach(el => el.remove());
-            } catch (e) {}
-          });
-          
-          allText += clone.innerText || clone.textContent || '';
-          
-          // 2. Traverse all Shadow DOMs
-          const shadowRoots = getAllShadowRoots(document.body);
-          shadowRoots.forEach(shadowRoot => {
-            allText += '\n' + traverseShadowDOM(shadowRoot);
-          });
-          
-          // 3. Get text from iframes (same-origin only)
-          try {
-            document.querySelectorAll('iframe').forEach(iframe => {
-              try {
-                const iframeDoc = iframe.contentDocument || iframe.contentWindow?.document;
-                if (iframeDoc && iframeDoc.body) {
-                  allText += '\n[IFRAME CONTENT]\n' + (iframeDoc.body.innerText || '');
-                }
-              } catch (e) {
-                // Cross-origin iframe, skip
-              }
-            });
-          } catch (e) {}
-          
-          // 4. Get text from canvas elements (if they have fallback content)
-          document.querySelectorAll('canvas').forEach(canvas => {
-            const fallback = canvas.textContent?.trim();
-            if (fallback) {
-              allText += '\n' + fallback;
-            }
+        const classAndId = (el) => {
+          const className = typeof el.className === 'string' ? el.className : el.getAttribute?.('class') || '';
+          return `${el.id || ''} ${className}`.toLowerCase();
+        };
+
+        /**
+         * Share of an element's text that sits inside links
+         */
+        const linkDensity = (el) => {
+          const textLength = (el.textContent || '').trim().length;
+          if (!textLength) return 0;
+          let linkLength = 0;
+          el.querySelectorAll('a').forEach(a => {
+            linkLength += (a.textContent || '').trim().length;
           });
-          
-          // Clean up
-          allText = allText
-            .replace(/\t+/g, ' ')
-            .replace(/ +/g, ' ')
-            .replace(/\n{4,}/g, '\n\n\n')
-            .trim();
-          
-          return allText;
+          return linkLength / textLength;
         };
 
         /**
-         * Extract ALL visible text from page using multiple methods
+         * Classify navigation, banners, cookie notices, footers and link
+         * farms using landmarks, class/id hints and link/text density
+         * Site extractor excludes always count. Otherwise, elements holding
+         * most of the content (app shells whose class says "sidebar-layout"
+         * and the like) are never boilerplate.
          */
-        const extractAllVisibleText = () => {
-          const textParts = [];
+        const isBoilerplate = (el, rootTextLength) => {
+          if (isExcluded(el)) return true;
+          if ((el.textContent || '').length > rootTextLength * 0.5) return false;
+
+          const tag = el.tagName.toLowerCase();
+          if (tag === 'nav' || tag === 'aside' || tag === 'footer') return true;
+          if (tag === 'header' && !el.closest('article, main, [role="main"]')) return true;
+          if (BOILERPLATE_ROLES.includes(el.getAttribute('role'))) return true;
+
+          const names = classAndId(el);
+          if (BOILERPLATE_PATTERN.test(names) && !CONTENT_PATTERN.test(names)) return true;
+
+          // Menus, tag clouds and "related" lists: mostly short link labels
+          if (['ul', 'ol', 'menu', 'div', 'section'].includes(tag)) {
+            const links = el.getElementsByTagName('a').length;
+            if (links >= 3 && linkDensity(el) > 0.6 &&
+                (el.textContent || '').trim().length / links < 40) {
+              return true;
+            }
+          }
+          return false;
+        };
+
+        /**
+         * Find the element holding the page's main content
+         * Uses a single <main>/<article> when present, otherwise scores
+         * prose paragraphs Readability-style. Falls back to <body> for
+         * dashboards and other pages without an obvious article.
+         */
+        const findContentRoot = () => {
+          const mains = Array.from(document.querySelectorAll('main, [role="main"]')).filter(isVisible);
+          if (mains.length === 1) return mains[0];
+
+          const articles = Array.from(document.querySelectorAll('article')).filter(isVisible);
+          if (articles.length === 1 && (articles[0].textContent || '').trim().length > 500) {
+            return articles[0];
+          }
+
+          // Paragraphs vote for their parent and (half) their grandparent
+          const scores = new Map();
+          document.querySelectorAll('p, pre, blockquote').forEach(p => {
+            const text = (p.textContent || '').trim();
+            if (text.length < 25 || !isVisible(p)) return;
+            const score = 1 + (text.match(/[,，]/g)?.length || 0) + Math.min(Math.floor(text.length / 100), 3);
+
+            [p.parentElement, p.parentElement?.parentElement].forEach((el, level) => {
+              if (!el || el === document.body) return;
+              if (!scores.has(el)) {
+                const names = classAndId(el);
+                scores.set(el, CONTENT_PATTERN.test(names) ? 25 : BOILERPLATE_PATTERN.test(names) ? -25 : 0);
+              }
+              scores.set(el, scores.get(el) + score / (level + 1));
+            });
+          });
+
+          let best = null;
+          let bestScore = 0;
+          scores.forEach((score, el) => {
+            const adjusted = score * (1 - linkDensity(el));
+            if (adjusted > bestScore) {
+              best = el;
+              bestScore = adjusted;
+            }
+          });
+
+          if (!best || bestScore < 20) return document.body;
+
+          // Content split across sibling containers: take their common parent
+          const siblings = Array.from(best.parentElement?.children || [])
+            .filter(el => el !== best && (scores.get(el) || 0) >= bestScore * 0.2);
+          return siblings.length > 0 && best.parentElement !== document.documentElement ? best.parentElement : best;
+        };
+
+        /**
+         * Serialize a DOM subtree (including shadow roots) to Markdown, keeping headings, code blocks, lists,
+         * blockquotes, tables, links and emphasis. Skipped boilerplate text
+         * is collected in excluded. classify: false only drops site
+         * extractor excludes, for regions the user picked explicitly.
+         */
+        const toMarkdown = (root, excluded, { classify = true } = {}) => {
+          const escapeCell = (text) => text.replace(/\|/g, '\\|').replace(/\s+/g, ' ').trim();
+          const block = (text, separator = '\n\n') => text.trim() ? `${separator}${text.trim()}${separator}` : '';
+          const wrap = (text, marker) => text.trim() ? `${marker}${text.trim()}${marker}` : '';
+
+          const childNodes = (node) => {
+            if (node.shadowRoot) return Array.from(node.shadowRoot.childNodes);
+            if (node.tagName === 'SLOT') {
+              const assigned = node.assignedNodes();
+              return assigned.length > 0 ? assigned : Array.from(node.childNodes);
+            }
+            if (node.tagName === 'IFRAME') return []; // Extracted in its own frame
+            return Array.from(node.childNodes);
+          };
+
+          const rootTextLength = (root.textContent || '').length;
+
+          const serializeChildren = (node, ctx) => childNodes(node).map(child => serialize(child, ctx)).join('');
+
+          const serializeList = (list, ctx) => {
+            const depth = ctx.listDepth || 0;
+            const ordered = list.tagName === 'OL';
+            let index = Number(list.getAttribute('start')) || 1;
+
+            return Array.from(list.children)
+              .filter(li => li.tagName === 'LI' && isVisible(li))
+              .map(li => {
+                const marker = ordered ? `${index++}.` : '-';
+                const content = serializeChildren(li, { ...ctx, listDepth: depth + 1 }).trim().replace(/\n{2,}/g, '\n');
+                return content ? `${'  '.repeat(depth)}${marker} ${content}` : '';
+              })
+              .filter(Boolean)
+              .join('\n');
+          };
+
+          const isDataTable = (table) => !table.querySelector('table') &&
+            Array.from(table.rows).some(row => row.cells.length >= 2);
+
+          const serializeTable = (table) => {
+            const rows = Array.from(table.rows)
+              .filter(isVisible)
+              .map(row => Array.from(row.cells).map(cell => escapeCell(cell.innerText || cell.textContent || '')));
+            if (rows.length === 0) return '';
+
+            const width = Math.max(...rows.map(row => row.length));
+            const line = (row) => `| ${[...row, ...Array(width - row.length).fill('')].join(' | ')} |`;
+            const [header, ...body] = rows;
+            return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
+          };
+
+          const serialize = (node, ctx = {}) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+              return node.textContent.replace(/\s+/g, ' ');
+            }
+            if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+            const el = node;
+            const tag = el.tagName.toLowerCase();
+            if (SKIP_TAGS.has(tag)) return '';
+            if (el.hidden || el.getAttribute('aria-hidden') === 'true' || !isVisible(el)) return '';
+
+            if (el !== root && (classify ? isBoilerplate(el, rootTextLength) : isExcluded(el))) {
+              excluded.push(el.innerText || el.textContent || '');
+              return '';
+            }
+
+            switch (tag) {
+              case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6': {
+                const text = serializeChildren(el, ctx).replace(/\s+/g, ' ').trim();
+                return text ? block(`${'#'.repeat(Number(tag[1]))} ${text}`) : '';
+              }
+              case 'p':
+                return block(serializeChildren(el, ctx));
+              case 'br':
+                return '\n';
+              case 'hr':
+                return '\n\n---\n\n';
+              case 'pre': {
+                const code = el.textContent.replace(/\n$/, '');
+                const hint = `${el.querySelector('code')?.className || ''} ${el.className || ''}`;
+                const lang = hint.match(/(?:language|lang)-([\w+#-]+)/)?.[1] || '';
+                return `\n\n\`\`\`${lang}\n${code}\n\`\`\`\n\n`;
+              }
+              case 'code': {
+                const code = el.textContent;
+                return code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``;
+              }
+              case 'strong': case 'b':
+                return wrap(serializeChildren(el, ctx), '**');
+              case 'em': case 'i':
+                return wrap(serializeChildren(el, ctx), '*');
+              case 'a': {
+                const text = serializeChildren(el, ctx).trim();
+                const href = el.getAttribute('href') || '';
+                if (!text) return '';
+                if (!href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+                return `[${text}](${el.href})`;
+              }
+              case 'img': {
+                const alt = el.alt?.trim();
+                return alt ? `[Image: ${alt}]` : '';
+              }
+              case 'blockquote': {
+                const text = serializeChildren(el, ctx).split('\n').map(line => line.trimEnd())
+                  .join('\n').replace(/\n{3,}/g, '\n\n').trim();
+                return block(text.split('\n').map(line => `> ${line}`.trimEnd()).join('\n'));
+              }
+              case 'ul': case 'ol': case 'menu': {
+                // Not block(): nested lists must keep their indentation
+                const list = serializeList(el, ctx);
+                return list ? (ctx.listDepth ? `\n${list}\n` : `\n\n${list}\n\n`) : '';
+              }
+              case 'table':
+                return isDataTable(el) ? block(serializeTable(el)) : block(serializeChildren(el, ctx), '\n');
+              case 'canvas':
+                // Only fallback content is readable
+                return block(el.textContent || '', '\n');
+              case 'iframe': {
+                const rect = el.getBoundingClientRect();
+                if (rect.width < 40 || rect.height < 40) return '';
+                const index = frameSlots.length;
+                frameSlots.push({
+                  index,
+                  src: el.src || (el.srcdoc ? 'about:srcdoc' : 'about:blank'),
+                  name: el.name || ''
+                });
+                return block(`[[FRAME ${index}]]`);
+              }
+            }
+
+            // Layout decides: dashboards style spans as blocks and flex items
+            const content = serializeChildren(el, ctx);
+            let display = '';
+            try {
+              display = window.getComputedStyle(el).display;
+            } catch (e) {}
+
+            if (!display) return INLINE_TAGS.has(tag) ? content : block(content, '\n');
+            if (display === 'inline' || display === 'contents') return content;
+            if (display.startsWith('inline') || display === 'table-cell') return ` ${content} `;
+            return block(content, '\n');
+          };
+
+          const markdown = serialize(root);
+
+          // Tidy whitespace outside code blocks, keeping list indentation
+          let inFence = false;
+          return markdown.split('\n').map(line => {
+            if (line.startsWith('```')) inFence = !inFence;
+            if (inFence || line.startsWith('```')) return line;
+            return /^\s+([-*]|\d+\.)\s/.test(line) ? line.trimEnd() : line.trim();
+          }).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+        };
+
+        /**
+         * Extract main content as Markdown, without boilerplate
+         * Returns { markdown, boilerplateText } - the text left out is
+         * passed along so the text merge doesn't add it back.
+         */
+        const extractMainContent = () => {
+          const excluded = [];
+
+          // The picked element is the content, whatever it looks like
+          if (scopeRoot) {
+            return { markdown: toMarkdown(scopeRoot, excluded, { classify: false }), boilerplateText: '' };
+          }
+
+          // Site extractor include selectors name the content regions outright
+          const includeRoots = queryAll(document, (site?.include || []).filter(Boolean).join(', '))
+            .filter(el => isVisible(el) && !isExcluded(el));
+          const regions = includeRoots.filter(el => !includeRoots.some(other => other !== el && other.contains(el)));
+          if (regions.length > 0) {
+            return {
+              markdown: regions.map(region => toMarkdown(region, excluded, { classify: false })).join('\n\n'),
+              boilerplateText: (document.body.innerText || '').slice(0, 100000)
+            };
+          }
+
+          const root = findContentRoot();
+
+          // Everything outside the content root counts as boilerplate
+          for (let el = root; el && el !== document.body && el.parentElement; el = el.parentElement) {
+            Array.from(el.parentElement.children).forEach(sibling => {
+              if (sibling !== el && !SKIP_TAGS.has(sibling.tagName.toLowerCase())) {
+                excluded.push(sibling.innerText || sibling.textContent || '');
+              }
+            });
+          }
+
+          const markdown = toMarkdown(root, excluded);
+
+          return {
+            markdown,
+            boilerplateText: excluded.join('\n').slice(0, 100000)
+          };
+        };
+
+        /**
+         * Extract ALL visible text from page using multiple methods
+         */
+        const extractAllVisibleText = () => {
+          const textParts = [];
           
           // Method 1: Selection API - captures exactly what user sees
           try {
             const range = document.createRange();
-            range.selectNodeContents(document.body);
+            range.selectNodeContents(scopeRoot || document.body);
             const selection = window.getSelection();
             selection.removeAllRanges();
             selection.addRange(range);
@@ -622,7 +1556,7 @@ async function extractPageContent(tabId) {
           
           // Method 2: Computed text from all elements
           try {
-            const allElements = document.body.querySelectorAll('*');
+            const allElements = (scopeRoot || document.body).querySelectorAll('*');
             const seenText = new Set();
             
             allElements.forEach(el => {
@@ -671,7 +1605,7 @@ async function extractPageContent(tabId) {
          */
         const extractHeadings = () => {
           const headings = [];
-          document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(h => {
+          pageQueryAll('h1, h2, h3, h4, h5, h6, [role="heading"]').forEach(h => {
             if (!isVisible(h)) return;
             const level = h.tagName.match(/H(\d)/)?.[1] || h.getAttribute('aria-level') || '?';
             const text = getFullText(h);
@@ -687,7 +1621,7 @@ async function extractPageContent(tabId) {
          */
         const extractDataAttributes = () => {
           const data = [];
-          document.querySelectorAll('[data-value], [data-text], [data-content], [data-metric], [data-label]').forEach(el => {
+          pageQueryAll('[data-value], [data-text], [data-content], [data-metric], [data-label]').forEach(el => {
             if (!isVisible(el)) return;
             
             const attrs = {};
@@ -723,10 +1657,20 @@ async function extractPageContent(tabId) {
           links: [],
           lists: [],
           dataAttributes: [],
+          siteExtractor: site?.name || '',
+          scope: options?.scope ? { selector: options.scope, found: !!scopeRoot } : null,
           mainContent: '',
+          boilerplateText: '',
           allVisibleText: '',
-          selectedText: window.getSelection()?.toString() || ''
+          selectedText: window.getSelection()?.toString() || '',
+          frameName: window.name || '',
+          frameSlots
         };
+
+        // Tracking pixels and hidden widgets
+        if (window !== window.top && window.innerWidth * window.innerHeight < 40 * 40) {
+          return { ...extracted, hidden: true };
+        }
         
         // Extract tables (most important for data analysis)
         try {
@@ -734,6 +1678,14 @@ async function extractPageContent(tabId) {
         } catch (e) {
           console.error('Table extraction failed:', e);
         }
+
+        // Full-page capture re-reads only tables and lists at each scroll step
+        if (options?.tablesOnly) {
+          try {
+            extracted.lists = extractLists();
+          } catch (e) {}
+          return extracted;
+        }
         
         // Extract metrics
         try {
@@ -765,9 +1717,11 @@ async function extractPageContent(tabId) {
           extracted.dataAttributes = extractDataAttributes();
         } catch (e) {}
         
-        // Extract main content (including Shadow DOM)
+        // Extract main content as Markdown (including Shadow DOM)
         try {
-          extracted.mainContent = extractMainContent();
+          const { markdown, boilerplateText } = extractMainContent();
+          extracted.mainContent = markdown;
+          extracted.boilerplateText = boilerplateText;
         } catch (e) {
           console.error('Main content extraction failed:', e);
         }
@@ -782,151 +1736,283 @@ async function extractPageContent(tabId) {
         return extracted;
       },
       world: 'MAIN' // Execute in main world for better access
-    });
+    };
+
+    // Every frame, including cross-origin embeds; frames the extension
+    // can't access are skipped by Chrome. A picked scope lives in the top frame.
+    let results;
+    try {
+      results = await chrome.scripting.executeScript({ target: { tabId, allFrames: !options.scope }, ...injection });
+    } catch (error) {
+      console.warn('All-frames extraction failed, reading the top frame only:', error);
+      results = await chrome.scripting.executeScript({ target: { tabId }, ...injection });
+    }
 
-    if (results && results[0]?.result) {
-      return results[0].result;
+    // The picked element is gone: the whole page is read, frames included
+    const top = results?.find(entry => entry.frameId === 0)?.result;
+    if (options.scope && top?.scope && !top.scope.found) {
+      const wholePage = { ...injection, args: [siteExtractor, { ...options, scope: null }] };
+      results = await chrome.scripting.executeScript({ target: { tabId, allFrames: true }, ...wholePage })
+        .catch(() => results);
     }
-    return null;
+
+    const frames = await chrome.webNavigation.getAllFrames({ tabId }).catch(() => null);
+    return stitchFrames(results, frames || []);
   } catch (error) {
     console.error('Content extraction failed:', error);
     return null;
   }
 }
 
+// Packing priority of each kind of page section (lower is kept first)
+const SECTION_RANKS = {
+  page: 0,
+  selection: 1,
+  table: 2,
+  metrics: 3,
+  charts: 4,
+  mainContent: 5,
+  headings: 6,
+  lists: 7,
+  dataAttributes: 8,
+  forms: 9,
+  allVisibleText: 10,
+  links: 11
+};
+
 /**
- * Format extracted content for AI context - comprehensive version
+ * Section banner used in the AI context
  */
-function formatContentForAI(data) {
-  if (!data) return 'Unable to extract page content.';
+function sectionHeading(title) {
+  return `════════════════ ${title} ════════════════`;
+}
+
+// Most points of one chart series written into the context
+const MAX_CONTEXT_POINTS = 60;
+
+/**
+ * Describe a chart series: its range and extremes, then its points
+ * Long series are thinned to evenly spaced points, always keeping the last.
+ */
+function describeSeries(series) {
+  const points = series.points;
+  const format = (value) => (typeof value === 'number' ? value.toLocaleString('en-US', { maximumFractionDigits: 4 }) : value);
+  const min = points.reduce((best, p) => (p.y < best.y ? p : best));
+  const max = points.reduce((best, p) => (p.y > best.y ? p : best));
+
+  const facts = [`${points.length} points`, `min ${format(min.y)} at ${format(min.x)}`, `max ${format(max.y)} at ${format(max.x)}`];
+  const first = points[0].y;
+  const last = points[points.length - 1].y;
+  if (points.length > 1 && first !== 0) {
+    const change = ((last - first) / Math.abs(first)) * 100;
+    facts.push(`first to last ${change >= 0 ? '+' : ''}${change.toFixed(1)}%`);
+  }
+  if (series.truncated) facts.push(`only the first ${points.length} were read`);
+
+  let shown = points;
+  let note = '';
+  if (points.length > MAX_CONTEXT_POINTS) {
+    const step = Math.ceil(points.length / MAX_CONTEXT_POINTS);
+    shown = points.filter((p, i) => i % step === 0 || i === points.length - 1);
+    note = ` (one in every ${step})`;
+  }
+
+  const name = series.name || 'Series';
+  return `  ${name}${series.type ? ` [${series.type}]` : ''}: ${facts.join(', ')}\n` +
+    `    Points${note}: ${shown.map(p => `${format(p.x)} = ${format(p.y)}`).join('; ')}`;
+}
+
+/**
+ * Describe the picked element scope for the page info section
+ */
+function describeScope(scope) {
+  const name = scope.label || scope.selector;
+  return scope.found
+    ? `only the picked element "${name}" was read`
+    : `the picked element "${name}" is not on the page, so the whole page was read`;
+}
 
-  let context = `════════════════════════════════════════════════════════════════
+/**
+ * Split extracted content into ranked sections for the context packer
+ * Sections are returned in display order; each table is its own section
+ * so a budget that can't fit every table still keeps the first ones.
+ */
+function buildContextSections(data) {
+  const sections = [];
+  const add = (id, title, rank, text, heading = sectionHeading(title.toUpperCase())) => {
+    sections.push({ id, title, rank, heading, text: text.trimEnd() });
+  };
+
+  add('page', 'Page info', SECTION_RANKS.page, `════════════════════════════════════════════════════════════════
                     COMPLETE PAGE DATA EXTRACTION
 ════════════════════════════════════════════════════════════════
 
 📍 URL: ${data.url}
 📄 TITLE: ${data.title}
-📝 DESCRIPTION: ${data.metaDescription || 'N/A'}
-
-`;
+📝 DESCRIPTION: ${data.metaDescription || 'N/A'}${data.siteExtractor ? `\n🧩 SITE EXTRACTOR: ${data.siteExtractor}` : ''}${
+  data.capture ? `\n📜 FULL-PAGE CAPTURE: ${describeCapture(data.capture)}` : ''}${
+  data.scope ? `\n🎯 SCOPE: ${describeScope(data.scope)}` : ''}${
+  data.frames?.length > 1 ? `\n🪟 FRAMES:\n${formatFrameTree(data.frames)}` : ''}`, null);
 
   // Selected text (highest priority)
   if (data.selectedText) {
-    context += `════════════════ SELECTED TEXT ════════════════
-${data.selectedText}
-
-`;
+    add('selection', 'Selected text', SECTION_RANKS.selection, data.selectedText);
   }
 
   // Page structure
   if (data.headings?.length > 0) {
-    context += `════════════════ PAGE STRUCTURE ════════════════
-${data.headings.join('\n')}
-
-`;
+    add('headings', 'Page structure', SECTION_RANKS.headings, data.headings.join('\n'));
   }
 
   // TABLES - Critical for data analysis
-  if (data.tables?.length > 0) {
-    context += `════════════════ TABLES & DATA GRIDS ════════════════
-`;
-    data.tables.forEach((table, i) => {
-      context += `\n--- TABLE ${i + 1} ${table.caption ? `(${table.caption})` : ''} ---\n`;
-      
-      if (table.headers?.length > 0) {
-        context += `HEADERS: ${table.headers.join(' | ')}\n`;
-        context += '-'.repeat(50) + '\n';
-      }
-      
-      table.rows?.forEach((row, rowIdx) => {
-        context += `ROW ${rowIdx + 1}: ${row.join(' | ')}\n`;
-      });
+  data.tables?.forEach((table, i) => {
+    let text = `--- TABLE ${i + 1} ${table.caption ? `(${table.caption})` : ''} ---\n`;
+    if (table.frame) {
+      text += `FRAME: ${table.frame}\n`;
+    }
+    if (table.capturedRows) {
+      const reported = data.capture?.reportedTotal;
+      text += `ROWS CAPTURED: ${table.capturedRows.toLocaleString()}${reported ? ` (the page reports ${reported.toLocaleString()} in total)` : ''}\n`;
+    }
+
+    if (table.headers?.length > 0) {
+      text += `HEADERS: ${table.headers.join(' | ')}\n`;
+    }
+    if (table.columns?.length > 0) {
+      text += `COLUMNS (type and statistics):\n${describeColumns(table)}\n`;
+    }
+    if (table.headers?.length > 0 || table.columns?.length > 0) {
+      text += '-'.repeat(50) + '\n';
+    }
+
+    table.rows?.forEach((row, rowIdx) => {
+      text += `ROW ${rowIdx + 1}: ${row.join(' | ')}\n`;
     });
-    context += '\n';
-  }
+
+    add(`table-${i}`, `Table ${i + 1}${table.caption ? ` (${table.caption})` : ''}`, SECTION_RANKS.table, text,
+      sectionHeading('TABLES & DATA GRIDS'));
+  });
 
   // Metrics/KPIs
   if (data.metrics?.length > 0) {
-    context += `════════════════ METRICS & KPIs ════════════════
-`;
-    data.metrics.forEach(m => {
-      context += `• ${m.label || 'Metric'}: ${m.value}\n`;
-    });
-    context += '\n';
+    add('metrics', 'Metrics & KPIs', SECTION_RANKS.metrics,
+      data.metrics.map(m => `• ${m.label || 'Metric'}: ${m.value}`).join('\n'));
   }
 
   // Charts
   if (data.chartData?.length > 0) {
-    context += `════════════════ CHART DATA ════════════════
-`;
-    data.chartData.forEach((chart, i) => {
-      context += `Chart ${i + 1}: ${chart.title || 'Untitled'}\n`;
+    add('charts', 'Chart data', SECTION_RANKS.charts, data.chartData.map((chart, i) => {
+      const kind = [chart.library, chart.type].filter(Boolean).join(' ');
+      let text = `Chart ${i + 1}: ${chart.title || 'Untitled'}${kind ? ` (${kind})` : ''}`;
+      if (chart.approximate) {
+        text += '\n  Values read off the drawing using the axis labels - approximate';
+      }
+      (chart.series || []).forEach(series => {
+        text += `\n${describeSeries(series)}`;
+      });
       if (chart.data?.length > 0) {
-        context += `  Data: ${chart.data.slice(0, 50).join(', ')}\n`;
+        text += `\n  Data: ${chart.data.slice(0, 50).join(', ')}`;
       }
-    });
-    context += '\n';
+      return text;
+    }).join('\n'));
   }
 
   // Data attributes
   if (data.dataAttributes?.length > 0) {
-    context += `════════════════ DATA ATTRIBUTES ════════════════
-`;
-    data.dataAttributes.forEach(d => {
+    add('dataAttributes', 'Data attributes', SECTION_RANKS.dataAttributes, data.dataAttributes.map(d => {
       const attrs = Object.entries(d.attributes).map(([k, v]) => `${k}="${v}"`).join(', ');
-      context += `• ${d.text || 'Element'}: ${attrs}\n`;
-    });
-    context += '\n';
+      return `• ${d.text || 'Element'}: ${attrs}`;
+    }).join('\n'));
   }
 
   // Forms
   if (data.forms?.length > 0) {
-    context += `════════════════ FORMS ════════════════
-`;
-    data.forms.forEach((form, i) => {
-      context += `Form ${i + 1}:\n`;
-      form.fields?.forEach(f => {
-        context += `  • [${f.type}] ${f.label}: ${f.value}\n`;
-      });
-    });
-    context += '\n';
+    add('forms', 'Forms', SECTION_RANKS.forms, data.forms.map((form, i) =>
+      [`Form ${i + 1}:`, ...(form.fields || []).map(f => `  • [${f.type}] ${f.label}: ${f.value}`)].join('\n')
+    ).join('\n'));
   }
 
   // Lists
   if (data.lists?.length > 0) {
-    context += `════════════════ LISTS ════════════════
-`;
-    data.lists.forEach((list, i) => {
-      context += `List ${i + 1}:\n`;
-      list.items?.forEach((item, j) => {
-        context += `  ${j + 1}. ${item}\n`;
-      });
-    });
-    context += '\n';
+    add('lists', 'Lists', SECTION_RANKS.lists, data.lists.map((list, i) =>
+      [`List ${i + 1}:`, ...(list.items || []).map((item, j) => `  ${j + 1}. ${item}`)].join('\n')
+    ).join('\n'));
   }
 
   // Main content
-  context += `════════════════ MAIN PAGE CONTENT ════════════════
-${data.mainContent?.slice(0, 60000) || 'No content extracted'}
-
-`;
+  add('mainContent', 'Main page content', SECTION_RANKS.mainContent, data.mainContent || 'No content extracted');
 
   // All visible text (backup extraction method)
   if (data.allVisibleText && data.allVisibleText.length > 100) {
-    context += `════════════════ ALL VISIBLE TEXT (BACKUP) ════════════════
-${data.allVisibleText?.slice(0, 40000) || ''}
-
-`;
+    add('allVisibleText', 'All visible text (backup)', SECTION_RANKS.allVisibleText, data.allVisibleText);
   }
 
   // Links
   if (data.links?.length > 0) {
-    context += `════════════════ LINKS (${data.links.length} total) ════════════════
-${data.links.slice(0, 50).map(l => `• "${l.text}" → ${l.href}`).join('\n')}
-`;
+    add('links', 'Links', SECTION_RANKS.links,
+      data.links.map(l => `• "${l.text}" → ${l.href}`).join('\n'),
+      sectionHeading(`LINKS (${data.links.length} total)`));
   }
 
-  return context;
+  return sections;
+}
+
+/**
+ * Format extracted content for AI context - comprehensive version
+ * This is the complete, unbudgeted text; chat requests pack the sections
+ * to fit the model instead.
+ */
+function formatContentForAI(data) {
+  if (!data) return 'Unable to extract page content.';
+  return renderSections(buildContextSections(data));
+}
+
+/**
+ * Extract a web page and format it for the model
+ * Returns { hasContent, data } where data is shaped like currentTabData.
+ */
+async function readTabData(tab) {
+  // Extract content, limited to the picked element if this page has one
+  const scope = await getPageScope(tab.url);
+  const extractedData = await extractPageContent(tab.id, await getSiteExtractor(tab.url), { scope: scope?.selector });
+
+  // Check if extraction was successful
+  const hasContent = !!extractedData && (
+    (extractedData.mainContent && extractedData.mainContent.length > 50) ||
+    (extractedData.allVisibleText && extractedData.allVisibleText.length > 50) ||
+    (extractedData.tables && extractedData.tables.length > 0)
+  );
+
+  // Keep one copy of text the extraction methods captured more than once
+  let pageData = extractedData && mergeExtractedText(extractedData);
+
+  const capturedPage = pageData && await getCapturedPage();
+  if (capturedPage?.tabId === tab.id && capturedPage.url === tab.url) {
+    pageData = applyCapture(pageData, capturedPage);
+  }
+
+  if (pageData && scope) {
+    pageData = { ...pageData, scope: { ...scope, found: !!pageData.scope?.found } };
+  }
+
+  // Column types, normalized values and statistics
+  if (pageData) {
+    pageData = { ...pageData, tables: (pageData.tables || []).map(typeTable) };
+  }
+
+  return {
+    hasContent,
+    data: {
+      tabId: tab.id,
+      url: tab.url,
+      title: tab.title || 'Untitled',
+      favicon: tab.favIconUrl || '',
+      content: formatContentForAI(pageData),
+      sections: pageData ? buildContextSections(pageData) : null,
+      rawData: pageData,
+      lastUpdated: Date.now()
+    }
+  };
 }
 
 /**
@@ -950,34 +2036,24 @@ async function updateActiveTabData(tabId, retryCount = 0) {
       return;
     }
 
-    // Extract content
-    const pageData = await extractPageContent(tabId);
-    
-    // Check if extraction was successful
-    const hasContent = pageData && (
-      (pageData.mainContent && pageData.mainContent.length > 50) ||
-      (pageData.allVisibleText && pageData.allVisibleText.length > 50) ||
-      (pageData.tables && pageData.tables.length > 0)
-    );
-    
+    chrome.storage.session.set({ lastWebTabId: tabId }).catch(() => {});
+
+    // A capture only applies to the page it was taken on
+    const capturedPage = await getCapturedPage();
+    if (capturedPage?.tabId === tabId && capturedPage.url !== tab.url) {
+      await chrome.storage.session.remove('capturedPage');
+    }
+
+    const { hasContent, data } = await readTabData(tab);
+
     // If no content and haven't retried, wait and retry (for SPAs)
     if (!hasContent && retryCount < 2) {
       console.log(`No content found, retrying in 1.5s (attempt ${retryCount + 1})`);
       setTimeout(() => updateActiveTabData(tabId, retryCount + 1), 1500);
       return;
     }
-    
-    const formattedContent = formatContentForAI(pageData);
 
-    currentTabData = {
-      tabId,
-      url: tab.url,
-      title: tab.title || 'Untitled',
-      favicon: tab.favIconUrl || '',
-      content: formattedContent,
-      rawData: pageData,
-      lastUpdated: Date.now()
-    };
+    currentTabData = data;
 
     // Notify side panel of update
     broadcastTabUpdate();
@@ -999,6 +2075,8 @@ function broadcastTabUpdate() {
       title: currentTabData.title,
       favicon: currentTabData.favicon,
       hasContent: currentTabData.content.length > 100,
+      tableCount: currentTabData.rawData?.tables?.length || 0,
+      scope: currentTabData.rawData?.scope || null,
       lastUpdated: currentTabData.lastUpdated
     }
   }).catch(() => {
@@ -1007,63 +2085,422 @@ function broadcastTabUpdate() {
 }
 
 /**
- * Call OpenAI API
+ * Parse the fallback model list (one model ID per line or comma-separated)
  */
-async function callOpenAI(messages, settings) {
-  if (!settings.apiKey) {
-    throw new Error('API key not configured. Click the gear icon to add your OpenAI API key.');
-  }
+function parseModelList(text) {
+  return (text || '')
+    .split(/[\n,]/)
+    .map(model => model.trim())
+    .filter(Boolean);
+}
 
-  const response = await fetch('https://api.openai.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${settings.apiKey}`
-    },
-    body: JSON.stringify({
-      model: settings.model,
-      messages,
-      max_tokens: settings.maxTokens,
-      temperature: 0.7
-    })
-  });
+/**
+ * Check whether a failed request is worth repeating with a fallback model
+ * Auth and configuration problems would fail the same way for every model.
+ */
+function shouldFallback(error) {
+  if (isAbortError(error) || error.type === 'configuration') return false;
+  if (!error.status) return true;
+  return error.status === 404 || isRetryableStatus(error.status);
+}
 
-  if (!response.ok) {
-    const error = await response.json().catch(() => ({}));
-    throw new Error(error.error?.message || `API error: ${response.status}`);
-  }
+// Attachments may use at most this share of the prompt budget, so page
+// context isn't crowded out entirely by a large file
+const ATTACHMENT_BUDGET_SHARE = 0.75;
 
-  const data = await response.json();
-  return data.choices[0]?.message?.content || 'No response generated.';
-}
+// Asks the model to mark the page text it relies on; the panel turns the
+// markers into chips that highlight the text on the page
+const CITATION_INSTRUCTIONS = `CITATIONS:
+When a statement relies on specific text, numbers or data from the page content, put a citation right after it in the form [[cite: exact text]], where the exact text is a short span (a few words up to one sentence) copied verbatim from the page content. Only cite the page content, never attachments or your own wording, and use at most one citation per sentence.`;
 
 /**
- * Handle chat message from side panel
+ * Wrap page context in the system prompt
  */
-async function handleChatMessage(userMessage, conversationHistory) {
-  const settings = await getSettings();
-  
-  // Build messages array
-  const messages = [
-    {
-      role: 'system',
-      content: `${settings.systemPrompt}
+function buildSystemPrompt(systemPrompt, pageContext, { citations = false } = {}) {
+  return `${systemPrompt}${citations ? `\n\n${CITATION_INSTRUCTIONS}` : ''}
 
 ════════════════════════════════════════════════════════════════
                  CURRENT PAGE CONTENT BELOW
 ════════════════════════════════════════════════════════════════
 
-${currentTabData.content}
+${pageContext}
 
 ════════════════════════════════════════════════════════════════
                  END OF PAGE CONTENT
-════════════════════════════════════════════════════════════════`
-    },
-    ...conversationHistory,
-    { role: 'user', content: userMessage }
+════════════════════════════════════════════════════════════════`;
+}
+
+/**
+ * Build the user message with attached files in code fences
+ * Attached images are listed by name; their pixels go in separate image parts.
+ */
+function buildUserContent(userMessage, attachments, imageLabels = []) {
+  const files = attachments.map(file =>
+    `[ATTACHED FILE: ${file.name}${file.note ? ` (${file.note})` : ''}]\n\`\`\`\n${file.text}\n\`\`\``);
+  return [userMessage, ...files, ...imageLabels].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Quote the page selections the user asked about, with their headings
+ */
+function formatSelections(selections) {
+  return selections.map((selection, i) => {
+    const label = selections.length > 1 ? `SELECTED TEXT ${i + 1} of ${selections.length}` : 'SELECTED TEXT';
+    const quote = selection.text.split('\n').map(line => `> ${line}`).join('\n');
+    return `[${label}${selection.heading ? ` under "${selection.heading}"` : ''}]\n${quote}`;
+  }).join('\n\n');
+}
+
+/**
+ * Page sections to pack for a message about selected text
+ * The queued selections are quoted in the user message, so the selection
+ * read at extraction time is left out. With selectionOnly the page narrows
+ * to its info header and the section around each selection.
+ */
+function selectionContextSections(sections, selections, selectionOnly) {
+  if (!sections || !selections.length) return sections;
+
+  const rest = sections.filter(section => section.id !== 'selection');
+  if (!selectionOnly) return rest;
+
+  const around = [...new Set(selections.map(selection => selection.section).filter(Boolean))];
+  return [
+    ...rest.filter(section => section.id === 'page'),
+    ...around.map((text, i) => ({
+      id: `selection-section-${i}`,
+      title: around.length > 1 ? `Section around selection ${i + 1}` : 'Section around the selection',
+      rank: SECTION_RANKS.selection,
+      heading: sectionHeading('SECTION AROUND THE SELECTED TEXT'),
+      text
+    }))
+  ];
+}
+
+/**
+ * Pack text attachments into their share of the budget
+ * Parsed documents arrive as parts (pages, sections, sheets, slides) and are
+ * packed a part at a time: the first part of every file goes in before the
+ * second part of any, and a long file keeps its parts from the start up to
+ * the first one that doesn't fit, losing the rest instead of being cut off
+ * mid-page. Only a file's first part is cut short, when even that doesn't
+ * fit. Returns { files: [{ name, text, note }], report } with one report
+ * entry per file.
+ */
+function packAttachments(attachments, budget) {
+  const sections = attachments.flatMap((file, i) =>
+    (file.parts?.length ? file.parts : [{ title: '', text: file.content }]).map((part, j) => ({
+      id: `attachment-${i}-${j}`,
+      file: i,
+      group: i,
+      title: part.title,
+      rank: j,
+      text: part.text
+    }))
+  );
+  const packed = packSections(sections, budget);
+
+  const files = [];
+  const reportSections = [];
+  attachments.forEach((file, i) => {
+    const entries = packed.report.sections.filter((_, k) => sections[k].file === i);
+    const kept = packed.kept.filter(section => section.file === i);
+    const left = entries.filter(entry => entry.status === 'dropped').length;
+    const unit = file.unit || 'part';
+    const count = (n) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+
+    const partial = file.parts?.length > 1 && left > 0;
+    if (kept.length) {
+      files.push({
+        name: file.name,
+        text: kept.map(section => section.text).join('\n\n'),
+        note: partial ? `${count(entries.length)}; the last ${count(left)} left out to fit the context window` : ''
+      });
+    }
+
+    const status = left === entries.length ? 'dropped'
+      : entries.every(entry => entry.status === 'included') ? 'included' : 'truncated';
+    reportSections.push({
+      id: `attachment-${i}`,
+      title: partial && kept.length ? `Attachment ${file.name} (${entries.length - left} of ${count(entries.length)})` : `Attachment ${file.name}`,
+      tokens: entries.reduce((sum, entry) => sum + entry.tokens, 0),
+      keptTokens: entries.reduce((sum, entry) => sum + entry.keptTokens, 0),
+      status
+    });
+  });
+
+  return { files, report: { ...packed.report, sections: reportSections } };
+}
+
+/**
+ * Build the messages for one model, packing page context and attachments
+ * into the tokens its context window leaves after the response, system
+ * prompt, history and question. Oldest history turns are dropped when the
+ * history alone would leave no room for the page. Attached images and the
+ * screenshot are added as image parts when the model accepts images.
+ * Selected page text is quoted after the question.
+ * Returns { messages, userContent, report }.
+ */
+function buildChatMessages(settings, model, userMessage, attachments, conversationHistory, screenshot = null,
+  { selections = [], selectionOnly = false, tabData = currentTabData } = {}) {
+  const capabilities = getModelCapabilities(model);
+  const outputTokens = Math.min(settings.maxTokens, capabilities.maxOutputTokens);
+  const question = [userMessage, formatSelections(selections)].filter(Boolean).join('\n\n');
+
+  const screenshotNote = screenshot?.fullPage
+    ? `[Screenshot of the whole page${screenshot.truncated ? ' (top part only)' : ''}]`
+    : '[Screenshot of the visible part of the page]';
+  const attachedImages = attachments.filter(file => file.type === 'image').map(file => ({
+    label: `[ATTACHED IMAGE: ${file.name}]`,
+    url: file.dataUrl,
+    tokens: estimateImageTokens(file.width, file.height)
+  }));
+  const images = [
+    ...attachedImages,
+    ...(screenshot ? [{ label: screenshotNote, url: screenshot.dataUrl, tokens: screenshot.tokens }] : [])
+  ];
+  const sentImages = capabilities.vision ? images : [];
+
+  const baseTokens = countTokens(buildSystemPrompt(settings.systemPrompt, '', settings)) +
+    countTokens(question) + countMessageTokens([{ content: '' }, { content: '' }]) +
+    sentImages.reduce((sum, image) => sum + image.tokens + countTokens(image.label), 0);
+
+  let history = conversationHistory;
+  const available = () => computeContextBudget({
+    contextWindow: capabilities.contextWindow,
+    outputTokens,
+    fixedTokens: baseTokens + countMessageTokens(history)
+  });
+
+  while (available() < Math.min(2000, capabilities.contextWindow / 4) && history.length > 2) {
+    history = history.slice(2);
+  }
+
+  const budget = available();
+
+  // Attachments first: the user explicitly asked about them
+  const packedFiles = packAttachments(
+    attachments.filter(file => file.type !== 'image'),
+    Math.floor(budget * ATTACHMENT_BUDGET_SHARE)
+  );
+  const keptFiles = packedFiles.files;
+
+  // History keeps only the image names; the pixels are sent with this turn alone
+  const userContent = buildUserContent(question, keptFiles, attachedImages.map(image => image.label));
+
+  const pageBudget = budget - packedFiles.report.used;
+  const pageSections = selectionContextSections(tabData.sections, selections, selectionOnly);
+  let pageContext = tabData.content;
+  let pageReport = null;
+
+  if (pageSections) {
+    const packed = packSections(pageSections, pageBudget);
+    pageContext = packed.text;
+    pageReport = packed.report;
+
+    const omissions = describeOmissions(packed.report);
+    if (omissions) {
+      pageContext += `NOTE: Parts of this page were left out to fit the model's context window (${omissions}). ` +
+        'If the answer may depend on them, say so.\n';
+    }
+    if (selectionOnly && selections.length) {
+      pageContext += 'NOTE: The user asked about the selected text only, so the rest of the page was left out. ' +
+        'Answer from the selection and the section around it.\n';
+    }
+  }
+
+  const sections = [
+    ...packedFiles.report.sections,
+    ...(pageReport?.sections || [])
   ];
+  const report = {
+    model,
+    contextWindow: capabilities.contextWindow,
+    budget,
+    used: packedFiles.report.used + (pageReport?.used || 0),
+    historyDropped: conversationHistory.length - history.length,
+    sections,
+    ...(images.length > sentImages.length ? { imagesDropped: images.length - sentImages.length } : {})
+  };
+  report.summary = describeOmissions(report);
+
+  let content = userContent;
+  if (sentImages.length) {
+    content = [
+      { type: 'text', text: buildUserContent(question, keptFiles) || 'See the images below.' },
+      ...sentImages.flatMap(image => [
+        { type: 'text', text: image.label },
+        { type: 'image_url', image_url: { url: image.url, detail: 'high' } }
+      ])
+    ];
+  } else if (images.length) {
+    content += '\n\n[The model in use cannot view images, so they were not sent.]';
+  }
+
+  return {
+    messages: [
+      { role: 'system', content: buildSystemPrompt(settings.systemPrompt, pageContext, settings) },
+      ...history,
+      { role: 'user', content }
+    ],
+    userContent,
+    report
+  };
+}
+
+/**
+ * Add up token usage across the requests of one answer
+ */
+function addUsage(total, usage) {
+  if (!usage) return total;
+  if (!total) return { ...usage };
+  return {
+    promptTokens: total.promptTokens + usage.promptTokens,
+    completionTokens: total.completionTokens + usage.completionTokens,
+    totalTokens: total.totalTokens + usage.totalTokens
+  };
+}
+
+/**
+ * Run one model request, letting the model call the computation tool
+ * Each round that ends in tool calls runs the code through runTool and
+ * sends the results back, until the model answers in text or runs out of
+ * rounds. Text from every round is streamed and joined.
+ */
+async function runChatWithTools(provider, messages, settings, { tools, runTool, computeData, onDelta, signal, onRetry }) {
+  let turn = messages;
+  let content = '';
+  let usage = null;
+  const toolRuns = [];
+
+  for (let round = 0; ; round++) {
+    let roundText = '';
+    const result = await provider.sendChat(turn, settings, {
+      onDelta: (delta) => {
+        // Keep text from separate rounds in separate paragraphs
+        if (!roundText && content) onDelta('\n\n');
+        roundText += delta;
+        onDelta(delta);
+      },
+      signal,
+      onRetry,
+      tools
+    });
+
+    usage = addUsage(usage, result.usage);
+    if (roundText) content += (content ? '\n\n' : '') + roundText;
+
+    const calls = result.toolCalls || [];
+    if (result.finishReason !== 'tool_calls' || calls.length === 0 || round >= MAX_TOOL_ROUNDS) {
+      return {
+        ...result,
+        content: content || result.content || 'No response generated.',
+        usage,
+        toolRuns
+      };
+    }
 
-  return await callOpenAI(messages, settings);
+    const results = [];
+    for (const call of calls) {
+      let output;
+      if (call.name === COMPUTE_TOOL.name) {
+        const run = await runTool({ id: call.id, code: getToolCode(call), data: computeData });
+        toolRuns.push(run);
+        output = formatToolResult(run);
+      } else {
+        output = `Error: unknown tool "${call.name}"`;
+      }
+      if (round === MAX_TOOL_ROUNDS - 1) {
+        output += '\n\nThat was the last run allowed for this answer. Reply to the user now.';
+      }
+      results.push({ role: 'tool', toolCallId: call.id, content: output });
+    }
+
+    turn = [...turn, { role: 'assistant', content: roundText, toolCalls: calls }, ...results];
+  }
+}
+
+/**
+ * Handle chat message from side panel
+ * Tries the configured model first, then each fallback model in order if it
+ * fails or is overloaded before any text has been streamed. onContext is
+ * told what was packed into each attempt's prompt. When runTool is given
+ * and the model supports function calling, the model may run JavaScript
+ * over the page's tables and metrics; runTool({ id, code, data }) executes
+ * it and resolves with { code, result, logs, error }. screenshot ('visible'
+ * or 'full') captures the tab for vision models; onScreenshot receives it.
+ * selections are quoted with the question; selectionOnly narrows the page
+ * context to the sections around them. tabData is the page asked about,
+ * the active tab unless given.
+ */
+async function handleChatMessage(userMessage, conversationHistory, {
+  attachments = [], selections = [], selectionOnly = false, screenshot: screenshotMode = null,
+  tabData = currentTabData, onDelta, signal, onRetry, onFallback, onContext, onScreenshot, runTool
+} = {}) {
+  const settings = await getSettings();
+  const provider = getProvider(settings.provider);
+  const models = [settings.model, ...parseModelList(settings.fallbackModels)]
+    .filter((model, index, list) => list.indexOf(model) === index);
+
+  let streamed = false;
+  const handleDelta = (content) => {
+    streamed = true;
+    onDelta?.(content);
+  };
+  const handleToolRun = async (request) => {
+    // Code ran against the page; a fallback model would start over
+    streamed = true;
+    return runTool(request);
+  };
+  const computeData = runTool && settings.computeTool ? buildComputeData(tabData.rawData) : null;
+
+  let screenshot = null;
+  if (screenshotMode) {
+    if (!tabData.tabId) throw new Error('No page to take a screenshot of');
+    screenshot = await captureScreenshot(tabData.tabId, { fullPage: screenshotMode === 'full', signal });
+    onScreenshot?.(screenshot);
+  }
+
+  for (let i = 0; i < models.length; i++) {
+    const model = models[i];
+    const { messages, userContent, report } = buildChatMessages(settings, model, userMessage, attachments,
+      conversationHistory, screenshot, { selections, selectionOnly, tabData });
+    onContext?.({ userContent, report });
+
+    try {
+      const result = await runChatWithTools(provider, messages, { ...settings, model }, {
+        tools: computeData && getModelCapabilities(model).tools ? [COMPUTE_TOOL] : undefined,
+        runTool: handleToolRun,
+        computeData,
+        onDelta: handleDelta,
+        signal,
+        onRetry: (info) => onRetry?.({ ...info, model })
+      });
+      return { ...result, model, userContent, report };
+    } catch (error) {
+      const next = models[i + 1];
+      if (!next || streamed || signal?.aborted || !shouldFallback(error)) throw error;
+      console.warn(`Model ${model} failed, falling back to ${next}:`, error.message);
+      onFallback?.({ from: model, to: next, reason: error.message });
+    }
+  }
+}
+
+/**
+ * Let the user pick an element on the current tab and scope extraction to it
+ * Resolves with the saved scope, or null when the picker was cancelled.
+ */
+async function pickElement() {
+  const tabId = currentTabData.tabId;
+  if (!tabId || !currentTabData.url?.startsWith('http')) throw new Error('Open a web page first');
+
+  await chrome.scripting.executeScript({ target: { tabId }, files: ['src/content/content.js'] });
+  const picked = await chrome.tabs.sendMessage(tabId, { action: 'startPicker' }, { frameId: 0 }).catch(() => null);
+  if (!picked?.selector) return null;
+
+  const tab = await chrome.tabs.get(tabId);
+  const scope = await savePageScope(tab.url, picked);
+  if (currentTabData.tabId === tabId) await updateActiveTabData(tabId);
+  return scope;
 }
 
 // ============ EVENT LISTENERS ============
@@ -1124,18 +2561,165 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   if (message.action === 'chat') {
     (async () => {
+      const controller = new AbortController();
+      if (message.requestId) activeChats.set(message.requestId, controller);
+
       try {
-        const response = await handleChatMessage(message.userMessage, message.history || []);
-        sendResponse({ success: true, response });
+        const result = await handleChatMessage(message.userMessage, message.history || [], {
+          attachments: message.attachments || [],
+          signal: controller.signal
+        });
+        sendResponse({
+          success: true,
+          response: result.content,
+          finishReason: result.finishReason,
+          usage: result.usage,
+          model: result.model,
+          userContent: result.userContent,
+          context: result.report
+        });
       } catch (error) {
-        sendResponse({ success: false, error: error.message });
+        if (isAbortError(error)) {
+          sendResponse({ success: false, cancelled: true, error: 'Request cancelled' });
+        } else {
+          sendResponse({ success: false, error: error.message });
+        }
+      } finally {
+        activeChats.delete(message.requestId);
       }
     })();
     return true;
   }
 
+  if (message.action === 'cancelChat') {
+    const controller = activeChats.get(message.requestId);
+    controller?.abort();
+    sendResponse({ success: Boolean(controller) });
+    return true;
+  }
+
   if (message.action === 'getSettings') {
-    getSettings().then(sendResponse);
+    getSettings().then(settings => {
+      sendResponse({
+        ...settings,
+        hasApiKey: getProvider(settings.provider).isConfigured(settings)
+      });
+    });
+    return true;
+  }
+
+  if (message.action === 'listModels') {
+    (async () => {
+      try {
+        // Settings page sends its unsaved form values so keys can be tested before saving
+        const models = await getProvider(message.provider).listModels(message.settings || {});
+        sendResponse({ success: true, models });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
+  if (message.action === 'previewSiteExtractor') {
+    (async () => {
+      try {
+        const tab = await getLastWebTab();
+        if (!tab) {
+          sendResponse({ success: false, error: 'Open a web page in a tab first' });
+          return;
+        }
+        const data = await extractPageContent(tab.id, message.extractor);
+        if (!data) throw new Error('Could not read the page');
+        sendResponse({
+          success: true,
+          url: tab.url,
+          title: tab.title,
+          matches: findExtractor([{ ...message.extractor, enabled: true }], tab.url) !== null,
+          data: mergeExtractedText(data)
+        });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+    })();
+    return true;
+  }
+
+  if (message.action === 'highlightCitation') {
+    highlightCitation(currentTabData.tabId, message.text)
+      .then(sendResponse)
+      .catch(error => sendResponse({ found: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'startElementPicker') {
+    pickElement()
+      .then(scope => sendResponse({ success: true, scope }))
+      .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (message.action === 'stopElementPicker') {
+    if (currentTabData.tabId) {
+      chrome.tabs.sendMessage(currentTabData.tabId, { action: 'stopPicker' }, { frameId: 0 }).catch(() => {
+        // Page navigated away; the picker went with it
+      });
+    }
+    sendResponse({ success: true });
+    return true;
+  }
+
+  if (message.action === 'clearScope') {
+    (async () => {
+      if (currentTabData.url) await clearPageScope(currentTabData.url);
+      if (currentTabData.tabId) await updateActiveTabData(currentTabData.tabId);
+      sendResponse({ success: true });
+    })();
+    return true;
+  }
+
+  if (message.action === 'continueInPanel') {
+    pendingHandoff = message.exchange;
+    // Opening the panel needs the user's click, so it can't wait for anything else
+    chrome.sidePanel.open({ windowId: sender.tab.windowId })
+      .then(() => sendResponse({ opened: true }), () => sendResponse({ opened: false }))
+      .finally(() => chrome.runtime.sendMessage({ action: 'handoffReady' }).catch(() => {
+        // Panel not open yet; it picks the handoff up when it loads
+      }));
+    return true;
+  }
+
+  if (message.action === 'takeHandoff') {
+    sendResponse(pendingHandoff);
+    pendingHandoff = null;
+    return true;
+  }
+
+  if (message.action === 'takeMenuRequest') {
+    sendResponse(pendingMenuRequest);
+    pendingMenuRequest = null;
+    return true;
+  }
+
+  if (message.action === 'getTables') {
+    sendResponse({
+      url: currentTabData.url,
+      title: currentTabData.title,
+      tables: currentTabData.rawData?.tables || []
+    });
+    return true;
+  }
+
+  if (message.action === 'detectPagination') {
+    (async () => {
+      try {
+        const tab = currentTabData.tabId && await chrome.tabs.get(currentTabData.tabId);
+        if (!tab?.url?.startsWith('http')) throw new Error('Open a web page first');
+        sendResponse(await detectPagination(tab.id));
+      } catch (error) {
+        sendResponse({ found: false, error: error.message });
+      }
+    })();
     return true;
   }
 
@@ -1146,10 +2730,206 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+/**
+ * Page data for a chat port
+ * The side panel asks about the active tab. The Ask AI bubble asks about
+ * its own tab, which may be in another window or read before the service
+ * worker was restarted, so that tab is read again unless it's the one
+ * currentTabData already holds.
+ */
+async function getSenderTabData(sender) {
+  const tab = sender?.tab;
+  if (!tab || (currentTabData.tabId === tab.id && currentTabData.url === tab.url && currentTabData.rawData)) {
+    return currentTabData;
+  }
+  return (await readTabData(tab)).data;
+}
+
+// Streaming chat: the side panel opens a long-lived port per request and
+// receives a 'screenshot' event with a thumbnail (when one was requested),
+// a 'context' event describing the packed prompt, 'delta' events (plus
+// 'retry'/'fallback' notices), followed by a single 'done', 'cancelled' or
+// 'error' event. Sending { action: 'cancel' } or disconnecting the port
+// aborts the request. 'tool' events ask the panel to run code in its
+// sandbox; it answers with { action: 'toolResult', id, run }. The content
+// script's Ask AI bubble uses the same port with tools: false.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'chat') return;
+
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  const post = (event) => {
+    if (disconnected) return;
+    try {
+      port.postMessage(event);
+    } catch (e) {
+      disconnected = true;
+    }
+  };
+
+  // Tool runs waiting for the panel's result, by call ID
+  const pendingRuns = new Map();
+  const runTool = ({ id, code, data }) => new Promise((resolve, reject) => {
+    const abort = () => reject(new DOMException('Request cancelled', 'AbortError'));
+    if (controller.signal.aborted) return abort();
+    controller.signal.addEventListener('abort', abort, { once: true });
+    pendingRuns.set(id, (run) => {
+      controller.signal.removeEventListener('abort', abort);
+      resolve({ code, ...run });
+    });
+    post({ type: 'tool', id, code, data });
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message.action === 'cancel') {
+      controller.abort();
+      return;
+    }
+    if (message.action === 'toolResult') {
+      pendingRuns.get(message.id)?.(message.run || { error: 'No result' });
+      pendingRuns.delete(message.id);
+      return;
+    }
+    if (message.action !== 'chat') return;
+
+    try {
+      const result = await handleChatMessage(message.userMessage, message.history || [], {
+        attachments: message.attachments || [],
+        selections: message.selections || [],
+        selectionOnly: !!message.selectionOnly,
+        screenshot: message.screenshot || null,
+        tabData: await getSenderTabData(port.sender),
+        signal: controller.signal,
+        onContext: ({ userContent, report }) => post({ type: 'context', userContent, report }),
+        onScreenshot: ({ thumbnail, width, height, fullPage, truncated }) =>
+          post({ type: 'screenshot', thumbnail, width, height, fullPage, truncated }),
+        onDelta: (content) => post({ type: 'delta', content }),
+        onRetry: (info) => post({ type: 'retry', ...info }),
+        onFallback: (info) => post({ type: 'fallback', ...info }),
+        // The in-page bubble has no sandbox to run code in
+        runTool: message.tools === false ? undefined : runTool
+      });
+      post({
+        type: 'done',
+        content: result.content,
+        finishReason: result.finishReason,
+        usage: result.usage,
+        model: result.model,
+        toolRuns: result.toolRuns
+      });
+    } catch (error) {
+      if (isAbortError(error)) {
+        post({ type: 'cancelled' });
+      } else {
+        post({ type: 'error', error: error.message });
+      }
+    }
+  });
+});
+
+// Full-page capture (mode 'scroll') or pagination crawl (mode 'pages')
+// over a port, reporting progress as it goes
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'capture') return;
+
+  const controller = new AbortController();
+  let disconnected = false;
+  port.onDisconnect.addListener(() => {
+    disconnected = true;
+    controller.abort();
+  });
+
+  const post = (event) => {
+    if (disconnected) return;
+    try {
+      port.postMessage(event);
+    } catch (e) {
+      disconnected = true;
+    }
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message.action === 'cancel') {
+      controller.abort();
+      return;
+    }
+    if (message.action !== 'capture') return;
+
+    try {
+      const tabId = currentTabData.tabId;
+      const tab = tabId && await chrome.tabs.get(tabId);
+      if (!tab?.url?.startsWith('http')) {
+        throw new Error('Open a web page to capture');
+      }
+
+      const siteExtractor = await getSiteExtractor(tab.url);
+      const scope = await getPageScope(tab.url);
+      const options = {
+        extract: () => extractPageContent(tabId, siteExtractor, { tablesOnly: true, scope: scope?.selector }),
+        onProgress: (progress) => post({ type: 'progress', ...progress }),
+        signal: controller.signal
+      };
+
+      let result;
+      if (message.mode === 'pages') {
+        const pager = await detectPagination(tabId);
+        if (!pager?.found) throw new Error('No next-page control found on this page');
+        result = await walkPages(tabId, { ...options, pager });
+      } else {
+        result = await captureFullPage(tabId, options);
+      }
+
+      // Pagers that load new documents leave the tab on the last page
+      const { url } = await chrome.tabs.get(tabId);
+      await chrome.storage.session.set({ capturedPage: { tabId, url, ...result } });
+      await updateActiveTabData(tabId);
+      post({ type: 'done', info: result.info });
+    } catch (error) {
+      post({ type: 'error', error: error.message });
+    }
+  });
+});
+
+// Re-extract the current tab when site extractors are edited
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes.siteExtractors) {
+    getLastWebTab().then(tab => tab && updateActiveTabData(tab.id));
+  }
+});
+
+// Right-click menu: open the side panel with the prompt filled in. The
+// selection is read again from the page for its heading and section; until
+// then the panel gets the plain text the menu reports.
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const request = buildMenuRequest(info);
+  if (!request || !tab) return;
+  pendingMenuRequest = request;
+
+  // Only allowed while the click still counts as a user gesture
+  chrome.sidePanel.open({ windowId: tab.windowId }).catch(error => {
+    console.warn('Could not open the side panel:', error.message);
+  });
+
+  if (request.selection) {
+    const response = await chrome.tabs.sendMessage(tab.id, { action: 'getSelection' }, { frameId: info.frameId || 0 })
+      .catch(() => null);
+    if (response?.text) request.selection = response;
+  }
+  chrome.runtime.sendMessage({ action: 'menuRequestReady' }).catch(() => {
+    // Panel not open yet; it picks the request up when it loads
+  });
+});
+
 // Initialize on install
 chrome.runtime.onInstalled.addListener(async (details) => {
   // Set up side panel behavior
   await chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
+  await createContextMenus();
   
   if (details.reason === 'install') {
     // Open settings on first install
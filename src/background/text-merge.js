@@ -0,0 +1,220 @@
+/**
+ * AI Tab Assistant - Text Merge
+ * 
+ * Merges the overlapping text captured by the different extraction methods.
+ * mainContent, allVisibleText, tables and lists largely repeat each other;
+ * paragraphs are fingerprinted so each piece of text is kept once, in
+ * document order, without losing lines only one method picked up.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+// Labels extractAllVisibleText puts between its methods
+const METHOD_MARKERS = /^\[(VISIBLE TEXT VIA SELECTION|ELEMENT TEXT)\]$/;
+
+// Lines up to this many words must appear verbatim in the body
+const SHINGLE_SIZE = 4;
+
+// Longer lines count as contained when this share of their word pairs is
+// in the body. Text-node fragments skip inline children ("See the for more.")
+// so an exact match would miss them.
+const MIN_PAIR_COVERAGE = 0.75;
+
+// Shorter paragraphs ("Edit", "0", "Read more") legitimately repeat
+const MIN_REPEAT_LENGTH = 40;
+
+// Markdown table delimiter row, e.g. | --- | --- |
+const TABLE_DELIMITER = /^\|[\s:|-]+\|$/;
+
+/**
+ * Normalize text for comparison: Markdown link targets, case, width,
+ * punctuation and spacing
+ */
+function normalize(text) {
+  return text
+    .replace(/\]\([^)\s]*\)/g, ']')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Fingerprint a paragraph (32-bit FNV-1a over its normalized text)
+ */
+function fingerprint(text) {
+  const normalized = normalize(text);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `${normalized.length}:${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * Split text into lines, dropping extraction method labels
+ * Leading whitespace is kept for Markdown list nesting and code.
+ */
+function splitLines(text) {
+  return (text || '').split('\n').map(line => line.trimEnd()).filter(line => !METHOD_MARKERS.test(line.trim()));
+}
+
+/**
+ * Index every word n-gram (up to SHINGLE_SIZE words) by the first paragraph it starts in
+ * N-grams run across line breaks, since other methods may wrap text differently.
+ */
+function indexShingles(paragraphs) {
+  const words = [];
+  const owners = [];
+  paragraphs.forEach((paragraph, index) => {
+    normalize(paragraph).split(' ').filter(Boolean).forEach(word => {
+      words.push(word);
+      owners.push(index);
+    });
+  });
+
+  const shingles = new Map();
+  for (let i = 0; i < words.length; i++) {
+    for (let size = 1; size <= SHINGLE_SIZE && i + size <= words.length; size++) {
+      const key = words.slice(i, i + size).join(' ');
+      if (!shingles.has(key)) shingles.set(key, owners[i]);
+    }
+  }
+  return shingles;
+}
+
+/**
+ * Find the paragraph that already contains a line, or -1 if it's new
+ * Short lines must appear verbatim; longer ones need most of their word
+ * pairs present.
+ */
+function locate(shingles, line) {
+  const words = normalize(line).split(' ').filter(Boolean);
+  if (words.length === 0) return -1;
+  if (words.length <= SHINGLE_SIZE) return shingles.get(words.join(' ')) ?? -1;
+
+  let first = -1;
+  let found = 0;
+  for (let i = 0; i + 2 <= words.length; i++) {
+    const index = shingles.get(`${words[i]} ${words[i + 1]}`);
+    if (index === undefined) continue;
+    found++;
+    if (first === -1) first = index;
+  }
+  return found / (words.length - 1) >= MIN_PAIR_COVERAGE ? first : -1;
+}
+
+/**
+ * Merge the extraction methods into one canonical body text
+ * Tables stay the canonical copy of their rows, so rows are removed from the
+ * body text. Lists are already in the body in document order, so lists the
+ * body fully covers are dropped. Lines only the visible-text pass found are
+ * inserted after the body paragraph they followed on the page, unless they
+ * belong to boilerplate the extraction removed on purpose.
+ * Returns a copy of data with merged mainContent and no allVisibleText.
+ */
+export function mergeExtractedText(data) {
+  const tableRows = new Set();
+  const tableCells = new Set();
+  data.tables?.forEach(table => {
+    [table.headers, ...(table.rows || [])].forEach(row => {
+      if (!row?.length) return;
+      if (row.length > 1) tableRows.add(fingerprint(row.join(' ')));
+      row.forEach(cell => cell && tableCells.add(fingerprint(String(cell))));
+    });
+  });
+
+  // Canonical body: main content without table rows or long repeated
+  // paragraphs. Code blocks are kept exactly as they are.
+  const body = [];
+  const bodyIndex = new Map();
+  let inCode = false;
+  let inDroppedTable = false;
+
+  splitLines(data.mainContent).forEach(line => {
+    const fence = line.trimStart().startsWith('```');
+    if (fence) inCode = !inCode;
+    if (inCode || fence || !line) {
+      inDroppedTable = false;
+      body.push(line);
+      return;
+    }
+
+    const fp = fingerprint(line);
+    if (tableRows.has(fp) || (inDroppedTable && TABLE_DELIMITER.test(line))) {
+      inDroppedTable = true;
+      return;
+    }
+    inDroppedTable = false;
+
+    if (bodyIndex.has(fp) && line.length >= MIN_REPEAT_LENGTH) return;
+    if (!bodyIndex.has(fp)) bodyIndex.set(fp, body.length);
+    body.push(line);
+  });
+
+  // Navigation, footers etc. the extraction deliberately left out
+  const boilerplate = indexShingles(splitLines(data.boilerplateText).filter(Boolean));
+
+  // Lines from the visible-text pass the body doesn't already contain,
+  // keyed by the body paragraph they follow
+  const shingles = indexShingles(body);
+  const extras = new Map();
+  const seen = new Set(bodyIndex.keys());
+  let anchor = -1;
+
+  splitLines(data.allVisibleText).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) return;
+    const fp = fingerprint(line);
+    if (bodyIndex.has(fp)) {
+      anchor = bodyIndex.get(fp);
+      return;
+    }
+    if (seen.has(fp) || tableRows.has(fp) || tableCells.has(fp)) return;
+
+    const position = locate(shingles, line);
+    if (position >= 0) {
+      anchor = position;
+      return;
+    }
+    if (locate(boilerplate, line) >= 0) return;
+
+    seen.add(fp);
+    if (!extras.has(anchor)) extras.set(anchor, []);
+    extras.get(anchor).push(line);
+  });
+
+  const merged = [...(extras.get(-1) || [])];
+  body.forEach((line, index) => {
+    merged.push(line, ...(extras.get(index) || []));
+  });
+
+  // Lists the body (or removed navigation) already fully contains
+  const lists = data.lists?.filter(list => !list.items?.every(item =>
+    seen.has(fingerprint(item)) || locate(shingles, item) >= 0 || locate(boilerplate, item) >= 0
+  ));
+
+  const { boilerplateText, ...rest } = data;
+  return {
+    ...rest,
+    mainContent: merged.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+    allVisibleText: '',
+    lists
+  };
+}
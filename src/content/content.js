@@ -29,6 +29,119 @@
   if (window.__aiTabAssistantInjected) return;
   window.__aiTabAssistantInjected = true;
 
+  // ============ PAGINATION ============
+
+  // "Next" in the languages our users' dashboards come in, plus arrow glyphs
+  const NEXT_LABEL = /^(next|next page|nächste|weiter|suivant|siguiente|successivo|volgende|›|»|>|→|⟩)$/i;
+  const NEXT_ARIA = /\b(next|nächste|suivant|siguiente|successiv[oa])\b/i;
+
+  // "1–25 of 1,340", "Rows 26 - 50 of 2,000", "Page 2 of 54"
+  const RANGE_PATTERN = /(\d[\d,.\s]*)\s*[-–—]\s*(\d[\d,.\s]*)\s+(?:of|von|de|sur|di|van)\s+(?:about\s+|ca\.\s+)?(\d[\d,.\s]*)/i;
+  const PAGE_PATTERN = /\bpage\s+(\d+)\s+(?:of|\/)\s+(\d+)/i;
+
+  /**
+   * querySelectorAll across the document and open shadow roots
+   */
+  const deepQueryAll = (selector, root = document) => {
+    const found = Array.from(root.querySelectorAll(selector));
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) found.push(...deepQueryAll(selector, el.shadowRoot));
+    });
+    return found;
+  };
+
+  const parseCount = (text) => Number(text.replace(/[^\d]/g, '')) || null;
+
+  const isDisabled = (el) => el.disabled ||
+    el.getAttribute('aria-disabled') === 'true' ||
+    /(^|\s|-)disabled(\s|$)/i.test(el.className?.baseVal ?? el.className ?? '') ||
+    !!el.closest('[aria-disabled="true"], .disabled');
+
+  const isShown = (el) => {
+    const rect = el.getBoundingClientRect();
+    return rect.width > 0 && rect.height > 0 && getComputedStyle(el).visibility !== 'hidden';
+  };
+
+  /**
+   * Find the control that goes to the next page of results
+   * rel="next" beats an aria-label, which beats button text.
+   */
+  const findNextControl = () => {
+    const candidates = [];
+    deepQueryAll('a, button, [role="button"], [rel="next"]').forEach(el => {
+      if (!isShown(el) || isDisabled(el)) return;
+
+      const aria = `${el.getAttribute('aria-label') || ''} ${el.getAttribute('title') || ''}`.trim();
+      const text = (el.innerText || el.textContent || '').trim();
+      let score = 0;
+      if ((el.getAttribute('rel') || '').split(/\s+/).includes('next')) score = 3;
+      else if (aria && NEXT_ARIA.test(aria) && !/\b(last|end)\b/i.test(aria)) score = 2;
+      else if (!aria && NEXT_LABEL.test(text)) score = 1; // "»" labelled "Last page" isn't next
+      if (score > 0) candidates.push({ el, score, label: aria || text || 'Next' });
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+    return candidates[0] || null;
+  };
+
+  /**
+   * Read the "1–25 of 1,340" style row range or "Page 2 of 54" indicator
+   */
+  const findRange = () => {
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
+    let node;
+    while ((node = walker.nextNode())) {
+      const text = node.parentElement?.innerText || node.textContent || '';
+      if (text.length > 120) continue;
+
+      const range = text.match(RANGE_PATTERN);
+      if (range) {
+        return { text: range[0].trim(), totalRows: parseCount(range[3]) };
+      }
+      const page = text.match(PAGE_PATTERN);
+      if (page) {
+        return { text: page[0].trim(), totalPages: parseCount(page[2]) };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Resolve once the DOM has settled after a change, or after the timeout
+   * Resolves true if anything changed.
+   */
+  const waitForMutation = (timeout = 8000, quiet = 400) => new Promise(resolve => {
+    let changed = false;
+    let quietTimer = null;
+
+    const done = () => {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(limitTimer);
+      resolve(changed);
+    };
+
+    const observer = new MutationObserver(() => {
+      changed = true;
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(done, quiet);
+    });
+    observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+    const limitTimer = setTimeout(done, timeout);
+  });
+
+  /**
+   * Check if clicking a link loads another document rather than updating in place
+   */
+  const navigatesAway = (el) => {
+    const link = el.closest('a[href]');
+    if (!link) return false;
+    const href = link.getAttribute('href');
+    if (!href || href.startsWith('#') || href.startsWith('javascript:')) return false;
+    const target = new URL(link.href, location.href);
+    return target.pathname !== location.pathname || target.search !== location.search;
+  };
+
   // Listen for messages from background/sidepanel
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.action === 'getSelectedText') {
@@ -37,31 +150,685 @@
       return true;
     }
 
-    if (message.action === 'highlightText') {
-      // Future: highlight referenced text on page
-      sendResponse({ success: true });
+    if (message.action === 'getSelection') {
+      const captured = captureSelection();
+      sendResponse(captured ? { text: captured.text, heading: captured.heading, section: captured.section } : null);
+      return true;
+    }
+
+    if (message.action === 'findNextPage') {
+      const control = findNextControl();
+      const range = findRange();
+      sendResponse({
+        found: !!control,
+        label: control?.label.slice(0, 80) || '',
+        rangeText: range?.text || '',
+        totalRows: range?.totalRows || null,
+        totalPages: range?.totalPages || null
+      });
+      return true;
+    }
+
+    if (message.action === 'clickNextPage') {
+      const control = findNextControl();
+      if (!control) {
+        sendResponse({ clicked: false });
+        return true;
+      }
+
+      // A full page load ends this script; answer first, then click
+      if (navigatesAway(control.el)) {
+        sendResponse({ clicked: true, navigating: true });
+        setTimeout(() => control.el.click(), 0);
+        return true;
+      }
+
+      const changed = waitForMutation();
+      control.el.click();
+      changed.then(didChange => sendResponse({ clicked: true, changed: didChange }));
+      return true;
+    }
+
+    if (message.action === 'startPicker') {
+      // Answered when an element is clicked, or with null on cancel
+      startPicker(sendResponse);
+      return true;
+    }
+
+    if (message.action === 'stopPicker') {
+      stopPicker(null);
+      sendResponse({ stopped: true });
       return true;
     }
 
     if (message.action === 'scrollToElement') {
-      // Future: scroll to specific element
-      sendResponse({ success: true });
+      const el = deepQueryAll(message.selector)[0];
+      el?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      sendResponse({ found: !!el });
       return true;
     }
   });
 
-  // Track text selection for context
-  document.addEventListener('mouseup', () => {
-    const selectedText = window.getSelection()?.toString()?.trim();
-    if (selectedText && selectedText.length > 10) {
-      chrome.runtime.sendMessage({
-        action: 'textSelected',
-        text: selectedText.substring(0, 500)
-      }).catch(() => {
+  // ============ SELECTION ============
+
+  // Longest selection and surrounding section sent to the panel
+  const MAX_SELECTION_CHARS = 4000;
+  const MAX_SECTION_CHARS = 6000;
+
+  // Shortest block worth calling the section around a selection
+  const MIN_SECTION_CHARS = 400;
+
+  const SECTION_SELECTOR = 'section, article, main, aside, form, table, li, dd, blockquote, ' +
+    '[role="region"], [role="main"], [role="article"], [role="dialog"]';
+  const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6, [role="heading"]';
+
+  /**
+   * Text of the block around a selection
+   * Climbs from the selection to the first section-like element (or block
+   * of reasonable length) with more text than the selection itself. When
+   * even the nearest block is too long, returns the text around the
+   * selection instead.
+   */
+  const surroundingSection = (range, selectedText) => {
+    let el = range.commonAncestorContainer;
+    if (el.nodeType !== Node.ELEMENT_NODE) el = el.parentElement;
+
+    let section = '';
+    for (; el && el !== document.documentElement; el = el.parentElement) {
+      const text = (el.innerText || '').trim();
+      if (text.length > MAX_SECTION_CHARS) {
+        if (section) break;
+        const at = Math.max(0, text.indexOf(selectedText.slice(0, 50)));
+        const start = Math.max(0, at - (MAX_SECTION_CHARS - selectedText.length) / 2);
+        return `…${text.slice(start, start + MAX_SECTION_CHARS).trim()}…`;
+      }
+      section = text;
+      if (text.length > selectedText.length * 2 && (el.matches(SECTION_SELECTOR) || text.length >= MIN_SECTION_CHARS)) break;
+    }
+    return section.length > selectedText.length ? section : '';
+  };
+
+  /**
+   * The last heading before the selection
+   */
+  const headingBefore = (range) => {
+    let found = null;
+    for (const heading of document.querySelectorAll(HEADING_SELECTOR)) {
+      const position = heading.compareDocumentPosition(range.startContainer);
+      if (!(position & Node.DOCUMENT_POSITION_FOLLOWING) && !heading.contains(range.startContainer)) break;
+      found = heading;
+    }
+    return (found?.innerText || '').trim().slice(0, 200);
+  };
+
+  /**
+   * The current selection with its heading and surrounding section
+   * Returns { text, heading, section, range }, or null with nothing selected.
+   */
+  const captureSelection = () => {
+    const selection = window.getSelection();
+    const selectedText = selection?.toString()?.trim();
+    if (!selectedText || selection.rangeCount === 0) return null;
+
+    const range = selection.getRangeAt(0);
+    return {
+      text: selectedText.substring(0, MAX_SELECTION_CHARS),
+      heading: headingBefore(range),
+      section: surroundingSection(range, selectedText),
+      range
+    };
+  };
+
+  // ============ ASK AI BUBBLE ============
+
+  // Quick actions offered next to a selection. The prompt is sent with the
+  // selection quoted after it; selectionOnly leaves out the rest of the page.
+  const QUICK_ACTIONS = [
+    { id: 'explain', label: 'Explain', selectionOnly: true, prompt: () => 'Explain the selected text in plain terms.' },
+    { id: 'summarize', label: 'Summarize', selectionOnly: true, prompt: () => 'Summarize the selected text in a few sentences.' },
+    {
+      id: 'translate',
+      label: 'Translate',
+      selectionOnly: true,
+      prompt: () => `Translate the selected text into ${userLanguage()}. Reply with the translation only.`
+    },
+    { id: 'ask', label: 'Ask…', selectionOnly: false }
+  ];
+
+  const BUBBLE_STYLES = `
+    :host { all: initial; }
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    .bubble, .popover {
+      position: fixed;
+      font: 13px/1.5 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #f0f0f5;
+      background: #12121a;
+      border: 1px solid rgba(255, 255, 255, 0.12);
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+    }
+    .bubble {
+      display: flex;
+      gap: 2px;
+      padding: 3px;
+      border-radius: 8px;
+    }
+    button {
+      font: inherit;
+      color: inherit;
+      background: transparent;
+      border: none;
+      border-radius: 6px;
+      cursor: pointer;
+    }
+    .bubble button {
+      padding: 4px 9px;
+      font-size: 12px;
+      white-space: nowrap;
+    }
+    .bubble button:hover, .icon:hover { background: #1a1a25; }
+    .brand { padding: 4px 4px 4px 7px; color: #a5b4fc; font-size: 12px; }
+    .popover {
+      width: 360px;
+      max-width: calc(100vw - 16px);
+      max-height: min(420px, calc(100vh - 16px));
+      display: flex;
+      flex-direction: column;
+      border-radius: 12px;
+      overflow: hidden;
+    }
+    .header {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 8px 10px;
+      border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+      font-weight: 600;
+      font-size: 12px;
+    }
+    .header span { flex: 1; }
+    .icon { width: 22px; height: 22px; color: #a0a0b0; font-size: 16px; line-height: 1; }
+    .body { padding: 10px 12px; overflow-y: auto; }
+    .quote {
+      margin-bottom: 8px;
+      padding-left: 8px;
+      border-left: 3px solid #6366f1;
+      color: #a0a0b0;
+      font-style: italic;
+      font-size: 12px;
+      display: -webkit-box;
+      -webkit-line-clamp: 3;
+      -webkit-box-orient: vertical;
+      overflow: hidden;
+    }
+    form { display: flex; gap: 6px; margin-bottom: 8px; }
+    form[hidden] { display: none; }
+    input {
+      flex: 1;
+      min-width: 0;
+      font: inherit;
+      color: inherit;
+      background: #1a1a25;
+      border: 1px solid rgba(255, 255, 255, 0.08);
+      border-radius: 8px;
+      padding: 6px 8px;
+      outline: none;
+    }
+    input:focus { border-color: #6366f1; }
+    .primary { padding: 6px 12px; background: #6366f1; color: white; }
+    .primary:hover { background: #5558e3; }
+    .answer { white-space: pre-wrap; word-wrap: break-word; }
+    .answer.pending { color: #a0a0b0; }
+    .answer.error { color: #f87171; }
+    .answer code { font-family: monospace; background: #1a1a25; padding: 1px 4px; border-radius: 4px; }
+    .footer {
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      gap: 8px;
+      padding: 8px 10px;
+      border-top: 1px solid rgba(255, 255, 255, 0.08);
+      font-size: 11px;
+      color: #a0a0b0;
+    }
+    .footer[hidden] { display: none; }
+    .picker-outline {
+      position: fixed;
+      pointer-events: none;
+      border: 2px solid #6366f1;
+      background: rgba(99, 102, 241, 0.12);
+      border-radius: 2px;
+    }
+    .picker-label, .picker-hint {
+      position: fixed;
+      pointer-events: none;
+      font: 11px/1.4 -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      color: #f0f0f5;
+      background: #12121a;
+      border-radius: 4px;
+      padding: 2px 6px;
+      white-space: nowrap;
+    }
+    .picker-hint {
+      bottom: 16px;
+      left: 50%;
+      transform: translateX(-50%);
+      padding: 6px 12px;
+      font-size: 12px;
+      border: 1px solid rgba(255, 255, 255, 0.12);
+      box-shadow: 0 8px 24px rgba(0, 0, 0, 0.35);
+    }
+  `;
+
+  let bubbleHost = null;
+  let bubbleRoot = null;
+  let bubbleEnabled = true;
+  let bubbleSelection = null;
+  let quickAsk = null;
+
+  const userLanguage = () => {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(navigator.language) || 'English';
+    } catch (e) {
+      return 'English';
+    }
+  };
+
+  const escapeHtml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+  /**
+   * Light formatting for quick answers: bold and inline code
+   * Citation markers are dropped; the side panel shows them as chips.
+   */
+  const formatAnswer = (text) => escapeHtml(text.replace(/\s*\[\[cite:[\s\S]*?(\]\]|$)/g, ''))
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+
+  /**
+   * The closed shadow root the bubble and popover live in, so page styles
+   * can't reach them and page scripts can't read them
+   */
+  const getBubbleRoot = () => {
+    if (bubbleRoot && bubbleHost.isConnected) return bubbleRoot;
+
+    bubbleHost = document.createElement('ai-tab-assistant');
+    bubbleHost.style.cssText = 'all: initial; position: fixed; top: 0; left: 0; z-index: 2147483647;';
+    bubbleRoot = bubbleHost.attachShadow({ mode: 'closed' });
+
+    // Constructed sheets aren't subject to the page's style-src policy
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(BUBBLE_STYLES);
+    bubbleRoot.adoptedStyleSheets = [sheet];
+
+    // Keep the page selection when the bubble is clicked
+    bubbleRoot.addEventListener('mousedown', (e) => {
+      if (!e.target.closest('input')) e.preventDefault();
+    });
+    document.documentElement.appendChild(bubbleHost);
+    return bubbleRoot;
+  };
+
+  /**
+   * Place a fixed box below a rectangle, or above it when there's no room
+   */
+  const placeNear = (el, rect) => {
+    const box = el.getBoundingClientRect();
+    const below = rect.bottom + 8;
+    const top = below + box.height <= innerHeight - 8 ? below : Math.max(8, rect.top - box.height - 8);
+    const left = Math.min(Math.max(8, rect.left), innerWidth - box.width - 8);
+    el.style.top = `${top}px`;
+    el.style.left = `${Math.max(8, left)}px`;
+  };
+
+  const hideBubble = () => {
+    bubbleRoot?.querySelector('.bubble')?.remove();
+  };
+
+  const showBubble = (selection, rect) => {
+    const root = getBubbleRoot();
+    hideBubble();
+    bubbleSelection = selection;
+
+    const bubble = document.createElement('div');
+    bubble.className = 'bubble';
+    bubble.innerHTML = `<span class="brand" title="AI Tab Assistant">✦</span>${
+      QUICK_ACTIONS.map(action => `<button data-action="${action.id}">${action.label}</button>`).join('')}`;
+    bubble.addEventListener('click', (e) => {
+      const action = QUICK_ACTIONS.find(a => a.id === e.target.closest('button')?.dataset.action);
+      if (action) openPopover(action, rect);
+    });
+    root.appendChild(bubble);
+    placeNear(bubble, rect);
+  };
+
+  const closePopover = () => {
+    quickAsk?.port?.disconnect();
+    quickAsk = null;
+    bubbleRoot?.querySelector('.popover')?.remove();
+  };
+
+  /**
+   * Open the answer popover for a quick action
+   * Ask… shows a question field first; the other actions start right away.
+   */
+  const openPopover = (action, rect) => {
+    const selection = bubbleSelection;
+    const root = getBubbleRoot();
+    hideBubble();
+    closePopover();
+
+    const popover = document.createElement('div');
+    popover.className = 'popover';
+    popover.innerHTML = `
+      <div class="header"><span>${action.id === 'ask' ? 'Ask AI' : action.label}</span><button class="icon close" title="Close">×</button></div>
+      <div class="body">
+        <div class="quote"></div>
+        <form ${action.id === 'ask' ? '' : 'hidden'}><input placeholder="Ask about the selection..."><button class="primary">Ask</button></form>
+        <div class="answer"></div>
+      </div>
+      <div class="footer" hidden><span class="status"></span><button class="primary continue">Continue in side panel</button></div>
+    `;
+    popover.querySelector('.quote').textContent = selection.text;
+    popover.querySelector('.close').addEventListener('click', closePopover);
+    popover.querySelector('.continue').addEventListener('click', continueInPanel);
+
+    const form = popover.querySelector('form');
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const question = form.querySelector('input').value.trim();
+      if (question) runQuickAsk(popover, selection, question, action.selectionOnly);
+    });
+
+    root.appendChild(popover);
+    placeNear(popover, rect);
+    if (action.id === 'ask') {
+      form.querySelector('input').focus();
+    } else {
+      runQuickAsk(popover, selection, action.prompt(), action.selectionOnly);
+    }
+  };
+
+  /**
+   * Stream an answer about the selection into the popover
+   * Goes through the same chat port as the side panel, without the
+   * calculation tool, which needs the panel's sandbox.
+   */
+  const runQuickAsk = (popover, selection, question, selectionOnly) => {
+    quickAsk?.port?.disconnect();
+    const answerEl = popover.querySelector('.answer');
+    const footer = popover.querySelector('.footer');
+    const state = { selection, question, answer: '', userContent: null, port: null, finished: false };
+    quickAsk = state;
+    footer.hidden = true;
+    answerEl.className = 'answer pending';
+    answerEl.textContent = 'Thinking...';
+
+    const fail = (message) => {
+      answerEl.className = 'answer error';
+      answerEl.textContent = message;
+    };
+
+    try {
+      state.port = chrome.runtime.connect({ name: 'chat' });
+    } catch (error) {
+      fail('AI Tab Assistant was updated. Reload the page to use it.');
+      return;
+    }
+
+    state.port.onMessage.addListener((event) => {
+      if (quickAsk !== state) return;
+      if (event.type === 'context') {
+        state.userContent = event.userContent;
+      } else if (event.type === 'delta' || event.type === 'done') {
+        state.answer = event.type === 'done' ? event.content : state.answer + event.content;
+        answerEl.className = 'answer';
+        answerEl.innerHTML = formatAnswer(state.answer);
+        if (event.type === 'done') {
+          state.finished = true;
+          state.port.disconnect();
+          footer.hidden = false;
+        }
+      } else if (event.type === 'error') {
+        state.finished = true;
+        fail(event.error);
+      }
+    });
+    state.port.onDisconnect.addListener(() => {
+      if (quickAsk === state && !state.finished) fail('The request was interrupted. Try again.');
+    });
+    state.port.postMessage({
+      action: 'chat',
+      userMessage: question,
+      history: [],
+      selections: [selection],
+      selectionOnly,
+      tools: false
+    });
+  };
+
+  /**
+   * Hand the quick exchange over to the side panel as a new chat
+   */
+  const continueInPanel = async () => {
+    if (!quickAsk?.answer) return;
+    const { selection, question, answer, userContent } = quickAsk;
+    const status = bubbleRoot.querySelector('.popover .status');
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'continueInPanel',
+        exchange: { question, answer, userContent, selection: { text: selection.text, heading: selection.heading } }
+      });
+      if (response?.opened) {
+        closePopover();
+      } else {
+        status.textContent = 'Click the AI Tab Assistant icon to open the side panel.';
+      }
+    } catch (error) {
+      status.textContent = 'Reload the page to use AI Tab Assistant.';
+    }
+  };
+
+  chrome.storage.local.get({ selectionBubble: true }).then(settings => {
+    bubbleEnabled = settings.selectionBubble;
+  }).catch(() => {});
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== 'local' || !changes.selectionBubble) return;
+    bubbleEnabled = changes.selectionBubble.newValue !== false;
+    if (!bubbleEnabled) hideBubble();
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    hideBubble();
+    closePopover();
+  });
+  document.addEventListener('scroll', hideBubble, { capture: true, passive: true });
+
+  // Track text selection for context, and offer the Ask AI bubble
+  document.addEventListener('mouseup', (e) => {
+    // Clicks in the bubble or popover
+    if (bubbleHost && e.composedPath().includes(bubbleHost)) return;
+
+    const captured = captureSelection();
+    if (captured && captured.text.length > 10) {
+      const { text, heading, section, range } = captured;
+      chrome.runtime.sendMessage({ action: 'textSelected', text, heading, section }).catch(() => {
         // Side panel might not be open
       });
+
+      const editing = e.target.isContentEditable || e.target.closest?.('input, textarea');
+      if (bubbleEnabled && !editing) showBubble({ text, heading, section }, range.getBoundingClientRect());
+    } else {
+      hideBubble();
     }
   });
 
+  // ============ ELEMENT PICKER ============
+
+  // Picker in progress: { respond, outline, label, hint, target }
+  let picker = null;
+
+  /**
+   * The element under a point, looking inside open shadow roots
+   */
+  const deepElementFromPoint = (x, y) => {
+    let el = document.elementFromPoint(x, y);
+    while (el?.shadowRoot) {
+      const inner = el.shadowRoot.elementFromPoint(x, y);
+      if (!inner || inner === el) break;
+      el = inner;
+    }
+    return el;
+  };
+
+  /**
+   * Short tag name for the outline label, like DevTools: div.card
+   */
+  const tagLabel = (el) => {
+    const className = typeof el.className === 'string' ? el.className.trim().split(/\s+/)[0] : '';
+    return `${el.localName}${el.id ? `#${el.id}` : className ? `.${className}` : ''}`;
+  };
+
+  /**
+   * Selector for an element within its document or shadow root
+   * Stops at a unique id or data-testid; otherwise it's a tag path with
+   * :nth-of-type wherever siblings share a tag.
+   */
+  const pathInRoot = (el, root) => {
+    const unique = (selector) => {
+      try {
+        return root.querySelectorAll(selector).length === 1;
+      } catch (e) {
+        return false;
+      }
+    };
+
+    const steps = [];
+    for (let node = el; node?.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+      if (node.id && unique(`#${CSS.escape(node.id)}`)) {
+        steps.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const testId = node.getAttribute('data-testid');
+      if (testId && unique(`[data-testid="${CSS.escape(testId)}"]`)) {
+        steps.unshift(`[data-testid="${CSS.escape(testId)}"]`);
+        break;
+      }
+      const tag = CSS.escape(node.localName);
+      const same = Array.from(node.parentNode?.children || []).filter(sibling => sibling.localName === node.localName);
+      steps.unshift(same.length > 1 ? `${tag}:nth-of-type(${same.indexOf(node) + 1})` : tag);
+    }
+    return steps.join(' > ');
+  };
+
+  /**
+   * Selector for a picked element; ' >>> ' steps into a shadow root
+   */
+  const selectorFor = (el) => {
+    const parts = [];
+    for (let node = el; node;) {
+      const root = node.getRootNode();
+      parts.unshift(pathInRoot(node, root));
+      node = root instanceof ShadowRoot ? root.host : null;
+    }
+    return parts.join(' >>> ');
+  };
+
+  /**
+   * Name for the scope chip: the element's label or heading, else its text
+   */
+  const describeElement = (el) => {
+    const heading = el.matches(HEADING_SELECTOR) ? el : el.querySelector(HEADING_SELECTOR);
+    const name = el.getAttribute('aria-label') || heading?.innerText || el.getAttribute('title') || el.innerText || '';
+    const text = name.replace(/\s+/g, ' ').trim();
+    if (!text) return tagLabel(el);
+    return text.length > 60 ? `${text.slice(0, 57)}…` : text;
+  };
+
+  const drawOutline = () => {
+    const { target, outline, label } = picker;
+    if (!target) return;
+    const rect = target.getBoundingClientRect();
+    Object.assign(outline.style, {
+      top: `${rect.top}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`,
+      height: `${rect.height}px`
+    });
+    label.textContent = `${tagLabel(target)}  ${Math.round(rect.width)} × ${Math.round(rect.height)}`;
+    label.style.top = `${rect.top >= 22 ? rect.top - 22 : rect.bottom + 4}px`;
+    label.style.left = `${Math.max(0, rect.left)}px`;
+  };
+
+  const onPickerMove = (e) => {
+    const target = deepElementFromPoint(e.clientX, e.clientY);
+    if (!target || target === picker.target) return;
+    picker.target = target;
+    drawOutline();
+  };
+
+  // The page mustn't react to the clicks that pick
+  const blockPageEvent = (e) => {
+    e.preventDefault();
+    e.stopImmediatePropagation();
+  };
+
+  const onPickerClick = (e) => {
+    blockPageEvent(e);
+    const target = deepElementFromPoint(e.clientX, e.clientY) || picker.target;
+    if (!target || target === document.documentElement) return;
+    stopPicker({ selector: selectorFor(target), label: describeElement(target) });
+  };
+
+  const onPickerKey = (e) => {
+    if (e.key !== 'Escape') return;
+    blockPageEvent(e);
+    stopPicker(null);
+  };
+
+  const onPickerScroll = () => drawOutline();
+
+  const PICKER_LISTENERS = [
+    ['mousemove', onPickerMove],
+    ['mousedown', blockPageEvent],
+    ['mouseup', blockPageEvent],
+    ['pointerdown', blockPageEvent],
+    ['pointerup', blockPageEvent],
+    ['click', onPickerClick],
+    ['keydown', onPickerKey],
+    ['scroll', onPickerScroll]
+  ];
+
+  /**
+   * Outline elements under the mouse until one is clicked
+   * respond gets { selector, label }, or null when the picker is cancelled.
+   */
+  const startPicker = (respond) => {
+    stopPicker(null);
+    hideBubble();
+    closePopover();
+
+    const root = getBubbleRoot();
+    const outline = document.createElement('div');
+    outline.className = 'picker-outline';
+    const label = document.createElement('div');
+    label.className = 'picker-label';
+    const hint = document.createElement('div');
+    hint.className = 'picker-hint';
+    hint.textContent = 'Click the part of the page to focus the assistant on · Esc to cancel';
+    root.append(outline, label, hint);
+
+    picker = { respond, outline, label, hint, target: null };
+    PICKER_LISTENERS.forEach(([type, listener]) => window.addEventListener(type, listener, true));
+  };
+
+  const stopPicker = (result) => {
+    if (!picker) return;
+    const { respond, outline, label, hint } = picker;
+    picker = null;
+    PICKER_LISTENERS.forEach(([type, listener]) => window.removeEventListener(type, listener, true));
+    [outline, label, hint].forEach(el => el.remove());
+    respond(result);
+  };
+
   console.log('AI Tab Assistant content script loaded');
 })();
@@ -0,0 +1,131 @@
+/**
+ * AI Tab Assistant - Computation Sandbox
+ * 
+ * Runs code written by the model against the page's tables and metrics.
+ * Loaded as a manifest sandbox page inside the side panel, so it has no
+ * extension APIs, and its content security policy blocks all network
+ * access. Each run gets a fresh worker that is terminated if it overruns
+ * the time limit.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+(function() {
+  'use strict';
+
+  // Longest a single run may take
+  const RUN_TIMEOUT = 10000;
+
+  /**
+   * Evaluate code as a function body with tables and metrics in scope
+   * Resolves with { result, logs } or { error, logs }; the result is JSON
+   * text (or the string itself when a string is returned). Self-contained,
+   * as its source is also used to build the worker.
+   */
+  function evaluate(code, data) {
+    const logs = [];
+
+    const serialize = (value) => {
+      if (value === undefined) return undefined;
+      if (typeof value === 'string') return value;
+      try {
+        return JSON.stringify(value, (key, v) => {
+          if (typeof v === 'number' && !Number.isFinite(v)) return String(v);
+          if (typeof v === 'bigint') return v.toString();
+          if (v instanceof Map) return Object.fromEntries(v);
+          if (v instanceof Set) return [...v];
+          return v;
+        }, 2);
+      } catch (e) {
+        return String(value);
+      }
+    };
+
+    const log = (...args) => {
+      logs.push(args.map(arg => typeof arg === 'string' ? arg : serialize(arg)).join(' '));
+    };
+    const console = { log, info: log, warn: log, error: log, table: log };
+
+    try {
+      // Network globals are shadowed; the CSP blocks them anyway
+      const run = new Function(
+        'tables', 'metrics', 'console', 'fetch', 'XMLHttpRequest', 'WebSocket', 'importScripts',
+        `"use strict";\n${code}`
+      );
+      return Promise.resolve(run(data.tables || [], data.metrics || [], console))
+        .then(value => ({ result: serialize(value), logs }))
+        .catch(error => ({ error: String(error?.message || error), logs }));
+    } catch (error) {
+      return Promise.resolve({ error: String(error?.message || error), logs });
+    }
+  }
+
+  let workerUrl = null;
+
+  /**
+   * Run code in a dedicated worker, terminating it on timeout
+   */
+  function runInWorker(code, data) {
+    workerUrl ||= URL.createObjectURL(new Blob([
+      `${evaluate.toString()}\nself.onmessage = (event) => evaluate(event.data.code, event.data.data).then(run => self.postMessage(run));`
+    ], { type: 'text/javascript' }));
+
+    const worker = new Worker(workerUrl);
+    return new Promise(resolve => {
+      const finish = (run) => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve(run);
+      };
+      const timer = setTimeout(() => finish({
+        error: `Timed out after ${RUN_TIMEOUT / 1000} seconds`,
+        logs: []
+      }), RUN_TIMEOUT);
+
+      worker.onmessage = (event) => finish(event.data);
+      worker.onerror = (event) => {
+        event.preventDefault();
+        finish({ error: event.message || 'Script error', logs: [] });
+      };
+      worker.postMessage({ code, data });
+    });
+  }
+
+  /**
+   * Run code in a worker. Never on this page itself, where a runaway loop
+   * could not be stopped by the timeout.
+   */
+  async function execute(code, data) {
+    if (!code || typeof code !== 'string') {
+      return { error: 'No code given', logs: [] };
+    }
+    try {
+      return await runInWorker(code, data || {});
+    } catch (error) {
+      return { error: 'Could not start the computation worker', logs: [] };
+    }
+  }
+
+  window.addEventListener('message', async (event) => {
+    if (event.source !== window.parent) return;
+    const { id, code, data } = event.data || {};
+    const run = await execute(code, data);
+    // The sandbox has an opaque origin, so the panel can't be addressed by origin
+    window.parent.postMessage({ id, ...run }, '*');
+  });
+})();
@@ -0,0 +1,402 @@
+/**
+ * AI Tab Assistant - Site Extractor Editor
+ * 
+ * Settings page section for creating and editing per-site extractors, with
+ * a live preview of what they extract from the most recent web tab.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { createExtractor, resolveExtractors } from '../shared/site-extractors.js';
+
+// Inputs shown for each table rule and metric pair
+const TABLE_FIELDS = [
+  { key: 'table', placeholder: 'Container (optional)' },
+  { key: 'header', placeholder: 'Header cells' },
+  { key: 'row', placeholder: 'Rows, e.g. tr' },
+  { key: 'cell', placeholder: 'Cells, e.g. td' }
+];
+const TABLE_OPTIONS = [
+  { key: 'firstRowHeader', label: 'First row is the header' },
+  { key: 'uniqueCells', label: 'Skip repeated cell text' }
+];
+const METRIC_FIELDS = [
+  { key: 'container', placeholder: 'Container (optional)' },
+  { key: 'label', placeholder: 'Label' },
+  { key: 'value', placeholder: 'Value' }
+];
+
+const PREVIEW_DELAY = 800;
+
+const elements = {
+  select: document.getElementById('extractorSelect'),
+  addBtn: document.getElementById('addExtractorBtn'),
+  editor: document.getElementById('extractorEditor'),
+  name: document.getElementById('extractorName'),
+  pattern: document.getElementById('extractorPattern'),
+  enabled: document.getElementById('extractorEnabled'),
+  include: document.getElementById('extractorInclude'),
+  exclude: document.getElementById('extractorExclude'),
+  tableRules: document.getElementById('tableRules'),
+  addTableRuleBtn: document.getElementById('addTableRuleBtn'),
+  replaceTables: document.getElementById('extractorReplaceTables'),
+  metricRules: document.getElementById('metricRules'),
+  addMetricRuleBtn: document.getElementById('addMetricRuleBtn'),
+  replaceMetrics: document.getElementById('extractorReplaceMetrics'),
+  saveBtn: document.getElementById('saveExtractorBtn'),
+  previewBtn: document.getElementById('previewExtractorBtn'),
+  deleteBtn: document.getElementById('deleteExtractorBtn'),
+  preview: document.getElementById('extractorPreview')
+};
+
+// Stored user entries (including overrides of built-ins) and the merged list shown
+let storedExtractors = [];
+let extractors = [];
+let current = null;
+
+// Once the user has run a preview, keep it updated as they edit
+let livePreview = false;
+let previewTimer = null;
+
+let showStatus = () => {};
+
+/**
+ * Load extractors and wire up the editor
+ * notify(message, type) shows a status message on the settings page.
+ */
+export async function initExtractorEditor(notify) {
+  showStatus = notify;
+
+  const { siteExtractors } = await chrome.storage.local.get({ siteExtractors: [] });
+  storedExtractors = siteExtractors;
+  refreshList(extractors[0]?.id);
+
+  elements.select.addEventListener('change', () => selectExtractor(elements.select.value));
+  elements.addBtn.addEventListener('click', addExtractor);
+  elements.addTableRuleBtn.addEventListener('click', () => addRule(elements.tableRules, TABLE_FIELDS, {}, TABLE_OPTIONS));
+  elements.addMetricRuleBtn.addEventListener('click', () => addRule(elements.metricRules, METRIC_FIELDS, {}));
+  elements.saveBtn.addEventListener('click', saveExtractor);
+  elements.previewBtn.addEventListener('click', () => {
+    livePreview = true;
+    previewExtractor();
+  });
+  elements.deleteBtn.addEventListener('click', deleteExtractor);
+  elements.editor.addEventListener('input', schedulePreview);
+  elements.editor.addEventListener('change', schedulePreview);
+}
+
+/**
+ * Rebuild the merged list and the dropdown, then show the given extractor
+ */
+function refreshList(selectedId) {
+  extractors = resolveExtractors(storedExtractors);
+  elements.select.innerHTML = '';
+
+  extractors.forEach(extractor => {
+    const option = document.createElement('option');
+    option.value = extractor.id;
+    option.textContent = [
+      extractor.name || extractor.urlPattern || 'Untitled',
+      extractor.builtIn ? '(built-in)' : '',
+      extractor.enabled ? '' : '- disabled'
+    ].filter(Boolean).join(' ');
+    elements.select.appendChild(option);
+  });
+
+  selectExtractor(extractors.some(e => e.id === selectedId) ? selectedId : extractors[0]?.id);
+}
+
+/**
+ * Show an extractor in the editor
+ */
+function selectExtractor(id) {
+  current = extractors.find(extractor => extractor.id === id) || null;
+  elements.editor.classList.toggle('visible', !!current);
+  elements.preview.classList.remove('visible');
+  livePreview = false;
+  if (!current) return;
+
+  elements.select.value = current.id;
+  elements.name.value = current.name || '';
+  elements.pattern.value = current.urlPattern || '';
+  elements.enabled.checked = current.enabled !== false;
+  elements.include.value = (current.include || []).join('\n');
+  elements.exclude.value = (current.exclude || []).join('\n');
+  elements.replaceTables.checked = !!current.replaceTables;
+  elements.replaceMetrics.checked = !!current.replaceMetrics;
+
+  elements.tableRules.innerHTML = '';
+  (current.tables || []).forEach(rule => addRule(elements.tableRules, TABLE_FIELDS, rule, TABLE_OPTIONS));
+  elements.metricRules.innerHTML = '';
+  (current.metrics || []).forEach(rule => addRule(elements.metricRules, METRIC_FIELDS, rule));
+
+  // Built-ins can only be reset once edited, never deleted
+  const overridden = storedExtractors.some(extractor => extractor.id === current.id);
+  elements.deleteBtn.textContent = current.builtIn ? 'Reset to Default' : 'Delete';
+  elements.deleteBtn.disabled = current.builtIn && !overridden;
+}
+
+/**
+ * Add an editable table rule or metric pair row
+ */
+function addRule(container, fields, rule, options = []) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+  row.style.setProperty('--rule-columns', fields.length);
+
+  fields.forEach(field => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.dataset.key = field.key;
+    input.placeholder = field.placeholder;
+    input.value = rule[field.key] || '';
+    row.appendChild(input);
+  });
+
+  const remove = document.createElement('button');
+  remove.className = 'rule-remove';
+  remove.title = 'Remove';
+  remove.textContent = '×';
+  remove.addEventListener('click', () => {
+    row.remove();
+    schedulePreview();
+  });
+  row.appendChild(remove);
+
+  if (options.length > 0) {
+    const optionRow = document.createElement('div');
+    optionRow.className = 'rule-option';
+    options.forEach(option => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.dataset.key = option.key;
+      checkbox.checked = !!rule[option.key];
+      label.append(checkbox, ` ${option.label}`);
+      optionRow.appendChild(label);
+    });
+    row.appendChild(optionRow);
+  }
+
+  container.appendChild(row);
+}
+
+/**
+ * Read the rule rows of a container back into objects, skipping empty rows
+ */
+function readRules(container) {
+  return Array.from(container.querySelectorAll('.rule-row'))
+    .map(row => {
+      const rule = {};
+      row.querySelectorAll('input[type="text"]').forEach(input => {
+        rule[input.dataset.key] = input.value.trim();
+      });
+      row.querySelectorAll('input[type="checkbox"]').forEach(input => {
+        rule[input.dataset.key] = input.checked;
+      });
+      return rule;
+    })
+    .filter(rule => Object.values(rule).some(value => typeof value === 'string' && value));
+}
+
+/**
+ * Split a textarea into one selector per line
+ */
+function readSelectors(textarea) {
+  return textarea.value.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * Build an extractor from the form
+ */
+function readForm() {
+  return {
+    ...current,
+    name: elements.name.value.trim(),
+    urlPattern: elements.pattern.value.trim(),
+    enabled: elements.enabled.checked,
+    include: readSelectors(elements.include),
+    exclude: readSelectors(elements.exclude),
+    tables: readRules(elements.tableRules),
+    metrics: readRules(elements.metricRules),
+    replaceTables: elements.replaceTables.checked,
+    replaceMetrics: elements.replaceMetrics.checked
+  };
+}
+
+/**
+ * Find the first selector in an extractor the browser can't parse
+ */
+function findInvalidSelector(extractor) {
+  const selectors = [
+    ...extractor.include,
+    ...extractor.exclude,
+    ...extractor.tables.flatMap(rule => TABLE_FIELDS.map(field => rule[field.key])),
+    ...extractor.metrics.flatMap(rule => METRIC_FIELDS.map(field => rule[field.key]))
+  ].filter(Boolean);
+
+  return selectors.find(selector => {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return false;
+    } catch (e) {
+      return true;
+    }
+  });
+}
+
+/**
+ * Start a new extractor
+ */
+function addExtractor() {
+  const extractor = createExtractor();
+  extractors.unshift(extractor);
+  current = extractor;
+
+  const option = document.createElement('option');
+  option.value = extractor.id;
+  option.textContent = 'New extractor';
+  elements.select.prepend(option);
+  selectExtractor(extractor.id);
+  elements.name.focus();
+}
+
+/**
+ * Validate and store the extractor being edited
+ */
+async function saveExtractor() {
+  const extractor = readForm();
+
+  if (!extractor.name) {
+    showStatus('Please give the extractor a name', 'error');
+    return;
+  }
+
+  if (!extractor.urlPattern) {
+    showStatus('Please enter a URL pattern', 'error');
+    return;
+  }
+
+  const invalid = findInvalidSelector(extractor);
+  if (invalid) {
+    showStatus(`Invalid CSS selector: ${invalid}`, 'error');
+    return;
+  }
+
+  const { builtIn, ...entry } = extractor;
+  const index = storedExtractors.findIndex(stored => stored.id === entry.id);
+  storedExtractors = index >= 0
+    ? storedExtractors.map(stored => stored.id === entry.id ? entry : stored)
+    : [...storedExtractors, entry];
+
+  try {
+    await chrome.storage.local.set({ siteExtractors: storedExtractors });
+    refreshList(entry.id);
+    showStatus(`Extractor "${entry.name}" saved`, 'success');
+  } catch (error) {
+    showStatus('Failed to save extractor: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Delete a custom extractor, or reset a built-in one to its defaults
+ */
+async function deleteExtractor() {
+  if (!current) return;
+  if (!current.builtIn && !confirm(`Delete extractor "${current.name || 'Untitled'}"?`)) return;
+
+  const { id, builtIn } = current;
+  storedExtractors = storedExtractors.filter(stored => stored.id !== id);
+
+  try {
+    await chrome.storage.local.set({ siteExtractors: storedExtractors });
+    refreshList(builtIn ? id : null);
+    showStatus(builtIn ? 'Extractor reset to default' : 'Extractor deleted', 'success');
+  } catch (error) {
+    showStatus('Failed to update extractors: ' + error.message, 'error');
+  }
+}
+
+/**
+ * Re-run the preview shortly after the user stops editing
+ */
+function schedulePreview() {
+  if (!livePreview) return;
+  clearTimeout(previewTimer);
+  previewTimer = setTimeout(previewExtractor, PREVIEW_DELAY);
+}
+
+/**
+ * Run the unsaved extractor against the most recent web tab and show the result
+ */
+async function previewExtractor() {
+  if (!current) return;
+  const extractor = readForm();
+  elements.preview.classList.add('visible');
+
+  const invalid = findInvalidSelector(extractor);
+  if (invalid) {
+    elements.preview.textContent = `Invalid CSS selector: ${invalid}`;
+    return;
+  }
+
+  elements.previewBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({ action: 'previewSiteExtractor', extractor });
+    elements.preview.textContent = response?.success
+      ? formatPreview(response)
+      : `Preview failed: ${response?.error || 'no response'}`;
+  } catch (error) {
+    elements.preview.textContent = `Preview failed: ${error.message}`;
+  } finally {
+    elements.previewBtn.disabled = false;
+  }
+}
+
+/**
+ * Summarize extracted data for the preview pane
+ */
+function formatPreview({ url, title, matches, data }) {
+  const lines = [
+    `Tab: ${title}`,
+    `URL: ${url}`,
+    matches ? 'The URL pattern matches this page.' : 'Note: the URL pattern does NOT match this page.',
+    ''
+  ];
+
+  const tables = data.tables || [];
+  lines.push(`TABLES (${tables.length})`);
+  tables.slice(0, 10).forEach((table, i) => {
+    lines.push(`${i + 1}. ${table.caption || table.source} - ${table.rows.length} rows`);
+    if (table.headers?.length) lines.push(`   ${table.headers.join(' | ')}`);
+    table.rows.slice(0, 3).forEach(row => lines.push(`   ${row.join(' | ')}`));
+  });
+  if (tables.length > 10) lines.push(`... and ${tables.length - 10} more`);
+
+  const metrics = data.metrics || [];
+  lines.push('', `METRICS (${metrics.length})`);
+  metrics.slice(0, 15).forEach(metric => lines.push(`• ${metric.label || 'Metric'}: ${metric.value}`));
+  if (metrics.length > 15) lines.push(`... and ${metrics.length - 15} more`);
+
+  const content = data.mainContent || '';
+  lines.push('', `MAIN CONTENT (${content.length.toLocaleString()} characters)`);
+  lines.push(content.length > 1500 ? `${content.slice(0, 1500)}\n...` : content || '(empty)');
+
+  return lines.join('\n');
+}
@@ -2,8 +2,8 @@
  * AI Tab Assistant - Settings Script
  * 
  * Configuration page for the AI Tab Assistant extension.
- * Dynamically fetches available models from OpenAI API and allows
- * users to configure API key, model selection, and custom instructions.
+ * Dynamically fetches available models from the selected provider and allows
+ * users to configure provider, API key, model selection, and custom instructions.
  * 
  * @copyright 2025 Volar Agency (https://thevolar.com)
  * @license MIT
@@ -23,17 +23,48 @@
  * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
  */
 
-const DEFAULT_SYSTEM_PROMPT = `You are a highly capable AI assistant analyzing the user's current browser tab. You have COMPLETE access to all page content provided below - this includes ALL text, data, tables, numbers, and information visible on the page.
+import { getModelCapabilities, DEFAULT_TEMPERATURE } from '../shared/model-registry.js';
+import { DEFAULT_SYSTEM_PROMPT } from '../shared/system-prompt.js';
+import { initExtractorEditor } from './extractor-editor.js';
 
-CRITICAL INSTRUCTIONS:
-1. ALWAYS analyze the ACTUAL DATA provided in the page content - never give generic advice
-2. Reference SPECIFIC numbers, keywords, metrics, and data points from the page
-3. If you see tables, extract and analyze the actual values
-4. Quote specific text from the page when relevant
-5. If asked about data that IS in the page content, provide detailed analysis WITH the actual data
-6. Only say "information not available" if you genuinely cannot find it in the provided content
+// How each systemRole from the model registry is described to the user
+const SYSTEM_ROLE_LABELS = {
+  system: 'System message',
+  developer: 'Developer message',
+  user: 'Merged into first user message',
+  'top-level': 'Top-level system field'
+};
 
-You are seeing the SAME content the user sees. Analyze it thoroughly.`;
+// Provider-specific settings fields and help text
+const PROVIDERS = {
+  openai: {
+    name: 'OpenAI',
+    keySetting: 'apiKey',
+    keyPrefix: 'sk-',
+    keyUrl: 'https://platform.openai.com/api-keys',
+    keyUrlLabel: 'OpenAI Platform',
+    origin: 'https://api.openai.com',
+    preferredModel: 'gpt-4o-mini'
+  },
+  anthropic: {
+    name: 'Anthropic',
+    keySetting: 'anthropicApiKey',
+    keyPrefix: 'sk-ant-',
+    keyUrl: 'https://console.anthropic.com/settings/keys',
+    keyUrlLabel: 'Anthropic Console',
+    origin: 'https://api.anthropic.com',
+    preferredModel: 'sonnet'
+  },
+  'openai-compatible': {
+    name: 'Endpoint',
+    keySetting: 'customApiKey',
+    keyPrefix: '',
+    keyOptional: true,
+    // Origin comes from the configured base URL
+    origin: null,
+    preferredModel: ''
+  }
+};
 
 // Preferred models in order (for sorting)
 const MODEL_PRIORITY = [
@@ -48,60 +79,219 @@ const MODEL_PRIORITY = [
 ];
 
 const elements = {
+  provider: document.getElementById('provider'),
   apiKey: document.getElementById('apiKey'),
+  apiKeyLabel: document.getElementById('apiKeyLabel'),
+  apiKeyRequirement: document.getElementById('apiKeyRequirement'),
+  apiKeyHelp: document.getElementById('apiKeyHelp'),
   model: document.getElementById('model'),
   maxTokens: document.getElementById('maxTokens'),
+  fallbackModels: document.getElementById('fallbackModels'),
   systemPrompt: document.getElementById('systemPrompt'),
+  computeTool: document.getElementById('computeTool'),
+  citations: document.getElementById('citations'),
+  selectionBubble: document.getElementById('selectionBubble'),
   saveBtn: document.getElementById('saveBtn'),
   fetchModelsBtn: document.getElementById('fetchModelsBtn'),
   status: document.getElementById('status'),
   toggleApiKey: document.getElementById('toggleApiKey'),
   modelCount: document.getElementById('modelCount'),
-  modelDetails: document.getElementById('modelDetails')
+  modelDetails: document.getElementById('modelDetails'),
+  modelParams: document.getElementById('modelParams'),
+  temperatureParam: document.getElementById('temperatureParam'),
+  temperature: document.getElementById('temperature'),
+  topPParam: document.getElementById('topPParam'),
+  topP: document.getElementById('topP'),
+  reasoningEffortParam: document.getElementById('reasoningEffortParam'),
+  reasoningEffort: document.getElementById('reasoningEffort'),
+  customEndpoint: document.getElementById('customEndpoint'),
+  customBaseUrl: document.getElementById('customBaseUrl'),
+  customApiStyle: document.getElementById('customApiStyle'),
+  azureFields: document.getElementById('azureFields'),
+  azureDeployments: document.getElementById('azureDeployments'),
+  azureApiVersion: document.getElementById('azureApiVersion'),
+  customHeaders: document.getElementById('customHeaders')
 };
 
 let availableModels = [];
+let cachedModels = {};
+let activeProvider = 'openai';
+
+// Per-model parameter overrides, and the model the controls currently show
+let modelParams = {};
+let paramsModel = '';
+
+// API keys for every provider, so switching providers doesn't lose typed keys
+const apiKeys = {};
+
+/**
+ * Get the provider currently selected in the form
+ */
+function currentProvider() {
+  return PROVIDERS[elements.provider.value] ? elements.provider.value : 'openai';
+}
+
+/**
+ * Collect provider settings from the form, including unsaved edits
+ */
+function collectProviderSettings() {
+  apiKeys[currentProvider()] = elements.apiKey.value.trim();
+
+  const settings = {
+    customBaseUrl: elements.customBaseUrl.value.trim(),
+    customApiStyle: elements.customApiStyle.value,
+    azureDeployments: elements.azureDeployments.value.trim(),
+    azureApiVersion: elements.azureApiVersion.value.trim(),
+    customHeaders: elements.customHeaders.value.trim()
+  };
+
+  for (const [id, { keySetting }] of Object.entries(PROVIDERS)) {
+    settings[keySetting] = apiKeys[id] || '';
+  }
+
+  return settings;
+}
+
+/**
+ * Get the origin requests for the selected provider go to
+ */
+function endpointOrigin() {
+  const provider = PROVIDERS[currentProvider()];
+  if (provider.origin) return provider.origin;
+
+  try {
+    const url = new URL(elements.customBaseUrl.value.trim());
+    return url.protocol.startsWith('http') ? url.origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Show the custom endpoint fields that apply to the selected provider and API style
+ */
+function updateEndpointFields() {
+  const isCustom = currentProvider() === 'openai-compatible';
+  elements.customEndpoint.classList.toggle('visible', isCustom);
+  elements.azureFields.classList.toggle('visible', isCustom && elements.customApiStyle.value === 'azure');
+}
 
 /**
  * Load settings from storage
  */
 async function loadSettings() {
   const settings = await chrome.storage.local.get({
+    provider: 'openai',
     apiKey: '',
+    anthropicApiKey: '',
+    customApiKey: '',
+    customBaseUrl: '',
+    customApiStyle: 'openai',
+    azureDeployments: '',
+    azureApiVersion: '',
+    customHeaders: '',
     model: '',
+    modelParams: {},
+    fallbackModels: '',
     maxTokens: 2000,
     systemPrompt: '',
-    cachedModels: []
+    computeTool: true,
+    citations: true,
+    selectionBubble: true,
+    cachedModels: {}
   });
 
-  elements.apiKey.value = settings.apiKey;
+  for (const [id, provider] of Object.entries(PROVIDERS)) {
+    apiKeys[id] = settings[provider.keySetting] || '';
+  }
+
+  // Older versions cached a flat list of OpenAI models
+  cachedModels = Array.isArray(settings.cachedModels)
+    ? { openai: settings.cachedModels }
+    : settings.cachedModels || {};
+
+  modelParams = settings.modelParams || {};
+
+  elements.provider.value = PROVIDERS[settings.provider] ? settings.provider : 'openai';
+  activeProvider = currentProvider();
+  elements.customBaseUrl.value = settings.customBaseUrl;
+  elements.customApiStyle.value = settings.customApiStyle;
+  elements.azureDeployments.value = settings.azureDeployments;
+  elements.azureApiVersion.value = settings.azureApiVersion;
+  elements.customHeaders.value = settings.customHeaders;
   elements.maxTokens.value = settings.maxTokens;
+  elements.fallbackModels.value = settings.fallbackModels;
   elements.systemPrompt.value = settings.systemPrompt;
   elements.systemPrompt.placeholder = DEFAULT_SYSTEM_PROMPT;
+  elements.computeTool.checked = settings.computeTool;
+  elements.citations.checked = settings.citations;
+  elements.selectionBubble.checked = settings.selectionBubble;
+
+  showProvider(settings.model);
+}
+
+/**
+ * Show the API key and models for the selected provider
+ */
+function showProvider(selectedModel = '') {
+  const providerId = currentProvider();
+  const provider = PROVIDERS[providerId];
+
+  elements.apiKey.value = apiKeys[providerId] || '';
+  elements.apiKey.placeholder = provider.keyPrefix + '...';
+  elements.apiKeyLabel.textContent = `${provider.name} API Key`;
+  elements.apiKeyRequirement.textContent = provider.keyOptional ? 'Optional' : 'Required';
+  elements.apiKeyHelp.innerHTML = provider.keyUrl
+    ? `Get your API key from <a href="${provider.keyUrl}" target="_blank">${provider.keyUrlLabel}</a>`
+    : 'Sent as a Bearer token (or api-key header for Azure). Leave blank for local servers.';
+  elements.modelCount.textContent = '';
+  updateEndpointFields();
 
   // If we have cached models, populate the dropdown
-  if (settings.cachedModels && settings.cachedModels.length > 0) {
-    availableModels = settings.cachedModels;
-    populateModelDropdown(settings.model);
-  } else if (settings.apiKey) {
-    // Auto-fetch models if we have an API key
-    fetchModels();
+  availableModels = cachedModels[providerId] || [];
+  if (availableModels.length > 0) {
+    populateModelDropdown(selectedModel);
+  } else {
+    populateModelDropdown('');
+    if (apiKeys[providerId] || (providerId === 'openai-compatible' && elements.customBaseUrl.value.trim())) {
+      // Auto-fetch models if the provider is configured
+      fetchModels();
+    }
   }
 }
 
 /**
- * Fetch available models from OpenAI API
+ * Switch the form to another provider
+ */
+function handleProviderChange() {
+  // Keep whatever was typed for the provider we're leaving
+  apiKeys[activeProvider] = elements.apiKey.value.trim();
+  activeProvider = currentProvider();
+
+  showProvider();
+}
+
+/**
+ * Fetch available models from the selected provider
+ * The <all_urls> host permission already covers every endpoint.
  */
 async function fetchModels() {
+  const providerId = currentProvider();
+  const provider = PROVIDERS[providerId];
   const apiKey = elements.apiKey.value.trim();
   
-  if (!apiKey) {
+  if (!apiKey && !provider.keyOptional) {
     showStatus('Please enter an API key first', 'error');
     return;
   }
 
-  if (!apiKey.startsWith('sk-')) {
-    showStatus('Invalid API key format. Should start with "sk-"', 'error');
+  if (apiKey && !apiKey.startsWith(provider.keyPrefix)) {
+    showStatus(`Invalid API key format. Should start with "${provider.keyPrefix}"`, 'error');
+    return;
+  }
+
+  if (!endpointOrigin()) {
+    showStatus('Please enter a valid base URL (e.g. http://localhost:11434/v1)', 'error');
     return;
   }
 
@@ -111,70 +301,47 @@ async function fetchModels() {
   elements.modelCount.className = 'model-count';
 
   try {
-    const response = await fetch('https://api.openai.com/v1/models', {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`
-      }
+    const result = await chrome.runtime.sendMessage({
+      action: 'listModels',
+      provider: providerId,
+      settings: collectProviderSettings()
     });
 
-    if (!response.ok) {
-      const error = await response.json().catch(() => ({}));
-      throw new Error(error.error?.message || `API error: ${response.status}`);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Failed to fetch models');
     }
 
-    const data = await response.json();
-    
-    // Filter to only chat models (gpt-* and o1-*)
-    const chatModels = data.data
-      .filter(model => {
-        const id = model.id.toLowerCase();
-        return (
-          (id.includes('gpt-4') || id.includes('gpt-3.5') || id.startsWith('o1')) &&
-          !id.includes('instruct') &&
-          !id.includes('vision') &&
-          !id.includes('realtime') &&
-          !id.includes('audio') &&
-          !id.includes('embedding') &&
-          !id.includes('whisper') &&
-          !id.includes('tts') &&
-          !id.includes('dall-e') &&
-          !id.includes('davinci') &&
-          !id.includes('babbage') &&
-          !id.includes('curie') &&
-          !id.includes('ada')
-        );
-      })
-      .map(model => ({
-        id: model.id,
-        created: model.created,
-        owned_by: model.owned_by
-      }))
-      .sort((a, b) => {
-        // Sort by priority first
-        const aPriority = MODEL_PRIORITY.findIndex(p => a.id.startsWith(p));
-        const bPriority = MODEL_PRIORITY.findIndex(p => b.id.startsWith(p));
-        
-        if (aPriority !== -1 && bPriority !== -1) {
-          return aPriority - bPriority;
-        }
-        if (aPriority !== -1) return -1;
-        if (bPriority !== -1) return 1;
-        
-        // Then by date (newest first)
-        return b.created - a.created;
-      });
+    const chatModels = result.models.sort((a, b) => {
+      // Sort by priority first
+      const aPriority = MODEL_PRIORITY.findIndex(p => a.id.startsWith(p));
+      const bPriority = MODEL_PRIORITY.findIndex(p => b.id.startsWith(p));
+      
+      if (aPriority !== -1 && bPriority !== -1) {
+        return aPriority - bPriority;
+      }
+      if (aPriority !== -1) return -1;
+      if (bPriority !== -1) return 1;
+      
+      // Then by date (newest first)
+      return b.created - a.created;
+    });
+
+    // Ignore results if the user switched provider while we were fetching
+    if (currentProvider() !== providerId) return;
 
     availableModels = chatModels;
     
     // Cache models
-    await chrome.storage.local.set({ cachedModels: chatModels });
+    cachedModels[providerId] = chatModels;
+    await chrome.storage.local.set({ cachedModels });
 
     // Get current saved model
     const settings = await chrome.storage.local.get({ model: '' });
     populateModelDropdown(settings.model);
 
-    elements.modelCount.textContent = `✓ Found ${chatModels.length} chat models`;
+    elements.modelCount.textContent = provider.origin
+      ? `✓ Found ${chatModels.length} chat models`
+      : `✓ Found ${chatModels.length} models at ${endpointOrigin()}`;
     elements.modelCount.className = 'model-count';
 
   } catch (error) {
@@ -192,39 +359,26 @@ async function fetchModels() {
  * Populate model dropdown with fetched models
  */
 function populateModelDropdown(selectedModel) {
+  // Keep unsaved parameter edits for the model we're moving away from
+  storeModelParams();
+
   elements.model.innerHTML = '';
   
   if (availableModels.length === 0) {
-    elements.model.innerHTML = '<option value="">-- No models available --</option>';
+    elements.model.innerHTML = '<option value="">-- Enter API key and click "Load Models" --</option>';
     elements.model.disabled = true;
+    updateModelDetails();
+    showModelParams('');
     return;
   }
 
-  // Group models
-  const groups = {
-    'GPT-4o': [],
-    'GPT-4 Turbo': [],
-    'GPT-4': [],
-    'GPT-3.5': [],
-    'O1 (Reasoning)': [],
-    'Other': []
-  };
+  // Group models by registry family; models the registry doesn't know
+  // (self-hosted endpoints) get one group per model family name
+  const groups = {};
 
   availableModels.forEach(model => {
-    const id = model.id;
-    if (id.startsWith('gpt-4o')) {
-      groups['GPT-4o'].push(model);
-    } else if (id.includes('gpt-4-turbo') || id.includes('gpt-4-1106') || id.includes('gpt-4-0125')) {
-      groups['GPT-4 Turbo'].push(model);
-    } else if (id.startsWith('gpt-4')) {
-      groups['GPT-4'].push(model);
-    } else if (id.startsWith('gpt-3.5')) {
-      groups['GPT-3.5'].push(model);
-    } else if (id.startsWith('o1')) {
-      groups['O1 (Reasoning)'].push(model);
-    } else {
-      groups['Other'].push(model);
-    }
+    const family = getModelCapabilities(model.id).label || modelFamilyLabel(model);
+    (groups[family] = groups[family] || []).push(model);
   });
 
   // Add optgroups
@@ -237,7 +391,7 @@ function populateModelDropdown(selectedModel) {
     models.forEach(model => {
       const option = document.createElement('option');
       option.value = model.id;
-      option.textContent = model.id;
+      option.textContent = model.name || model.id;
       if (model.id === selectedModel) {
         option.selected = true;
       }
@@ -247,14 +401,33 @@ function populateModelDropdown(selectedModel) {
     elements.model.appendChild(optgroup);
   }
 
-  // If no model selected, default to gpt-4o-mini or first available
-  if (!selectedModel && availableModels.length > 0) {
-    const defaultModel = availableModels.find(m => m.id === 'gpt-4o-mini') || availableModels[0];
+  // If the saved model isn't offered by this provider, default to the
+  // provider's preferred model or first available
+  if (!availableModels.some(m => m.id === selectedModel)) {
+    const preferred = PROVIDERS[currentProvider()].preferredModel;
+    const defaultModel = availableModels.find(m => m.id === preferred) ||
+                         availableModels.find(m => m.id.includes(preferred)) ||
+                         availableModels[0];
     elements.model.value = defaultModel.id;
   }
 
   elements.model.disabled = false;
   updateModelDetails();
+  showModelParams(elements.model.value);
+}
+
+/**
+ * Derive a display group for models outside the known families
+ * e.g. "llama3.1:8b" → "Llama", "mistralai/Mistral-7B" → "Mistralai"
+ */
+function modelFamilyLabel(model) {
+  if (model.owned_by === 'azure') return 'Azure Deployments';
+
+  const id = model.id;
+  const family = id.includes('/') ? id.split('/')[0] : id.match(/^[a-z]+/i)?.[0];
+  if (!family) return 'Other';
+
+  return family.charAt(0).toUpperCase() + family.slice(1);
 }
 
 /**
@@ -269,35 +442,119 @@ function updateModelDetails() {
     return;
   }
 
-  const date = new Date(model.created * 1000).toLocaleDateString();
+  const date = model.created ? new Date(model.created * 1000).toLocaleDateString() : 'Unknown';
+  const capabilities = getModelCapabilities(model.id);
+  const knownFamily = capabilities.id !== 'default';
+  // Model names and owners come from the endpoint, which may be any server
+  const name = model.name && model.name !== model.id ? `${model.name} (${model.id})` : model.id;
   elements.modelDetails.innerHTML = `
-    <strong>Model:</strong> ${model.id}<br>
+    <strong>Model:</strong> ${escapeHtml(name)}<br>
     <strong>Created:</strong> ${date}<br>
-    <strong>Owner:</strong> ${model.owned_by}
+    <strong>Owner:</strong> ${escapeHtml(model.owned_by || 'Unknown')}<br>
+    <strong>Context window:</strong> ${capabilities.contextWindow.toLocaleString()} tokens${knownFamily ? '' : ' (assumed)'}<br>
+    <strong>Max output:</strong> ${capabilities.maxOutputTokens.toLocaleString()} tokens<br>
+    <strong>Images:</strong> ${capabilities.vision ? 'Supported' : 'Not supported'}<br>
+    <strong>Calculations:</strong> ${capabilities.tools ? 'Can run JavaScript over page tables' : 'Not supported'}<br>
+    <strong>System prompt:</strong> ${SYSTEM_ROLE_LABELS[capabilities.systemRole]}
   `;
   elements.modelDetails.classList.add('visible');
 }
 
+/**
+ * Show the parameter controls the given model supports, filled with its overrides
+ */
+function showModelParams(modelId) {
+  paramsModel = modelId;
+
+  const capabilities = getModelCapabilities(modelId);
+  const overrides = modelParams[modelId] || {};
+  const supports = (param) => !!modelId && capabilities.params.includes(param);
+
+  elements.temperatureParam.classList.toggle('visible', supports('temperature'));
+  elements.temperature.max = capabilities.temperatureMax;
+  elements.temperature.value = overrides.temperature ?? DEFAULT_TEMPERATURE;
+
+  elements.topPParam.classList.toggle('visible', supports('top_p'));
+  elements.topP.value = overrides.topP ?? '';
+
+  elements.reasoningEffortParam.classList.toggle('visible', supports('reasoning_effort'));
+  elements.reasoningEffort.innerHTML = capabilities.reasoningEfforts
+    .map(effort => `<option value="${effort}">${effort.charAt(0).toUpperCase() + effort.slice(1)}</option>`)
+    .join('');
+  elements.reasoningEffort.value = capabilities.reasoningEfforts.includes(overrides.reasoningEffort)
+    ? overrides.reasoningEffort
+    : 'medium';
+
+  elements.modelParams.classList.toggle('visible', !!modelId && capabilities.params.length > 0);
+}
+
+/**
+ * Read the parameter controls back into the overrides for the model they show
+ */
+function storeModelParams() {
+  if (!paramsModel) return;
+
+  const capabilities = getModelCapabilities(paramsModel);
+  const overrides = {};
+
+  if (capabilities.params.includes('temperature')) {
+    const temperature = parseFloat(elements.temperature.value);
+    if (!isNaN(temperature)) overrides.temperature = temperature;
+  }
+  if (capabilities.params.includes('top_p')) {
+    const topP = parseFloat(elements.topP.value);
+    if (!isNaN(topP)) overrides.topP = topP;
+  }
+  if (capabilities.params.includes('reasoning_effort')) {
+    overrides.reasoningEffort = elements.reasoningEffort.value;
+  }
+
+  modelParams[paramsModel] = overrides;
+}
+
+/**
+ * Handle a different model being picked from the dropdown
+ */
+function handleModelChange() {
+  storeModelParams();
+  updateModelDetails();
+  showModelParams(elements.model.value);
+}
+
 /**
  * Save settings to storage
  */
 async function saveSettings() {
+  const providerId = currentProvider();
+  const provider = PROVIDERS[providerId];
   const apiKey = elements.apiKey.value.trim();
   const model = elements.model.value;
   const maxTokens = parseInt(elements.maxTokens.value, 10) || 2000;
   const systemPrompt = elements.systemPrompt.value.trim();
+  const fallbackModels = elements.fallbackModels.value
+    .split(/[\n,]/)
+    .map(id => id.trim())
+    .filter(id => id && id !== model)
+    .join('\n');
+
+  apiKeys[providerId] = apiKey;
 
   // Validate API key format
-  if (apiKey && !apiKey.startsWith('sk-')) {
-    showStatus('Invalid API key format. Should start with "sk-"', 'error');
+  if (apiKey && !apiKey.startsWith(provider.keyPrefix)) {
+    showStatus(`Invalid API key format. Should start with "${provider.keyPrefix}"`, 'error');
     return;
   }
 
-  if (!apiKey) {
+  if (!apiKey && !provider.keyOptional) {
     showStatus('Please enter an API key', 'error');
     return;
   }
 
+  if (!endpointOrigin()) {
+    showStatus('Please enter a valid base URL', 'error');
+    return;
+  }
+
   if (!model) {
     showStatus('Please select a model (click "Load Models" first)', 'error');
     return;
@@ -309,11 +566,33 @@ async function saveSettings() {
     return;
   }
 
+  // Validate model parameters
+  storeModelParams();
+  const overrides = modelParams[model] || {};
+  const capabilities = getModelCapabilities(model);
+
+  if (overrides.temperature !== undefined &&
+      (overrides.temperature < 0 || overrides.temperature > capabilities.temperatureMax)) {
+    showStatus(`Temperature must be between 0 and ${capabilities.temperatureMax}`, 'error');
+    return;
+  }
+
+  if (overrides.topP !== undefined && (overrides.topP < 0 || overrides.topP > 1)) {
+    showStatus('Top P must be between 0 and 1', 'error');
+    return;
+  }
+
   const settings = {
-    apiKey,
+    ...collectProviderSettings(),
+    provider: providerId,
     model,
     maxTokens,
-    systemPrompt: systemPrompt || DEFAULT_SYSTEM_PROMPT
+    modelParams,
+    fallbackModels,
+    systemPrompt: systemPrompt || DEFAULT_SYSTEM_PROMPT,
+    computeTool: elements.computeTool.checked,
+    citations: elements.citations.checked,
+    selectionBubble: elements.selectionBubble.checked
   };
 
   try {
@@ -359,11 +638,22 @@ function toggleApiKeyVisibility() {
   `;
 }
 
+/**
+ * Escape HTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML;
+}
+
 // Event listeners
+elements.provider.addEventListener('change', handleProviderChange);
 elements.saveBtn.addEventListener('click', saveSettings);
-elements.fetchModelsBtn.addEventListener('click', fetchModels);
+elements.fetchModelsBtn.addEventListener('click', () => fetchModels());
+elements.customApiStyle.addEventListener('change', updateEndpointFields);
 elements.toggleApiKey.addEventListener('click', toggleApiKeyVisibility);
-elements.model.addEventListener('change', updateModelDetails);
+elements.model.addEventListener('change', handleModelChange);
 
 // Save on Enter in API key field
 elements.apiKey.addEventListener('keypress', (e) => {
@@ -371,4 +661,7 @@ elements.apiKey.addEventListener('keypress', (e) => {
 });
 
 // Load settings on page load
-document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', () => {
+  loadSettings();
+  initExtractorEditor(showStatus);
+});
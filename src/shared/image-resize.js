@@ -0,0 +1,77 @@
+/**
+ * AI Tab Assistant - Image Resizing
+ * 
+ * Downsizes images for vision models and makes chat thumbnails. Used by
+ * the service worker for screenshots and by the side panel for attached
+ * images; both have OffscreenCanvas.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+// Longest edge sent to the model; vision models downscale larger images anyway
+export const MAX_IMAGE_EDGE = 1568;
+
+const THUMBNAIL_WIDTH = 240;
+const JPEG_QUALITY = 0.85;
+
+/**
+ * Encode a blob as a data URL
+ */
+export async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Draw an image scaled to fit within maxWidth x maxHeight and encode it as JPEG
+ * Transparent areas become white. Resolves with { dataUrl, width, height }.
+ */
+export async function resizeImage(source, maxWidth, maxHeight, quality = JPEG_QUALITY) {
+  const scale = Math.min(1, maxWidth / source.width, maxHeight / source.height);
+  const width = Math.max(1, Math.round(source.width * scale));
+  const height = Math.max(1, Math.round(source.height * scale));
+
+  const canvas = new OffscreenCanvas(width, height);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(source, 0, 0, width, height);
+
+  const blob = await canvas.convertToBlob({ type: 'image/jpeg', quality });
+  return { dataUrl: await blobToDataUrl(blob), width, height };
+}
+
+/**
+ * Small JPEG of an image for showing (and saving) with a chat message
+ */
+export async function createThumbnail(source) {
+  const { dataUrl } = await resizeImage(source, THUMBNAIL_WIDTH, THUMBNAIL_WIDTH * 3, 0.7);
+  return dataUrl;
+}
+
+/**
+ * Rough prompt cost of an image, in tokens (about one per 750 pixels,
+ * which vision APIs cap at around 1,600)
+ */
+export function estimateImageTokens(width, height) {
+  return Math.min(1600, Math.ceil((width * height) / 750));
+}
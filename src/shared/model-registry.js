@@ -0,0 +1,282 @@
+/**
+ * AI Tab Assistant - Model Capability Registry
+ * 
+ * Describes what each model family supports: context window, output limit,
+ * which sampling/reasoning parameters it accepts, vision support and how it
+ * handles the system prompt. Used by the providers to build requests and by
+ * the settings page to group models and show the controls that apply.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+export const DEFAULT_TEMPERATURE = 0.7;
+export const REASONING_EFFORTS = ['minimal', 'low', 'medium', 'high'];
+
+/**
+ * Model families, checked in order - put more specific patterns first
+ *
+ * contextWindow    - total tokens the model accepts (prompt + completion)
+ * maxOutputTokens  - upper bound for the completion
+ * tokenParam       - request field that carries the completion limit
+ * params           - optional request parameters the family accepts
+ * temperatureMax   - upper bound of the temperature range
+ * exclusiveSampling- temperature and top_p can't be sent together
+ * reasoningEfforts - accepted reasoning_effort values
+ * vision           - accepts image inputs
+ * tools            - supports function calling
+ * systemRole       - how the system prompt is sent: 'system', 'developer',
+ *                    'user' (merged into the first user message) or
+ *                    'top-level' (Anthropic's separate system field)
+ */
+export const MODEL_FAMILIES = [
+  {
+    id: 'o1-legacy',
+    label: 'O-series (Reasoning)',
+    match: /^o1-(mini|preview)/,
+    contextWindow: 128000,
+    maxOutputTokens: 65536,
+    tokenParam: 'max_completion_tokens',
+    params: [],
+    vision: false,
+    tools: false,
+    systemRole: 'user'
+  },
+  {
+    id: 'o-series',
+    label: 'O-series (Reasoning)',
+    match: /^o\d/,
+    contextWindow: 200000,
+    maxOutputTokens: 100000,
+    tokenParam: 'max_completion_tokens',
+    params: ['reasoning_effort'],
+    reasoningEfforts: ['low', 'medium', 'high'],
+    vision: true,
+    tools: true,
+    systemRole: 'developer'
+  },
+  {
+    id: 'gpt-5',
+    label: 'GPT-5',
+    match: /^gpt-5/,
+    contextWindow: 400000,
+    maxOutputTokens: 128000,
+    tokenParam: 'max_completion_tokens',
+    params: ['reasoning_effort'],
+    reasoningEfforts: ['minimal', 'low', 'medium', 'high'],
+    vision: true,
+    tools: true,
+    systemRole: 'developer'
+  },
+  {
+    id: 'gpt-4.1',
+    label: 'GPT-4.1',
+    match: /^gpt-4\.1/,
+    contextWindow: 1047576,
+    maxOutputTokens: 32768,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    vision: true,
+    tools: true,
+    systemRole: 'system'
+  },
+  {
+    id: 'gpt-4o',
+    label: 'GPT-4o',
+    match: /^(chatgpt-)?gpt-4o/,
+    contextWindow: 128000,
+    maxOutputTokens: 16384,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    vision: true,
+    tools: true,
+    systemRole: 'system'
+  },
+  {
+    id: 'gpt-4-turbo',
+    label: 'GPT-4 Turbo',
+    match: /^gpt-4-(turbo|1106|0125)/,
+    contextWindow: 128000,
+    maxOutputTokens: 4096,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    vision: true,
+    tools: true,
+    systemRole: 'system'
+  },
+  {
+    id: 'gpt-4',
+    label: 'GPT-4',
+    match: /^gpt-4/,
+    contextWindow: 8192,
+    maxOutputTokens: 8192,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    vision: false,
+    tools: true,
+    systemRole: 'system'
+  },
+  {
+    id: 'gpt-3.5',
+    label: 'GPT-3.5',
+    match: /^gpt-3\.5/,
+    contextWindow: 16385,
+    maxOutputTokens: 4096,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    vision: false,
+    tools: true,
+    systemRole: 'system'
+  },
+  {
+    id: 'claude-opus',
+    label: 'Claude Opus',
+    match: /^claude-.*opus/,
+    contextWindow: 200000,
+    maxOutputTokens: 32000,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    temperatureMax: 1,
+    exclusiveSampling: true,
+    vision: true,
+    tools: true,
+    systemRole: 'top-level'
+  },
+  {
+    id: 'claude-sonnet',
+    label: 'Claude Sonnet',
+    match: /^claude-.*sonnet/,
+    contextWindow: 200000,
+    maxOutputTokens: 64000,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    temperatureMax: 1,
+    exclusiveSampling: true,
+    vision: true,
+    tools: true,
+    systemRole: 'top-level'
+  },
+  {
+    id: 'claude-haiku',
+    label: 'Claude Haiku',
+    match: /^claude-.*haiku/,
+    contextWindow: 200000,
+    maxOutputTokens: 8192,
+    tokenParam: 'max_tokens',
+    params: ['temperature', 'top_p'],
+    temperatureMax: 1,
+    exclusiveSampling: true,
+    vision: true,
+    tools: true,
+    systemRole: 'top-level'
+  }
+];
+
+// Conservative defaults for models we don't know (self-hosted, Azure deployments)
+export const DEFAULT_FAMILY = {
+  id: 'default',
+  label: null,
+  contextWindow: 8192,
+  maxOutputTokens: 4096,
+  tokenParam: 'max_tokens',
+  params: ['temperature', 'top_p'],
+  vision: false,
+  tools: false,
+  systemRole: 'system'
+};
+
+/**
+ * Get the capabilities of a model by id
+ */
+export function getModelCapabilities(modelId) {
+  const id = (modelId || '').toLowerCase();
+  const family = MODEL_FAMILIES.find(f => f.match.test(id)) || DEFAULT_FAMILY;
+  return {
+    temperatureMax: 2,
+    reasoningEfforts: [],
+    exclusiveSampling: false,
+    ...family
+  };
+}
+
+/**
+ * Check whether a model family accepts a request parameter
+ */
+export function supportsParam(capabilities, param) {
+  return capabilities.params.includes(param);
+}
+
+/**
+ * Build the generation parameters for a request to the given model
+ * Reads per-model overrides from settings.modelParams and only includes
+ * parameters the model family accepts.
+ */
+export function buildGenerationParams(modelId, settings) {
+  const capabilities = getModelCapabilities(modelId);
+  const overrides = settings.modelParams?.[modelId] || {};
+
+  const params = {
+    [capabilities.tokenParam]: Math.min(settings.maxTokens, capabilities.maxOutputTokens)
+  };
+
+  const hasTopP = typeof overrides.topP === 'number';
+
+  if (supportsParam(capabilities, 'top_p') && hasTopP) {
+    params.top_p = overrides.topP;
+  }
+
+  if (supportsParam(capabilities, 'temperature') && !(capabilities.exclusiveSampling && hasTopP)) {
+    const temperature = typeof overrides.temperature === 'number' ? overrides.temperature : DEFAULT_TEMPERATURE;
+    params.temperature = Math.min(temperature, capabilities.temperatureMax);
+  }
+
+  if (supportsParam(capabilities, 'reasoning_effort') && overrides.reasoningEffort &&
+      capabilities.reasoningEfforts.includes(overrides.reasoningEffort)) {
+    params.reasoning_effort = overrides.reasoningEffort;
+  }
+
+  return params;
+}
+
+/**
+ * Adapt system messages to how the model accepts its system prompt
+ * 'developer' renames the role; 'user' folds the system prompt into the
+ * first user message for models that reject system messages entirely.
+ */
+export function applySystemRole(messages, capabilities) {
+  if (capabilities.systemRole === 'developer') {
+    return messages.map(m => (m.role === 'system' ? { ...m, role: 'developer' } : m));
+  }
+
+  if (capabilities.systemRole === 'user') {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const rest = messages.filter(m => m.role !== 'system');
+    const firstUser = rest.findIndex(m => m.role === 'user');
+    if (!system || firstUser === -1) return rest;
+
+    const first = rest[firstUser];
+    rest[firstUser] = {
+      ...first,
+      content: typeof first.content === 'string'
+        ? `${system}\n\n${first.content}`
+        : [{ type: 'text', text: system }, ...first.content]
+    };
+    return rest;
+  }
+
+  return messages;
+}
@@ -0,0 +1,125 @@
+/**
+ * AI Tab Assistant - Site Extractors
+ * 
+ * Per-site extraction rules keyed by URL pattern. An extractor can narrow
+ * the main content to include selectors, drop exclude selectors, and define
+ * how to read tables (table/row/cell selectors) and metrics (label/value
+ * selector pairs) on sites whose markup the generic heuristics miss.
+ * Built-in extractors ship here; user entries with the same id override them.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+/**
+ * Extractor shape:
+ *   id, name        - identifier and display name
+ *   urlPattern      - URL glob, * matches anything (e.g. https://example.com/reports/*)
+ *   enabled         - whether it is applied
+ *   builtIn         - shipped with the extension (read-only defaults)
+ *   include         - selectors for the main content regions
+ *   exclude         - selectors removed from the main content, tables and metrics
+ *   tables          - [{ label, table, header, row, cell, firstRowHeader, uniqueCells }]
+ *                     table is the container (whole page if empty), header the
+ *                     header cells inside it
+ *   metrics         - [{ container, label, value }] - with a container, label and
+ *                     value are read inside each match; without one, the nth label
+ *                     pairs with the nth value
+ *   replaceTables   - skip the generic table heuristics
+ *   replaceMetrics  - skip the generic metric heuristics
+ */
+export const BUILT_IN_EXTRACTORS = [
+  {
+    id: 'google-search-console',
+    name: 'Google Search Console',
+    urlPattern: 'https://search.google.com/*',
+    enabled: true,
+    builtIn: true,
+    include: [],
+    exclude: [],
+    tables: [
+      // GSC renders reports as tables inside custom elements
+      { label: '', table: 'c-wiz table, [jsname] table', header: 'th', row: 'tr', cell: 'td, th' },
+      // ...and some as ARIA rows of nested spans and divs
+      {
+        label: '',
+        table: '',
+        header: '',
+        row: '[jsname] [role="row"], [jscontroller] [role="row"]',
+        cell: '[role="cell"], [role="gridcell"], span, div',
+        firstRowHeader: true,
+        uniqueCells: true
+      }
+    ],
+    metrics: [],
+    replaceTables: false,
+    replaceMetrics: false
+  }
+];
+
+/**
+ * Create an empty user extractor
+ */
+export function createExtractor(urlPattern = '') {
+  return {
+    id: `site-${Date.now().toString(36)}`,
+    name: '',
+    urlPattern,
+    enabled: true,
+    builtIn: false,
+    include: [],
+    exclude: [],
+    tables: [],
+    metrics: [],
+    replaceTables: false,
+    replaceMetrics: false
+  };
+}
+
+/**
+ * Combine built-in and stored extractors
+ * Stored entries replace built-ins with the same id; other stored entries
+ * come first so user rules win over built-ins for the same site.
+ */
+export function resolveExtractors(stored = []) {
+  const overrides = new Map(stored.map(extractor => [extractor.id, extractor]));
+  const builtIns = BUILT_IN_EXTRACTORS.map(extractor =>
+    overrides.has(extractor.id) ? { ...overrides.get(extractor.id), builtIn: true } : extractor
+  );
+  const custom = stored.filter(extractor => !BUILT_IN_EXTRACTORS.some(builtIn => builtIn.id === extractor.id));
+  return [...custom, ...builtIns];
+}
+
+/**
+ * Check a URL against a glob pattern where * matches any characters
+ */
+export function matchesUrlPattern(pattern, url) {
+  if (!pattern || !url) return false;
+  const source = pattern.trim().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  try {
+    return new RegExp(`^${source}$`, 'i').test(url);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Find the first enabled extractor for a URL
+ */
+export function findExtractor(extractors, url) {
+  return extractors.find(extractor => extractor.enabled && matchesUrlPattern(extractor.urlPattern, url)) || null;
+}
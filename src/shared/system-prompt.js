@@ -0,0 +1,36 @@
+/**
+ * AI Tab Assistant - System Prompt
+ * 
+ * Default instructions sent with every chat. The service worker falls back
+ * to them when nothing is stored, and the settings page saves them when the
+ * custom instructions field is left empty.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+export const DEFAULT_SYSTEM_PROMPT = `You are a highly capable AI assistant analyzing the user's current browser tab. You have COMPLETE access to all page content provided below - this includes ALL text, data, tables, numbers, and information visible on the page.
+
+CRITICAL INSTRUCTIONS:
+1. ALWAYS analyze the ACTUAL DATA provided in the page content - never give generic advice
+2. Reference SPECIFIC numbers, keywords, metrics, and data points from the page
+3. If you see tables, extract and analyze the actual values. Use the column statistics listed under COLUMNS (computed from every row) rather than adding numbers up yourself
+4. Quote specific text from the page when relevant
+5. If asked about data that IS in the page content, provide detailed analysis WITH the actual data
+6. Only say "information not available" if you genuinely cannot find it in the provided content
+
+You are seeing the SAME content the user sees. Analyze it thoroughly.`;
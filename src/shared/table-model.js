@@ -0,0 +1,282 @@
+/**
+ * AI Tab Assistant - Table Model
+ * 
+ * Typed view of extracted tables. Cells arrive as display strings ("1.2K",
+ * "3,4 %", "$12,300", "Jan 5, 2024"); each column gets an inferred type
+ * (number, percent, currency, date or text), normalized values alongside
+ * the original text, and summary statistics for the model.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+// Share of a column's non-empty cells that must parse as one type
+const TYPE_THRESHOLD = 0.8;
+
+// Cells that mean "no value"
+const NULL_TOKENS = new Set(['', '-', '--', '—', '–', 'n/a', 'na', 'null', 'none', '(not set)', '∅']);
+
+const MAGNITUDES = { k: 1e3, m: 1e6, mm: 1e6, b: 1e9, bn: 1e9, t: 1e12 };
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW', '₽': 'RUB', '₺': 'TRY',
+  '₴': 'UAH', '₪': 'ILS', '₫': 'VND', '฿': 'THB', 'R$': 'BRL', 'zł': 'PLN', 'kr': 'SEK', 'CHF': 'CHF'
+};
+const CURRENCY_CODES = /^(USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|BRL|MXN|ZAR|NZD|SGD|HKD|KRW|TRY)$/i;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Digits with group separators and an optional K/M/B suffix
+const NUMBER_PATTERN = /^([+-]?)\s*(\d[\d,.\s\u00a0\u202f]*?)\s*(k|mm|m|bn|b|t)?$/i;
+const GROUPED_DIGITS = /^(\d{1,3}([,.\s\u00a0\u202f]\d{3})*|\d+)$/;
+
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/;
+const SLASH_DATE = /^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})$/;
+const NAMED_DATE = /^(?:[a-z]+,?\s+)?(?:(\d{1,2})\s+([a-z]{3,})\.?|([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?),?\s+(\d{4})$/i;
+
+/**
+ * Check if a cell holds no value
+ */
+function isNull(text) {
+  return NULL_TOKENS.has(String(text ?? '').trim().toLowerCase());
+}
+
+/**
+ * Parse the numeric part of a cell. decimalComma says whether this
+ * column writes "3,4" for 3.4 (decided per column, see usesDecimalComma).
+ */
+function parseNumber(text, decimalComma) {
+  const match = text.replace(/[−‒–]/g, '-').trim().match(NUMBER_PATTERN);
+  if (!match) return null;
+
+  const [, sign, digits, magnitude] = match;
+  const [whole, fraction = '', ...extra] = digits.split(decimalComma ? ',' : '.');
+  if (extra.length > 0 || /\D/.test(fraction) || !GROUPED_DIGITS.test(whole)) return null;
+
+  let number = Number(`${whole.replace(/\D/g, '')}.${fraction || 0}`);
+  if (!Number.isFinite(number)) return null;
+  if (magnitude) number *= MAGNITUDES[magnitude.toLowerCase()];
+  return sign === '-' ? -number : number;
+}
+
+/**
+ * Parse a number with the column's decimal separator, falling back to the
+ * other one for cells written differently from the rest
+ */
+function parseAmount(text, decimalComma) {
+  return parseNumber(text, decimalComma) ?? parseNumber(text, !decimalComma);
+}
+
+/**
+ * Parse a date cell to YYYY-MM-DD
+ */
+function parseDate(text) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const valid = (y, m, d) => m >= 1 && m <= 12 && d >= 1 && d <= 31 ? `${y}-${pad(m)}-${pad(d)}` : null;
+
+  let match = text.match(ISO_DATE);
+  if (match) return valid(match[1], Number(match[2]), Number(match[3]));
+
+  match = text.match(SLASH_DATE);
+  if (match) {
+    let [, a, b, year] = match.map(Number);
+    if (year < 100) year += 2000;
+    // Day first when the first part can't be a month, or with dots (5.1.2024)
+    const dayFirst = a > 12 || text.includes('.');
+    return dayFirst ? valid(year, b, a) : valid(year, a, b);
+  }
+
+  match = text.match(NAMED_DATE);
+  if (match) {
+    const day = Number(match[1] || match[4]);
+    const month = MONTHS.indexOf((match[2] || match[3]).slice(0, 3).toLowerCase()) + 1;
+    return month > 0 ? valid(match[5], month, day) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Read one cell as { type, value, currency? }
+ */
+function parseCell(text, decimalComma) {
+  const raw = String(text).trim();
+
+  // Accounting negatives: (1,234), ($5.00), (0.5%)
+  const parens = raw.match(/^\((.+)\)$/);
+  if (parens) {
+    const inner = parseCell(parens[1], decimalComma);
+    return ['number', 'percent', 'currency'].includes(inner.type) ? { ...inner, value: -inner.value } : { type: 'text', value: raw };
+  }
+
+  const date = parseDate(raw);
+  if (date) return { type: 'date', value: date };
+
+  // Percent: 12.5%, 3,4 %, -0.3 pp
+  const percent = raw.match(/^(.*?)\s*(%|pp)$/i);
+  if (percent) {
+    const value = parseAmount(percent[1], decimalComma);
+    return value === null ? { type: 'text', value: raw } : { type: 'percent', value };
+  }
+
+  // Currency before or after the amount: $12,300 / 12.300 € / USD 1.2K / -$5
+  const currency = raw.match(/^([+-]?)\s*(R\$|CHF|zł|kr|[A-Z]{3}|[$€£¥₹₩₽₺₴₪₫฿])\s*(.+)$/) ||
+    raw.match(/^()(.+?)\s*(R\$|CHF|zł|kr|[A-Z]{3}|[$€£¥₹₩₽₺₴₪₫฿])$/);
+  if (currency) {
+    const [, sign, first, second] = currency;
+    const [symbol, amount] = CURRENCY_SYMBOLS[first] || CURRENCY_CODES.test(first) ? [first, second] : [second, first];
+    if (CURRENCY_SYMBOLS[symbol] || CURRENCY_CODES.test(symbol)) {
+      const value = parseAmount(`${sign}${amount}`, decimalComma);
+      if (value !== null) {
+        return { type: 'currency', value, currency: CURRENCY_SYMBOLS[symbol] || symbol.toUpperCase() };
+      }
+    }
+  }
+
+  const number = parseAmount(raw, decimalComma);
+  if (number !== null) return { type: 'number', value: number };
+
+  return { type: 'text', value: raw };
+}
+
+/**
+ * Decide whether a column writes decimals with a comma ("3,4", "1.234,56")
+ */
+function usesDecimalComma(cells) {
+  let comma = 0;
+  let dot = 0;
+  cells.forEach(cell => {
+    if (/\d\.\d{3},\d/.test(cell) || /(^|[^\d,.])\d+,\d{1,2}(?!\d)/.test(cell)) comma++;
+    if (/\d,\d{3}\.\d/.test(cell) || /(^|[^\d,.])\d+\.\d{1,2}(?!\d)/.test(cell)) dot++;
+  });
+  return comma > dot;
+}
+
+/**
+ * Summary statistics for a column's normalized values
+ */
+function columnStats(type, values, nulls) {
+  const present = values.filter(value => value !== null);
+  const stats = { count: present.length, nulls };
+
+  if (['number', 'percent', 'currency'].includes(type) && present.length > 0) {
+    const sum = present.reduce((total, value) => total + value, 0);
+    stats.min = Math.min(...present);
+    stats.max = Math.max(...present);
+    stats.sum = sum;
+    stats.mean = sum / present.length;
+  } else if (type === 'date' && present.length > 0) {
+    const sorted = [...present].sort();
+    stats.min = sorted[0];
+    stats.max = sorted[sorted.length - 1];
+  } else {
+    stats.distinct = new Set(present).size;
+  }
+
+  return stats;
+}
+
+/**
+ * Infer column types and statistics for an extracted table
+ * Returns the table with columns ([{ name, type, currency?, stats }]) and
+ * values: rows of normalized cells (numbers, YYYY-MM-DD dates, text or
+ * null) parallel to the original rows. Rows keep their original text; a
+ * row repeating the headers is dropped.
+ */
+export function typeTable(table) {
+  const headers = table.headers || [];
+
+  // Header cells often come through as the first row as well
+  const rows = (table.rows || []).filter(row => row.join('\u0001') !== headers.join('\u0001'));
+  const width = Math.max(headers.length, ...rows.map(row => row.length), 0);
+
+  const columns = [];
+  const columnValues = [];
+
+  for (let i = 0; i < width; i++) {
+    const cells = rows.map(row => row[i] ?? '');
+    const present = cells.filter(cell => !isNull(cell));
+    const decimalComma = usesDecimalComma(present);
+    const parsed = cells.map(cell => isNull(cell) ? null : parseCell(cell, decimalComma));
+
+    // The type most cells agree on, if enough of them do
+    const counts = {};
+    parsed.forEach(cell => {
+      if (cell) counts[cell.type] = (counts[cell.type] || 0) + 1;
+    });
+    const [best, bestCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || ['text', 0];
+    const type = present.length > 0 && bestCount / present.length >= TYPE_THRESHOLD ? best : 'text';
+
+    const values = parsed.map((cell, row) => {
+      if (!cell) return null;
+      if (type === 'text') return cells[row].trim();
+      return cell.type === type ? cell.value : null;
+    });
+
+    const currencies = new Set(parsed.filter(cell => cell?.currency).map(cell => cell.currency));
+    columns.push({
+      name: headers[i] || `Column ${i + 1}`,
+      type,
+      ...(type === 'currency' && currencies.size === 1 ? { currency: [...currencies][0] } : {}),
+      stats: columnStats(type, values, cells.length - present.length)
+    });
+    columnValues.push(values);
+  }
+
+  return {
+    ...table,
+    rows,
+    columns,
+    values: rows.map((row, r) => columnValues.map(values => values[r]))
+  };
+}
+
+/**
+ * Format a statistic for display
+ */
+function formatValue(value, column) {
+  if (typeof value !== 'number') return String(value);
+  const number = value.toLocaleString('en-US', { maximumFractionDigits: Math.abs(value) < 1 ? 4 : 2 });
+  if (column.type === 'percent') return `${number}%`;
+  if (column.type === 'currency') return column.currency ? `${number} ${column.currency}` : number;
+  return number;
+}
+
+/**
+ * Compact schema and statistics block for a typed table, one line per column
+ */
+export function describeColumns(table) {
+  return (table.columns || []).map(column => {
+    const { stats } = column;
+    const parts = [];
+
+    if (stats.min !== undefined && column.type === 'date') {
+      parts.push(`${stats.min} → ${stats.max}`);
+    } else if (stats.min !== undefined) {
+      parts.push(`min ${formatValue(stats.min, column)}`, `max ${formatValue(stats.max, column)}`);
+      // Summing percentages means nothing
+      if (column.type !== 'percent') parts.push(`sum ${formatValue(stats.sum, column)}`);
+      parts.push(`mean ${formatValue(stats.mean, column)}`);
+    } else if (stats.distinct !== undefined) {
+      parts.push(`${stats.distinct} distinct`);
+    }
+    if (stats.nulls > 0) parts.push(`${stats.nulls} empty`);
+
+    const type = column.currency ? `currency ${column.currency}` : column.type;
+    return `  ${column.name} (${type})${parts.length ? `: ${parts.join(', ')}` : ''}`;
+  }).join('\n');
+}
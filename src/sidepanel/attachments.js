@@ -0,0 +1,349 @@
+/**
+ * AI Tab Assistant - Attachments
+ * 
+ * Turns files picked, dropped or pasted into the side panel, and links
+ * and images fetched from the page, into attachments: images are downsized
+ * for vision models, documents are parsed locally, web pages are reduced to
+ * their main content and text files are read as is. Each attachment carries a token
+ * estimate for its chip and a small record that is saved with the chat.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { countTokens } from '../shared/tokenizer.js';
+import { MAX_IMAGE_EDGE, resizeImage, createThumbnail, estimateImageTokens } from '../shared/image-resize.js';
+import { isParsedDocument, parseDocument } from './parsers/index.js';
+import { markdownTable } from './parsers/common.js';
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+export const MAX_ATTACHMENTS = 10;
+
+// Attachments sent to vision models as images rather than as text
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Longest wait for a linked page or image
+const FETCH_TIMEOUT = 20000;
+
+// Page furniture left out of linked pages
+const PAGE_NOISE = 'script, style, noscript, template, svg, iframe, object, form, nav, header, footer, aside, ' +
+  '[role="navigation"], [role="banner"], [role="contentinfo"], [role="complementary"], [aria-hidden="true"], [hidden]';
+
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DETAILS', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE',
+  'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL'
+]);
+
+let nextId = 1;
+
+/**
+ * Downsize an image for sending and make its chat thumbnail
+ * Animated GIFs keep their first frame.
+ */
+async function readImageFile(file) {
+  const bitmap = await createImageBitmap(file);
+  try {
+    const { dataUrl, width, height } = await resizeImage(bitmap, MAX_IMAGE_EDGE, MAX_IMAGE_EDGE);
+    return { dataUrl, width, height, thumbnail: await createThumbnail(bitmap) };
+  } finally {
+    bitmap.close();
+  }
+}
+
+/**
+ * Read a text file, rejecting binary files
+ */
+function readTextFile(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+
+    reader.onload = (e) => {
+      // Binary formats without a parser would reach the model as noise
+      if (e.target.result.includes('\u0000')) {
+        reject(new Error(`${file.name} is not a text file or a supported document (PDF, Word, Excel, PowerPoint, image)`));
+        return;
+      }
+      resolve(e.target.result);
+    };
+
+    reader.onerror = () => {
+      reject(new Error('Failed to read file'));
+    };
+
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Start an attachment for a file; read it with readAttachment
+ */
+export function createAttachment(file) {
+  return { id: nextId++, name: file.name || 'Pasted file', size: file.size, type: file.type, status: 'reading' };
+}
+
+/**
+ * Read a file into its attachment
+ * Resolves with the attachment, now ready and with a token estimate.
+ */
+export async function readAttachment(attachment, file) {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error(`${attachment.name} is too large. Maximum size is 10MB.`);
+  }
+
+  if (IMAGE_TYPES.includes(file.type)) {
+    const image = await readImageFile(file);
+    return { ...attachment, status: 'ready', image, tokens: estimateImageTokens(image.width, image.height) };
+  }
+
+  if (isParsedDocument(file)) {
+    const { text, parts, unit, summary } = await parseDocument(file);
+    return { ...attachment, status: 'ready', content: text, parts, unit, summary, tokens: countTokens(text) };
+  }
+
+  const content = await readTextFile(file);
+  return { ...attachment, status: 'ready', content, tokens: countTokens(content) };
+}
+
+/**
+ * Rows of cell text from an HTML table, with spanned cells repeated
+ */
+function tableRows(table) {
+  const rows = [];
+  table.querySelectorAll('tr').forEach((tr, r) => {
+    rows[r] = rows[r] || [];
+    let column = 0;
+    tr.querySelectorAll(':scope > th, :scope > td').forEach(cell => {
+      while (rows[r][column] !== undefined) column++;
+      const text = cell.textContent.replace(/\s+/g, ' ').trim();
+      const colSpan = Math.min(cell.colSpan || 1, 50);
+      const rowSpan = Math.min(cell.rowSpan || 1, 50);
+      for (let dr = 0; dr < rowSpan; dr++) {
+        rows[r + dr] = rows[r + dr] || [];
+        for (let dc = 0; dc < colSpan; dc++) rows[r + dr][column + dc] = text;
+      }
+      column += colSpan;
+    });
+  });
+  return rows.filter(row => row?.some(Boolean)).map(row => Array.from(row, cell => cell ?? ''));
+}
+
+/**
+ * Attachments for tables pasted from a spreadsheet or web page
+ * Returns an empty list when the HTML is mostly prose, so ordinary
+ * pastes still go into the message box.
+ */
+export function attachmentsFromPastedHtml(html) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const tables = Array.from(doc.querySelectorAll('table')).filter(table => !table.querySelector('table'));
+  if (!tables.length) return [];
+
+  const tableText = tables.reduce((length, table) => length + table.textContent.trim().length, 0);
+  if (tableText < doc.body.textContent.trim().length / 2) return [];
+
+  return tables.map(tableRows).filter(rows => rows.length).map((rows, i, all) => {
+    const content = markdownTable(rows);
+    const name = all.length === 1 ? 'Pasted table' : `Pasted table ${i + 1}`;
+    const count = rows.length - 1;
+    return {
+      id: nextId++,
+      name,
+      size: new Blob([content]).size,
+      type: 'text/markdown',
+      status: 'ready',
+      content,
+      summary: `${count} row${count === 1 ? '' : 's'}`,
+      tokens: countTokens(content)
+    };
+  });
+}
+
+/**
+ * Main content of a fetched page as Markdown
+ * Keeps headings, lists, quotes, code blocks and tables; navigation,
+ * headers, footers and sidebars are dropped.
+ */
+function pageToMarkdown(doc) {
+  doc.querySelectorAll(PAGE_NOISE).forEach(el => el.remove());
+  const root = doc.querySelector('article, main, [role="main"]') || doc.body;
+  const blocks = [];
+  const clean = (text) => text.replace(/\s+/g, ' ').trim();
+
+  const walk = (el, { list = 0, item = false, quote = false } = {}) => {
+    const prefix = `${quote ? '> ' : ''}${item ? `${'  '.repeat(list - 1)}- ` : ''}`;
+    let run = '';
+    const flush = () => {
+      const text = clean(run);
+      if (text) blocks.push(prefix + text);
+      run = '';
+    };
+
+    for (const node of el.childNodes) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        run += node.data;
+        continue;
+      }
+      if (node.nodeType !== Node.ELEMENT_NODE) continue;
+      if (!BLOCK_TAGS.has(node.tagName)) {
+        run += ` ${node.textContent} `;
+        continue;
+      }
+
+      flush();
+      const tag = node.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        const text = clean(node.textContent);
+        if (text) blocks.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+      } else if (tag === 'PRE') {
+        blocks.push(`\`\`\`\n${node.textContent.trimEnd()}\n\`\`\``);
+      } else if (tag === 'TABLE') {
+        const rows = tableRows(node);
+        if (rows.length) blocks.push(markdownTable(rows));
+      } else if (tag === 'UL' || tag === 'OL') {
+        walk(node, { list: list + 1, quote });
+      } else if (tag === 'LI') {
+        walk(node, { list: Math.max(list, 1), item: true, quote });
+      } else if (tag === 'BLOCKQUOTE') {
+        walk(node, { list, quote: true });
+      } else if (tag !== 'HR') {
+        walk(node, { list, item, quote });
+      }
+    }
+    flush();
+  };
+
+  walk(root);
+
+  // List items stay together; other blocks are paragraphs
+  const isItem = (block) => /^(> )?\s*- /.test(block);
+  return blocks.reduce((text, block, i) =>
+    text + (i === 0 ? '' : isItem(block) && isItem(blocks[i - 1]) ? '\n' : '\n\n') + block, '');
+}
+
+/**
+ * Read a fetched body, giving up as soon as it passes MAX_ATTACHMENT_SIZE
+ * rather than after downloading all of it
+ */
+async function readBody(response, name) {
+  const tooLarge = () => new Error(`${name} is too large. Maximum size is 10MB.`);
+  if (Number(response.headers.get('content-length')) > MAX_ATTACHMENT_SIZE) {
+    response.body?.cancel().catch(() => {});
+    throw tooLarge();
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.byteLength;
+    if (size > MAX_ATTACHMENT_SIZE) {
+      reader.cancel().catch(() => {});
+      throw tooLarge();
+    }
+    chunks.push(value);
+  }
+
+  const buffer = new Uint8Array(size);
+  let offset = 0;
+  for (const chunk of chunks) {
+    buffer.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return buffer.buffer;
+}
+
+/**
+ * Fetch a linked page or image into its attachment, without opening it
+ * Web pages are reduced to their main content; images, PDFs and other
+ * documents are read like uploaded files.
+ */
+export async function readUrlAttachment(attachment, url) {
+  const response = await fetch(url, { credentials: 'include', signal: AbortSignal.timeout(FETCH_TIMEOUT) });
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}`);
+  }
+
+  const address = new URL(response.url || url);
+  const contentType = response.headers.get('content-type') || '';
+  const type = contentType.split(';')[0].trim().toLowerCase();
+
+  if (type !== 'text/html' && type !== 'application/xhtml+xml') {
+    // Malformed escapes in the path keep the segment as it is
+    const segment = address.pathname.split('/').pop() || '';
+    let name;
+    try {
+      name = decodeURIComponent(segment);
+    } catch (error) {
+      name = segment;
+    }
+    name = name || address.hostname;
+    if (type === 'application/pdf' && !/\.pdf$/i.test(name)) name += '.pdf';
+    const buffer = await readBody(response, name);
+    const file = new File([buffer], name, { type });
+    return readAttachment({ ...attachment, name, size: file.size, type }, file);
+  }
+
+  const buffer = await readBody(response, address.hostname);
+
+  // Pages that aren't UTF-8 say so in the header
+  const charset = contentType.match(/charset=["']?([\w-]+)/i)?.[1] || 'utf-8';
+  let html;
+  try {
+    html = new TextDecoder(charset).decode(buffer);
+  } catch (error) {
+    html = new TextDecoder().decode(buffer);
+  }
+
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const name = doc.title.replace(/\s+/g, ' ').trim() || address.hostname;
+  const content = `# ${name}\nURL: ${address.href}\n\n${pageToMarkdown(doc)}`;
+  return {
+    ...attachment,
+    name,
+    size: buffer.byteLength,
+    type: 'text/markdown',
+    status: 'ready',
+    content,
+    summary: address.hostname,
+    tokens: countTokens(content)
+  };
+}
+
+/**
+ * What the service worker needs of an attachment
+ */
+export function toAttachmentPayload(attachment) {
+  if (attachment.image) {
+    const { dataUrl, width, height } = attachment.image;
+    return { name: attachment.name, type: 'image', dataUrl, width, height };
+  }
+  return { name: attachment.name, content: attachment.content, parts: attachment.parts, unit: attachment.unit };
+}
+
+/**
+ * What the saved chat keeps of an attachment: enough to show it, not its content
+ */
+export function toAttachmentRecord(attachment) {
+  return {
+    name: attachment.name,
+    size: attachment.size,
+    kind: attachment.image ? 'image' : 'file',
+    ...(attachment.summary ? { summary: attachment.summary } : {}),
+    tokens: attachment.tokens
+  };
+}
@@ -2,7 +2,7 @@
  * AI Tab Assistant - Side Panel Script
  * 
  * Main chat interface for the AI Tab Assistant extension.
- * Handles file upload, typing effect animations, conversation history,
+ * Handles file upload, streamed responses, conversation history,
  * and chat management features.
  * 
  * @copyright 2025 Volar Agency (https://thevolar.com)
@@ -23,6 +23,14 @@
  * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
  */
 
+import { tableToDelimited, tableToHTML, tableToJSON, tableToXLSX, tableFileName } from './table-export.js';
+import { runInSandbox } from './sandbox-runner.js';
+import { getModelCapabilities } from '../shared/model-registry.js';
+import {
+  MAX_ATTACHMENTS, createAttachment, readAttachment, readUrlAttachment, attachmentsFromPastedHtml, toAttachmentPayload,
+  toAttachmentRecord
+} from './attachments.js';
+
 // Global error handler for extension context issues
 window.addEventListener('error', (event) => {
   if (event.message?.includes('Extension context invalidated')) {
@@ -96,6 +104,69 @@ async function safeSendMessage(message) {
   }
 }
 
+/**
+ * Stream a chat request over a long-lived port
+ * Calls onDelta with each text fragment and onStatus with screenshot,
+ * context, retry, fallback and tool notices. Code the model asks to run is executed in the
+ * sandbox and the result sent back over the port. Resolves with the final
+ * { content, finishReason, usage, model, toolRuns } once the service worker
+ * reports 'done', or with finishReason 'cancelled' if the request was stopped.
+ */
+function streamChat(payload, onDelta, onStatus) {
+  return new Promise((resolve, reject) => {
+    let port;
+    try {
+      port = chrome.runtime.connect({ name: 'chat' });
+    } catch (error) {
+      if (error.message?.includes('Extension context invalidated')) {
+        handleContextInvalidated();
+      }
+      reject(error);
+      return;
+    }
+
+    let settled = false;
+    activeChatPort = port;
+
+    const settle = () => {
+      settled = true;
+      activeChatPort = null;
+      port.disconnect();
+    };
+
+    port.onMessage.addListener((event) => {
+      if (event.type === 'delta') {
+        onDelta(event.content);
+      } else if (['context', 'retry', 'fallback', 'screenshot'].includes(event.type)) {
+        onStatus?.(event);
+      } else if (event.type === 'tool') {
+        onStatus?.({ type: 'tool', id: event.id, code: event.code });
+        runInSandbox(event.code, event.data).then(run => {
+          if (!settled) port.postMessage({ action: 'toolResult', id: event.id, run });
+        });
+      } else if (event.type === 'done') {
+        settle();
+        resolve(event);
+      } else if (event.type === 'cancelled') {
+        settle();
+        resolve({ content: '', finishReason: 'cancelled' });
+      } else if (event.type === 'error') {
+        settle();
+        reject(new Error(event.error || 'Failed to get response'));
+      }
+    });
+
+    port.onDisconnect.addListener(() => {
+      activeChatPort = null;
+      if (!settled) {
+        reject(new Error('Connection to the extension was lost'));
+      }
+    });
+
+    port.postMessage({ action: 'chat', ...payload });
+  });
+}
+
 // Elements
 const elements = {
   tabIndicator: document.getElementById('tabIndicator'),
@@ -103,6 +174,22 @@ const elements = {
   tabTitle: document.getElementById('tabTitle'),
   tabUrl: document.getElementById('tabUrl'),
   refreshBtn: document.getElementById('refreshBtn'),
+  pickBtn: document.getElementById('pickBtn'),
+  scopeChip: document.getElementById('scopeChip'),
+  scopeLabel: document.getElementById('scopeLabel'),
+  scopeRemove: document.getElementById('scopeRemove'),
+  captureBtn: document.getElementById('captureBtn'),
+  paginateBtn: document.getElementById('paginateBtn'),
+  captureStatus: document.getElementById('captureStatus'),
+  captureProgressBar: document.getElementById('captureProgressBar'),
+  captureText: document.getElementById('captureText'),
+  captureStopBtn: document.getElementById('captureStopBtn'),
+  tablesBtn: document.getElementById('tablesBtn'),
+  tablesCount: document.getElementById('tablesCount'),
+  tablesDrawer: document.getElementById('tablesDrawer'),
+  tablesDrawerTitle: document.getElementById('tablesDrawerTitle'),
+  tablesCloseBtn: document.getElementById('tablesCloseBtn'),
+  tablesList: document.getElementById('tablesList'),
   settingsBtn: document.getElementById('settingsBtn'),
   newChatBtn: document.getElementById('newChatBtn'),
   savedChatsBtn: document.getElementById('savedChatsBtn'),
@@ -113,19 +200,35 @@ const elements = {
   suggestions: document.getElementById('suggestions'),
   messageInput: document.getElementById('messageInput'),
   sendBtn: document.getElementById('sendBtn'),
+  stopBtn: document.getElementById('stopBtn'),
   uploadBtn: document.getElementById('uploadBtn'),
+  screenshotBtn: document.getElementById('screenshotBtn'),
+  screenshotChip: document.getElementById('screenshotChip'),
+  screenshotScope: document.getElementById('screenshotScope'),
+  screenshotRemove: document.getElementById('screenshotRemove'),
   fileInput: document.getElementById('fileInput'),
-  filePreview: document.getElementById('filePreview'),
-  filePreviewName: document.getElementById('filePreviewName'),
-  filePreviewSize: document.getElementById('filePreviewSize'),
-  filePreviewRemove: document.getElementById('filePreviewRemove')
+  attachmentTray: document.getElementById('attachmentTray'),
+  selectionTray: document.getElementById('selectionTray'),
+  selectionList: document.getElementById('selectionList'),
+  selectionOnly: document.getElementById('selectionOnly')
 };
 
 // State
 let conversationHistory = [];
 let isLoading = false;
+let activeChatPort = null;
+let capturePort = null;
+let isPicking = false;
+let pageTables = [];
+let pageTablesSource = {};
 let hasApiKey = false;
-let currentFile = null;
+let attachments = [];
+// Send asked for while attachments were still being read
+let sendWhenRead = false;
+let selections = [];
+let currentTab = { id: null, url: '' };
+let visionSupported = false;
+let screenshotMode = null;
 let currentChatId = null;
 let savedChats = [];
 
@@ -136,7 +239,8 @@ async function init() {
   try {
     // Check for API key
     const settings = await safeSendMessage({ action: 'getSettings' });
-    hasApiKey = !!settings?.apiKey;
+    hasApiKey = !!settings?.hasApiKey;
+    updateVisionSupport(settings?.model);
 
     if (!hasApiKey) {
       showNoApiKeyWarning();
@@ -151,6 +255,10 @@ async function init() {
 
     // Set up event listeners
     setupEventListeners();
+
+    // An answer from the in-page bubble or a right-click menu request may be waiting
+    await takeHandoff();
+    await takeMenuRequest();
   } catch (error) {
     console.error('Init failed:', error);
     if (error.message?.includes('Extension context invalidated')) {
@@ -165,7 +273,7 @@ async function init() {
 function showNoApiKeyWarning() {
   elements.welcome.innerHTML = `
     <div class="no-api-key">
-      <p>⚠️ OpenAI API key not configured</p>
+      <p>⚠️ API key not configured</p>
       <button id="setupApiKey">Set up API Key</button>
     </div>
   `;
@@ -177,6 +285,15 @@ function showNoApiKeyWarning() {
  * Update tab display
  */
 function updateTabDisplay(data) {
+  // Selections belong to the page they were made on
+  if (data?.tabId !== currentTab.id || data?.url !== currentTab.url) {
+    currentTab = { id: data?.tabId ?? null, url: data?.url || '' };
+    if (selections.length) {
+      selections = [];
+      renderSelectionTray();
+    }
+  }
+
   if (!data || !data.tabId) {
     elements.tabIndicator.classList.add('inactive');
     elements.tabTitle.textContent = 'No tab selected';
@@ -188,6 +305,21 @@ function updateTabDisplay(data) {
   elements.tabTitle.textContent = data.title || 'Untitled';
   elements.tabUrl.textContent = truncateUrl(data.url) || '-';
 
+  // Tables drawer badge, and its contents if it is open
+  const tableCount = data.tableCount ?? data.rawData?.tables?.length ?? 0;
+  elements.tablesCount.textContent = tableCount > 0 ? String(tableCount) : '';
+  if (elements.tablesDrawer.classList.contains('visible')) {
+    loadTables();
+  }
+
+  renderScopeChip(data.scope ?? data.rawData?.scope);
+
+  // Embedded frames read along with the page
+  const frames = data.rawData?.frames || [];
+  elements.tabUrl.title = frames.length > 1
+    ? `${data.url}\n\nFrames:\n${frames.map(f => `${'  '.repeat(f.depth)}${f.url} (${f.status})`).join('\n')}`
+    : data.url || '';
+
   // Update favicon
   if (data.favicon) {
     elements.tabFavicon.innerHTML = `<img src="${data.favicon}" alt="">`;
@@ -227,6 +359,26 @@ function setupEventListeners() {
   // Refresh button
   elements.refreshBtn.addEventListener('click', refreshTabContent);
 
+  // Element picker
+  elements.pickBtn.addEventListener('click', togglePicker);
+  elements.scopeRemove.addEventListener('click', clearScope);
+
+  // Full-page capture
+  elements.captureBtn.addEventListener('click', () => startCapture('scroll'));
+  elements.paginateBtn.addEventListener('click', startPagination);
+
+  // Tables drawer
+  elements.tablesBtn.addEventListener('click', toggleTablesDrawer);
+  elements.tablesCloseBtn.addEventListener('click', () => elements.tablesDrawer.classList.remove('visible'));
+  elements.tablesList.addEventListener('click', handleTableAction);
+  elements.captureStopBtn.addEventListener('click', () => capturePort?.postMessage({ action: 'cancel' }));
+
+  // Citation chips in answers
+  elements.messages.addEventListener('click', (e) => {
+    const chip = e.target.closest('.citation-chip');
+    if (chip) showCitation(chip);
+  });
+
   // New chat button
   elements.newChatBtn.addEventListener('click', startNewChat);
 
@@ -236,10 +388,24 @@ function setupEventListeners() {
   // Send button
   elements.sendBtn.addEventListener('click', sendMessage);
 
+  // Stop button (shown while a response is being generated)
+  elements.stopBtn.addEventListener('click', stopGeneration);
+
   // File upload
   elements.uploadBtn.addEventListener('click', () => elements.fileInput.click());
   elements.fileInput.addEventListener('change', handleFileSelect);
-  elements.filePreviewRemove.addEventListener('click', removeFile);
+  elements.messageInput.addEventListener('paste', handlePaste);
+  setupDropZone();
+
+  // Screenshot mode
+  elements.screenshotBtn.addEventListener('click', () => {
+    setScreenshotMode(screenshotMode ? null : elements.screenshotScope.value);
+  });
+  elements.screenshotScope.addEventListener('change', () => setScreenshotMode(elements.screenshotScope.value));
+  elements.screenshotRemove.addEventListener('click', () => setScreenshotMode(null));
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'local' && changes.model) updateVisionSupport(changes.model.newValue);
+  });
 
   // Input field
   elements.messageInput.addEventListener('keydown', (e) => {
@@ -275,6 +441,12 @@ function setupEventListeners() {
     chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (message.action === 'tabUpdated') {
         updateTabDisplay(message.data);
+      } else if (message.action === 'textSelected') {
+        handleTextSelected(message, sender);
+      } else if (message.action === 'handoffReady') {
+        takeHandoff();
+      } else if (message.action === 'menuRequestReady') {
+        takeMenuRequest();
       }
     });
   } catch (error) {
@@ -283,6 +455,27 @@ function setupEventListeners() {
   }
 }
 
+/**
+ * Offer screenshots only when the selected model accepts images
+ */
+function updateVisionSupport(model) {
+  visionSupported = getModelCapabilities(model).vision;
+  elements.screenshotBtn.hidden = !visionSupported;
+  if (!visionSupported) setScreenshotMode(null);
+  if (attachments.some(attachment => attachment.image)) renderAttachmentTray();
+}
+
+/**
+ * Turn screenshot mode on ('visible' or 'full') or off (null)
+ * While on, every message is sent with a screenshot of the tab.
+ */
+function setScreenshotMode(mode) {
+  screenshotMode = mode;
+  if (mode) elements.screenshotScope.value = mode;
+  elements.screenshotBtn.classList.toggle('active', !!mode);
+  elements.screenshotChip.classList.toggle('visible', !!mode);
+}
+
 /**
  * Open settings page
  */
@@ -309,63 +502,496 @@ async function refreshTabContent() {
 }
 
 /**
- * Handle file selection
+ * Show the element scope of the current page, if it has one
  */
-async function handleFileSelect(e) {
-  const file = e.target.files?.[0];
-  if (!file) return;
+function renderScopeChip(scope) {
+  elements.scopeChip.classList.toggle('visible', !!scope);
+  elements.scopeChip.classList.toggle('missing', !!scope && !scope.found);
+  if (!scope) return;
+
+  const name = scope.label || scope.selector;
+  elements.scopeLabel.textContent = scope.found ? `Focused on: ${name}` : `Not found on this page: ${name}`;
+  elements.scopeLabel.title = scope.found
+    ? `Only this part of the page is read (${scope.urlPattern})`
+    : 'The picked element is missing, so the whole page is read';
+}
 
-  // Size limit: 10MB
-  if (file.size > 10 * 1024 * 1024) {
-    alert('File too large. Maximum size is 10MB.');
+/**
+ * Let the user click the part of the page to focus on, or cancel picking
+ * The scope is remembered for the page's URL and the page re-read.
+ */
+async function togglePicker() {
+  if (isPicking) {
+    safeSendMessage({ action: 'stopElementPicker' }).catch(() => {});
     return;
   }
 
+  isPicking = true;
+  elements.pickBtn.classList.add('active');
+  elements.pickBtn.title = 'Cancel picking';
   try {
-    const content = await readFileContent(file);
-    currentFile = {
-      name: file.name,
-      size: file.size,
-      type: file.type,
-      content: content
-    };
+    const result = await safeSendMessage({ action: 'startElementPicker' });
+    // A picked element comes back through tabUpdated once the page is re-read
+    if (!result?.success) {
+      showCaptureStatus(result?.error || 'Could not pick an element on this page', 0);
+      elements.captureStopBtn.style.display = 'none';
+      setTimeout(() => {
+        if (!capturePort) elements.captureStatus.classList.remove('visible');
+      }, 5000);
+    }
+  } catch (error) {
+    console.error('Element picker failed:', error);
+  } finally {
+    isPicking = false;
+    elements.pickBtn.classList.remove('active');
+    elements.pickBtn.title = 'Pick the part of the page to focus on';
+  }
+}
+
+/**
+ * Forget the current page's scope and read the whole page again
+ */
+async function clearScope() {
+  renderScopeChip(null);
+  try {
+    await safeSendMessage({ action: 'clearScope' });
+  } catch (error) {
+    console.error('Failed to clear scope:', error);
+  }
+}
+
+/**
+ * Find the page's next-page control and, once the user confirms, click
+ * through every page of the table
+ */
+async function startPagination() {
+  if (capturePort) return;
+
+  const pager = await safeSendMessage({ action: 'detectPagination' }).catch(() => null);
+  if (!pager?.found) {
+    showCaptureStatus(pager?.error || 'No next-page control found on this page', 0);
+    elements.captureStopBtn.style.display = 'none';
+    setTimeout(() => {
+      if (!capturePort) elements.captureStatus.classList.remove('visible');
+    }, 5000);
+    return;
+  }
+
+  const details = [
+    `Next-page control: "${pager.label}"`,
+    pager.rangeText ? `Rows shown: ${pager.rangeText}` : ''
+  ].filter(Boolean).join('\n');
+  const limit = pager.totalPages ? `${pager.totalPages} pages` : 'up to 50 pages';
+  if (!confirm(`Walk through ${limit} of this table?\n\n${details}\n\nThe assistant will click "next" on the page and combine the rows of every page.`)) {
+    return;
+  }
+
+  startCapture('pages');
+}
+
+/**
+ * Capture every row of long tables, showing progress until the service
+ * worker is done. mode 'scroll' scrolls through virtualized grids,
+ * 'pages' clicks through a paginated table.
+ */
+function startCapture(mode) {
+  if (capturePort) return;
+
+  try {
+    capturePort = chrome.runtime.connect({ name: 'capture' });
+  } catch (error) {
+    if (error.message?.includes('Extension context invalidated')) {
+      handleContextInvalidated();
+    }
+    return;
+  }
+
+  const port = capturePort;
+  let finished = false;
+  elements.captureBtn.disabled = true;
+  elements.paginateBtn.disabled = true;
+  elements.captureStopBtn.style.display = '';
+  showCaptureStatus(mode === 'pages' ? 'Reading page 1...' : 'Scrolling the page...', 0);
+
+  const finish = (message) => {
+    finished = true;
+    capturePort = null;
+    port.disconnect();
+    elements.captureBtn.disabled = false;
+    elements.paginateBtn.disabled = false;
+    elements.captureStopBtn.style.display = 'none';
+    showCaptureStatus(message, 1);
+    setTimeout(() => {
+      if (!capturePort) elements.captureStatus.classList.remove('visible');
+    }, 5000);
+  };
+
+  port.onMessage.addListener((event) => {
+    if (event.type === 'progress') {
+      const position = mode === 'pages' ? `Page ${event.page}` : `Step ${event.step}`;
+      showCaptureStatus(
+        `${position} · ${event.rows.toLocaleString()} rows in ${event.tables} table${event.tables === 1 ? '' : 's'}`,
+        event.progress
+      );
+    } else if (event.type === 'done') {
+      const { rows, tables, pages, stopped } = event.info;
+      const limit = {
+        rows: ' (row limit reached)',
+        pages: ' (page limit reached)',
+        time: ' (time limit reached)',
+        cancelled: ' (stopped)'
+      }[stopped] || '';
+      const across = mode === 'pages' ? ` across ${pages} page${pages === 1 ? '' : 's'}` : '';
+      finish(`Captured ${rows.toLocaleString()} rows in ${tables} table${tables === 1 ? '' : 's'}${across}${limit}`);
+    } else if (event.type === 'error') {
+      finish(`Capture failed: ${event.error}`);
+    }
+  });
+
+  port.onDisconnect.addListener(() => {
+    if (!finished) finish('Capture interrupted');
+  });
+
+  port.postMessage({ action: 'capture', mode });
+}
+
+/**
+ * Update the capture progress bar (progress is 0-1)
+ */
+function showCaptureStatus(message, progress) {
+  elements.captureStatus.classList.add('visible');
+  elements.captureText.textContent = message;
+  elements.captureProgressBar.style.width = `${Math.round(progress * 100)}%`;
+}
+
+/**
+ * Open or close the drawer listing the page's tables
+ */
+function toggleTablesDrawer() {
+  const visible = elements.tablesDrawer.classList.toggle('visible');
+  if (visible) loadTables();
+}
 
-    // Update preview
-    elements.filePreviewName.textContent = file.name;
-    elements.filePreviewSize.textContent = formatFileSize(file.size);
-    elements.filePreview.classList.add('visible');
+/**
+ * Fetch the extracted tables from the service worker and list them
+ */
+async function loadTables() {
+  try {
+    const result = await safeSendMessage({ action: 'getTables' });
+    pageTables = result?.tables || [];
+    pageTablesSource = { url: result?.url, title: result?.title };
   } catch (error) {
-    console.error('Failed to read file:', error);
-    alert('Failed to read file: ' + error.message);
+    console.error('Failed to load tables:', error);
+    pageTables = [];
   }
+  renderTables();
+}
+
+/**
+ * Render each table with its size, a short preview and export buttons
+ */
+function renderTables() {
+  elements.tablesDrawerTitle.textContent = `Tables (${pageTables.length})`;
+
+  if (pageTables.length === 0) {
+    elements.tablesList.innerHTML = '<div class="no-tables">No tables found on this page</div>';
+    return;
+  }
+
+  elements.tablesList.innerHTML = pageTables.map((table, index) => {
+    const columns = table.columns?.map(column => column.name) || table.headers || [];
+    const width = Math.max(columns.length, ...table.rows.map(row => row.length), 0);
+    const preview = table.rows.slice(0, 3);
+
+    return `
+      <div class="table-item" data-index="${index}">
+        <div class="table-item-title">${escapeHtml(table.caption || `Table ${index + 1}`)}</div>
+        <div class="table-item-meta">
+          ${table.rows.length.toLocaleString()} rows × ${width} columns${table.frame ? ` · ${escapeHtml(truncateUrl(table.frame))}` : ''}
+        </div>
+        <div class="table-preview">
+          <table>
+            ${columns.length ? `<tr>${columns.map(name => `<th>${escapeHtml(name)}</th>`).join('')}</tr>` : ''}
+            ${preview.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}
+          </table>
+        </div>
+        <div class="table-actions">
+          <button data-action="copy" title="Copy for pasting into a spreadsheet">Copy</button>
+          <button data-action="csv">CSV</button>
+          <button data-action="tsv">TSV</button>
+          <button data-action="json">JSON</button>
+          <button data-action="xlsx">XLSX</button>
+        </div>
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Copy or download a table from the drawer
+ */
+async function handleTableAction(e) {
+  const button = e.target.closest('button[data-action]');
+  const index = Number(button?.closest('.table-item')?.dataset.index);
+  const table = pageTables[index];
+  if (!table) return;
+
+  const action = button.dataset.action;
+  if (action === 'copy') {
+    await copyTable(table, button);
+  } else if (action === 'csv') {
+    // BOM so Excel reads the file as UTF-8
+    downloadFile(tableFileName(table, index, 'csv'), ['\ufeff', tableToDelimited(table, ',')], 'text/csv');
+  } else if (action === 'tsv') {
+    downloadFile(tableFileName(table, index, 'tsv'), [tableToDelimited(table, '\t')], 'text/tab-separated-values');
+  } else if (action === 'json') {
+    downloadFile(tableFileName(table, index, 'json'), [tableToJSON(table, pageTablesSource)], 'application/json');
+  } else if (action === 'xlsx') {
+    downloadFile(tableFileName(table, index, 'xlsx'), [tableToXLSX(table)],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  }
+}
+
+/**
+ * Copy a table as both TSV and HTML, so spreadsheets paste it cell by cell
+ */
+async function copyTable(table, button) {
+  const tsv = tableToDelimited(table, '\t');
+  try {
+    await navigator.clipboard.write([new ClipboardItem({
+      'text/plain': new Blob([tsv], { type: 'text/plain' }),
+      'text/html': new Blob([tableToHTML(table)], { type: 'text/html' })
+    })]);
+  } catch (error) {
+    await navigator.clipboard.writeText(tsv);
+  }
+
+  button.textContent = 'Copied';
+  setTimeout(() => {
+    button.textContent = 'Copy';
+  }, 1500);
+}
+
+/**
+ * Save generated content through a temporary blob link
+ */
+function downloadFile(filename, parts, type) {
+  const url = URL.createObjectURL(new Blob(parts, { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * Handle file selection
+ */
+function handleFileSelect(e) {
+  addFiles(Array.from(e.target.files || []));
 
   // Clear input so same file can be selected again
   elements.fileInput.value = '';
 }
 
 /**
- * Read file content
+ * Attach files, reading them one at a time
+ * Each file gets its chip straight away and is filled in once read.
  */
-function readFileContent(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      resolve(e.target.result);
-    };
-    
-    reader.onerror = () => {
-      reject(new Error('Failed to read file'));
-    };
+async function addFiles(files) {
+  const room = MAX_ATTACHMENTS - attachments.length;
+  if (files.length > room) {
+    alert(`You can attach up to ${MAX_ATTACHMENTS} files to a message.`);
+    files = files.slice(0, Math.max(0, room));
+  }
+
+  const pending = files.map(file => ({ file, attachment: createAttachment(file) }));
+  attachments.push(...pending.map(({ attachment }) => attachment));
+  renderAttachmentTray();
+
+  for (const { file, attachment } of pending) {
+    try {
+      const ready = await readAttachment(attachment, file);
+      replaceAttachment(attachment.id, ready);
+    } catch (error) {
+      console.error('Failed to read file:', error);
+      sendWhenRead = false;
+      removeAttachment(attachment.id);
+      alert('Failed to read file: ' + error.message);
+    }
+  }
+}
+
+/**
+ * Swap in the read version of an attachment, unless it was removed meanwhile
+ */
+function replaceAttachment(id, attachment) {
+  const index = attachments.findIndex(item => item.id === id);
+  if (index === -1) return;
+  attachments[index] = attachment;
+  renderAttachmentTray();
+}
+
+/**
+ * Attach a linked page or an image from the page, fetched by its URL
+ */
+async function addFromUrl(url) {
+  if (attachments.length >= MAX_ATTACHMENTS) {
+    alert(`You can attach up to ${MAX_ATTACHMENTS} files to a message.`);
+    return;
+  }
+
+  const attachment = createAttachment({ name: truncateUrl(url), size: 0, type: '' });
+  attachments.push(attachment);
+  renderAttachmentTray();
+
+  try {
+    replaceAttachment(attachment.id, await readUrlAttachment(attachment, url));
+  } catch (error) {
+    console.error('Failed to fetch attachment:', error);
+    sendWhenRead = false;
+    removeAttachment(attachment.id);
+    alert(`Failed to read ${url}: ${error.message}`);
+  }
+}
+
+/**
+ * Attach pasted images, or tables copied from a spreadsheet or web page
+ * Anything else is pasted into the message box as usual.
+ */
+function handlePaste(e) {
+  const data = e.clipboardData;
+  if (!data) return;
+
+  const images = Array.from(data.files || []).filter(file => file.type.startsWith('image/'));
+  if (images.length) {
+    e.preventDefault();
+    addFiles(images.map((file, i) => {
+      const name = `Pasted image${images.length > 1 ? ` ${i + 1}` : ''}.${file.type.split('/')[1]}`;
+      return new File([file], name, { type: file.type });
+    }));
+    return;
+  }
+
+  const html = data.getData('text/html');
+  const tables = html ? attachmentsFromPastedHtml(html) : [];
+  if (tables.length) {
+    e.preventDefault();
+    attachments.push(...tables.slice(0, Math.max(0, MAX_ATTACHMENTS - attachments.length)));
+    renderAttachmentTray();
+  }
+}
+
+/**
+ * Accept files dragged anywhere onto the panel
+ */
+function setupDropZone() {
+  let depth = 0;
+  const hasFiles = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  document.addEventListener('dragenter', (e) => {
+    if (!hasFiles(e)) return;
+    depth++;
+    document.body.classList.add('dragging-files');
+  });
+  document.addEventListener('dragleave', (e) => {
+    if (!hasFiles(e)) return;
+    depth = Math.max(0, depth - 1);
+    if (!depth) document.body.classList.remove('dragging-files');
+  });
+  document.addEventListener('dragover', (e) => {
+    if (hasFiles(e)) e.preventDefault();
+  });
+  document.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    depth = 0;
+    document.body.classList.remove('dragging-files');
+    addFiles(Array.from(e.dataTransfer.files));
+  });
+}
 
-    // Read as text for text files, or as data URL for others
-    if (file.type.startsWith('text/') || 
-        file.name.match(/\.(txt|md|json|csv|xml|html|js|ts|py|java|cpp|c|h|css|scss|yaml|yml|log)$/i)) {
-      reader.readAsText(file);
+/**
+ * Size, page count and token estimate for an attachment chip
+ */
+function describeAttachment(attachment) {
+  if (attachment.status === 'reading') return 'Reading...';
+
+  const details = [formatFileSize(attachment.size)];
+  if (attachment.image) details.push(`${attachment.image.width}×${attachment.image.height}`);
+  if (attachment.summary) details.push(attachment.summary);
+  details.push(`~${formatTokenCount(attachment.tokens)} tokens`);
+  if (attachment.image && !visionSupported) details.push("this model can't view images");
+  return details.join(' · ');
+}
+
+/**
+ * Draw a chip for each attachment
+ */
+function renderAttachmentTray() {
+  elements.attachmentTray.innerHTML = '';
+  elements.attachmentTray.classList.toggle('visible', attachments.length > 0);
+
+  attachments.forEach(attachment => {
+    const chip = document.createElement('div');
+    chip.className = 'file-preview';
+    chip.classList.toggle('reading', attachment.status === 'reading');
+
+    if (attachment.image) {
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'file-preview-thumbnail';
+      thumbnail.src = attachment.image.thumbnail;
+      thumbnail.alt = '';
+      chip.appendChild(thumbnail);
     } else {
-      reader.readAsDataURL(file);
+      chip.insertAdjacentHTML('beforeend', `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+        <polyline points="14 2 14 8 20 8"/>
+      </svg>`);
     }
+
+    const info = document.createElement('div');
+    info.className = 'file-preview-info';
+    info.innerHTML = `
+      <div class="file-preview-name">${escapeHtml(attachment.name)}</div>
+      <div class="file-preview-size">${escapeHtml(describeAttachment(attachment))}</div>
+    `;
+    chip.appendChild(info);
+
+    const remove = document.createElement('button');
+    remove.className = 'file-preview-remove';
+    remove.title = 'Remove file';
+    remove.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <line x1="18" y1="6" x2="6" y2="18"/>
+      <line x1="6" y1="6" x2="18" y2="18"/>
+    </svg>`;
+    remove.addEventListener('click', () => removeAttachment(attachment.id));
+    chip.appendChild(remove);
+
+    elements.attachmentTray.appendChild(chip);
   });
+
+  updateSendButton();
+  if (sendWhenRead && !isReadingAttachments()) {
+    sendWhenRead = false;
+    sendMessage();
+  }
+}
+
+/**
+ * Whether any attachment is still being read
+ */
+function isReadingAttachments() {
+  return attachments.some(attachment => attachment.status === 'reading');
+}
+
+/**
+ * Format a token count, e.g. 950 or 12.4k
+ */
+function formatTokenCount(tokens) {
+  return tokens < 1000 ? String(tokens) : `${(tokens / 1000).toFixed(1)}k`;
 }
 
 /**
@@ -378,11 +1004,97 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Remove attached file
+ * Remove an attachment
  */
-function removeFile() {
-  currentFile = null;
-  elements.filePreview.classList.remove('visible');
+function removeAttachment(id) {
+  attachments = attachments.filter(attachment => attachment.id !== id);
+  renderAttachmentTray();
+}
+
+// Most selections sent with one message
+const MAX_SELECTIONS = 5;
+
+/**
+ * Show text the user selected on the page as a quote chip
+ * A new selection replaces the previous one unless that one was kept with
+ * its pin button, so selections from several parts of the page can be
+ * queued for one question.
+ */
+function handleTextSelected(message, sender) {
+  if (sender.tab?.id !== currentTab.id) return;
+  addSelection(message);
+}
+
+/**
+ * Queue a selection ({ text, heading, section }) in place of the last
+ * unpinned one
+ */
+function addSelection({ text = '', heading = '', section = '' }) {
+  text = text.trim();
+  if (!text || selections.some(selection => selection.text === text)) return;
+
+  selections = selections.filter(selection => selection.pinned);
+  selections.push({ id: `selection-${Date.now()}`, text, heading, section, pinned: false });
+  renderSelectionTray();
+}
+
+/**
+ * Draw a quote chip for each selection
+ */
+function renderSelectionTray() {
+  elements.selectionList.innerHTML = '';
+  elements.selectionTray.classList.toggle('visible', selections.length > 0);
+  if (!selections.length) elements.selectionOnly.checked = false;
+
+  const canPin = selections.filter(selection => selection.pinned).length < MAX_SELECTIONS - 1;
+  selections.forEach(selection => {
+    const chip = document.createElement('div');
+    chip.className = 'selection-chip';
+    chip.classList.toggle('pinned', selection.pinned);
+    chip.title = selection.text;
+    chip.innerHTML = `
+      <div class="selection-chip-info">
+        <div class="selection-chip-text">${escapeHtml(selection.text)}</div>
+        ${selection.heading ? `<div class="selection-chip-heading">${escapeHtml(selection.heading)}</div>` : ''}
+      </div>
+    `;
+
+    if (!selection.pinned) {
+      const pin = document.createElement('button');
+      pin.className = 'file-preview-remove selection-pin';
+      pin.disabled = !canPin;
+      pin.title = canPin ? 'Keep this selection and add another' : `Up to ${MAX_SELECTIONS} selections per message`;
+      pin.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <line x1="12" y1="5" x2="12" y2="19"/>
+        <line x1="5" y1="12" x2="19" y2="12"/>
+      </svg>`;
+      pin.addEventListener('click', () => {
+        selection.pinned = true;
+        renderSelectionTray();
+      });
+      chip.appendChild(pin);
+    }
+
+    const remove = document.createElement('button');
+    remove.className = 'file-preview-remove';
+    remove.title = 'Remove selection';
+    remove.innerHTML = `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <line x1="18" y1="6" x2="6" y2="18"/>
+      <line x1="6" y1="6" x2="18" y2="18"/>
+    </svg>`;
+    remove.addEventListener('click', () => removeSelection(selection.id));
+    chip.appendChild(remove);
+
+    elements.selectionList.appendChild(chip);
+  });
+}
+
+/**
+ * Remove a selection
+ */
+function removeSelection(id) {
+  selections = selections.filter(selection => selection.id !== id);
+  renderSelectionTray();
 }
 
 /**
@@ -391,15 +1103,21 @@ function removeFile() {
 async function sendMessage() {
   const message = elements.messageInput.value.trim();
   
-  if ((!message && !currentFile) || isLoading) return;
+  if ((!message && !attachments.length && !selections.length) || isLoading) return;
+
+  // Send once the attachments still being read are ready
+  if (isReadingAttachments()) {
+    sendWhenRead = true;
+    return;
+  }
 
   // Check API key
   if (!hasApiKey) {
     const settings = await safeSendMessage({ action: 'getSettings' });
-    hasApiKey = !!settings.apiKey;
+    hasApiKey = !!settings.hasApiKey;
     
     if (!hasApiKey) {
-      addMessage('error', 'Please configure your OpenAI API key in settings first.');
+      addMessage('error', 'Please configure your API key in settings first.');
       return;
     }
   }
@@ -409,73 +1127,165 @@ async function sendMessage() {
     elements.welcome.style.display = 'none';
   }
 
-  // Build user message with file
-  let userContent = message;
+  // The service worker adds attached files to the message, sized to fit the
+  // model, and quotes the selected page text after it
+  const sentAttachments = attachments;
+  const sentSelections = selections;
+  const selectionOnly = sentSelections.length > 0 && elements.selectionOnly.checked;
   let displayMessage = message;
-  
-  if (currentFile) {
-    displayMessage = message || `Analyze this file: ${currentFile.name}`;
-    userContent = `${message ? message + '\n\n' : ''}[ATTACHED FILE: ${currentFile.name}]\n\`\`\`\n${currentFile.content.slice(0, 50000)}\n\`\`\``;
+  if (!message && sentAttachments.length) {
+    displayMessage = sentAttachments.length === 1
+      ? `Analyze this file: ${sentAttachments[0].name}`
+      : `Analyze these ${sentAttachments.length} files`;
+  } else if (!message) {
+    displayMessage = sentSelections.length === 1 ? 'Explain this selection' : `Explain these ${sentSelections.length} selections`;
   }
 
-  // Add user message to UI
-  addMessage('user', displayMessage, currentFile?.name);
+  // Add user message to UI; attached images show as thumbnails instead of a file chip
+  const records = sentAttachments.map(toAttachmentRecord);
+  const quotes = sentSelections.map(({ text, heading }) => ({ text, heading }));
+  let images = sentAttachments.filter(attachment => attachment.image)
+    .map(attachment => ({ src: attachment.image.thumbnail, alt: attachment.name }));
+  const userMessageDiv = addMessage('user', displayMessage, records, images, quotes);
+  const screenshot = visionSupported ? screenshotMode : null;
   
-  // Clear input and file
+  // Clear input and attachments
   elements.messageInput.value = '';
   elements.messageInput.style.height = 'auto';
-  const attachedFile = currentFile;
-  removeFile();
+  attachments = [];
+  renderAttachmentTray();
+  selections = [];
+  renderSelectionTray();
 
-  // Create assistant message placeholder for typing effect
+  // Create assistant message placeholder for streamed response
   const assistantMsgId = 'msg-' + Date.now();
   addMessagePlaceholder(assistantMsgId);
+  if (screenshot) {
+    updatePlaceholderStatus(assistantMsgId, screenshot === 'full' ? 'Capturing the full page...' : 'Taking a screenshot...');
+  }
 
   // Show typing state
-  isLoading = true;
-  elements.sendBtn.disabled = true;
+  setLoading(true);
+
+  let streamedText = '';
+  let fallbackModel = null;
+  let context = null;
 
   try {
-    // Send to background for AI processing
-    const result = await safeSendMessage({
-      action: 'chat',
-      userMessage: userContent,
+    // Stream response from background, rendering deltas as they arrive
+    const result = await streamChat({
+      userMessage: message,
+      attachments: sentAttachments.map(toAttachmentPayload),
+      selections: sentSelections.map(({ text, heading, section }) => ({ text, heading, section })),
+      selectionOnly,
+      screenshot,
       history: conversationHistory
+    }, (delta) => {
+      streamedText += delta;
+      renderStreamingMessage(assistantMsgId, streamedText);
+    }, (status) => {
+      if (status.type === 'retry') {
+        const reason = status.status === 429 ? 'Rate limited' : 'Request failed';
+        const seconds = Math.max(1, Math.round(status.delay / 1000));
+        updatePlaceholderStatus(assistantMsgId,
+          `${reason}, retrying in ${seconds}s (${status.attempt}/${status.maxRetries})...`);
+      } else if (status.type === 'fallback') {
+        fallbackModel = status.to;
+        updatePlaceholderStatus(assistantMsgId, `${status.from} unavailable, trying ${status.to}...`);
+      } else if (status.type === 'context') {
+        context = status;
+      } else if (status.type === 'screenshot') {
+        const shot = { src: status.thumbnail, alt: status.fullPage ? 'Full-page screenshot' : 'Screenshot' };
+        images = [...images, shot];
+        appendMessageImages(userMessageDiv, [shot]);
+        updatePlaceholderStatus(assistantMsgId, 'Thinking...');
+      } else if (status.type === 'tool') {
+        updatePlaceholderStatus(assistantMsgId, 'Running a calculation...');
+      }
     });
 
-    if (result.success) {
-      // Add to conversation history
-      conversationHistory.push({ role: 'user', content: userContent });
-      conversationHistory.push({ role: 'assistant', content: result.response });
-
-      // Keep history manageable (last 20 messages)
-      if (conversationHistory.length > 20) {
-        conversationHistory = conversationHistory.slice(-20);
-      }
+    // Stopped before anything arrived: nothing to keep
+    if (result.finishReason === 'cancelled' && !streamedText) {
+      removeMessagePlaceholder(assistantMsgId);
+      return;
+    }
 
-      // Type out response
-      await typeMessage(assistantMsgId, result.response);
+    const content = result.finishReason === 'cancelled' ? streamedText : result.content;
+
+    // Add to conversation history, as it was actually sent
+    conversationHistory.push({
+      role: 'user',
+      content: context?.userContent ?? message,
+      // What the user typed, attached and selected, for showing the message again later
+      ...(records.length || quotes.length ? { display: displayMessage } : {}),
+      ...(records.length ? { attachments: records } : {}),
+      ...(quotes.length ? { selections: quotes } : {}),
+      ...(images.length ? { images } : {})
+    });
+    conversationHistory.push({
+      role: 'assistant',
+      content,
+      ...(result.toolRuns?.length ? { toolRuns: result.toolRuns } : {})
+    });
 
-      // Auto-save chat
-      await saveCurrentChat();
-    } else {
-      removeMessagePlaceholder(assistantMsgId);
-      addMessage('error', result.error || 'Failed to get response');
+    // Keep history manageable (last 20 messages)
+    if (conversationHistory.length > 20) {
+      conversationHistory = conversationHistory.slice(-20);
     }
+
+    finishStreamingMessage(assistantMsgId, content, {
+      finishReason: result.finishReason,
+      fallbackModel: fallbackModel && result.model,
+      context: context?.report,
+      toolRuns: result.toolRuns
+    });
+
+    // Auto-save chat
+    await saveCurrentChat();
   } catch (error) {
     removeMessagePlaceholder(assistantMsgId);
     addMessage('error', error.message || 'An error occurred');
   } finally {
-    isLoading = false;
-    elements.sendBtn.disabled = false;
+    setLoading(false);
     elements.messageInput.focus();
   }
 }
 
+/**
+ * Toggle between the send and stop buttons while a response is generated
+ */
+function setLoading(loading) {
+  isLoading = loading;
+  elements.sendBtn.parentElement.classList.toggle('loading', loading);
+  updateSendButton();
+}
+
+/**
+ * Disable sending while a response is generated or attachments are read
+ */
+function updateSendButton() {
+  const reading = isReadingAttachments();
+  elements.sendBtn.disabled = isLoading || reading;
+  elements.sendBtn.title = reading ? 'Reading attachments…' : 'Send';
+}
+
+/**
+ * Ask the service worker to abort the in-flight chat request
+ */
+function stopGeneration() {
+  if (!activeChatPort) return;
+  try {
+    activeChatPort.postMessage({ action: 'cancel' });
+  } catch (e) {
+    // Port already closed - request is finishing anyway
+  }
+}
+
 /**
  * Add message to chat
+ * images ([{ src, alt }]) are shown as thumbnails above the text.
  */
-function addMessage(type, content, fileName = null) {
+function addMessage(type, content, files = [], images = [], quotes = []) {
   const messageDiv = document.createElement('div');
   messageDiv.className = `message ${type}`;
 
@@ -495,8 +1305,8 @@ function addMessage(type, content, fileName = null) {
   const contentDiv = document.createElement('div');
   contentDiv.className = 'message-content';
 
-  // Add file indicator if present
-  if (fileName) {
+  // Add file indicators; images show as thumbnails instead
+  (files || []).filter(file => file.kind !== 'image').forEach(file => {
     const fileDiv = document.createElement('div');
     fileDiv.className = 'message-file';
     fileDiv.innerHTML = `
@@ -504,10 +1314,21 @@ function addMessage(type, content, fileName = null) {
         <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
         <polyline points="14 2 14 8 20 8"/>
       </svg>
-      ${escapeHtml(fileName)}
+      ${escapeHtml(file.name)}${file.summary ? ` <span class="message-file-detail">${escapeHtml(file.summary)}</span>` : ''}
     `;
     contentDiv.appendChild(fileDiv);
-  }
+  });
+
+  appendImages(contentDiv, images);
+
+  // Page text the message asked about
+  (quotes || []).forEach(quote => {
+    const quoteDiv = document.createElement('blockquote');
+    quoteDiv.className = 'message-quote';
+    quoteDiv.textContent = quote.text;
+    quoteDiv.title = quote.heading ? `Under "${quote.heading}"` : '';
+    contentDiv.appendChild(quoteDiv);
+  });
 
   const textDiv = document.createElement('div');
   // For user messages, just escape HTML. For assistant/error, format markdown
@@ -524,6 +1345,36 @@ function addMessage(type, content, fileName = null) {
 
   // Scroll to bottom
   elements.messages.scrollTop = elements.messages.scrollHeight;
+  return messageDiv;
+}
+
+/**
+ * Add image thumbnails to a message content element
+ */
+function appendImages(contentDiv, images) {
+  if (!images?.length) return;
+
+  let container = contentDiv.querySelector(':scope > .message-images');
+  if (!container) {
+    container = document.createElement('div');
+    container.className = 'message-images';
+    contentDiv.prepend(container);
+  }
+  images.forEach(({ src, alt }) => {
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = alt || '';
+    img.title = alt || '';
+    container.appendChild(img);
+  });
+}
+
+/**
+ * Add thumbnails to a message that is already shown
+ */
+function appendMessageImages(messageDiv, images) {
+  appendImages(messageDiv.querySelector('.message-content'), images);
+  elements.messages.scrollTop = elements.messages.scrollHeight;
 }
 
 /**
@@ -557,6 +1408,15 @@ function addMessagePlaceholder(id) {
   elements.messages.scrollTop = elements.messages.scrollHeight;
 }
 
+/**
+ * Update the status line shown in a placeholder, or next to the spinner
+ * under text that is still streaming
+ */
+function updatePlaceholderStatus(id, text) {
+  const label = document.querySelector(`#${id} .message-loading span, #${id} .typing-status`);
+  if (label) label.textContent = text;
+}
+
 /**
  * Remove message placeholder
  */
@@ -566,69 +1426,175 @@ function removeMessagePlaceholder(id) {
 }
 
 /**
- * Type out message with formatting applied during typing
+ * Render streamed text into the assistant placeholder
+ * Converts the spinner placeholder into a bubble on the first delta and
+ * batches re-renders to one per animation frame.
  */
-async function typeMessage(id, content) {
+function renderStreamingMessage(id, rawText) {
   const element = document.getElementById(id);
   if (!element) return;
 
   const contentDiv = element.querySelector('.message-content');
-  
-  // Set up typing structure: bubble for text + footer with spinner
-  contentDiv.innerHTML = `
-    <div class="message-bubble"></div>
-    <div class="typing-footer">
-      <div class="message-spinner"></div>
-    </div>
-  `;
-  
-  const textBubble = contentDiv.querySelector('.message-bubble');
-  const typingFooter = contentDiv.querySelector('.typing-footer');
-  
-  // Build up raw text and format incrementally
-  let rawText = '';
-  const chars = content.split('');
-  let index = 0;
-  const baseSpeed = 6; // Slightly faster
-  
-  return new Promise((resolve) => {
-    function typeChar() {
-      if (index < chars.length) {
-        rawText += chars[index];
-        index++;
-        
-        // Format the accumulated text and display it
-        textBubble.innerHTML = formatMessageIncremental(rawText);
-        
-        // Scroll to keep content visible
-        elements.messages.scrollTop = elements.messages.scrollHeight;
-        
-        // Variable speed based on character
-        let delay = baseSpeed;
-        const char = chars[index - 1];
-        if (char === ' ') delay = baseSpeed / 2;
-        else if ('.!?'.includes(char)) delay = baseSpeed * 3;
-        else if (',;:'.includes(char)) delay = baseSpeed * 2;
-        else if (char === '\n') delay = baseSpeed * 2;
-        
-        setTimeout(typeChar, delay);
-      } else {
-        // Done typing
-        // Remove typing class and footer
-        element.classList.remove('typing');
-        typingFooter.remove();
-        
-        // Final format pass and put in standard message-content
-        contentDiv.innerHTML = formatMessage(content);
-        elements.messages.scrollTop = elements.messages.scrollHeight;
-        resolve();
-      }
-    }
-    
-    typeChar();
+  let textBubble = contentDiv.querySelector('.message-bubble');
+
+  if (!textBubble) {
+    // Set up streaming structure: bubble for text + footer with spinner
+    contentDiv.innerHTML = `
+      <div class="message-bubble"></div>
+      <div class="typing-footer">
+        <div class="message-spinner"></div>
+        <span class="typing-status"></span>
+      </div>
+    `;
+    textBubble = contentDiv.querySelector('.message-bubble');
+  }
+  contentDiv.querySelector('.typing-status').textContent = '';
+
+  element.dataset.pendingText = rawText;
+  if (element.dataset.renderQueued) return;
+  element.dataset.renderQueued = 'true';
+
+  requestAnimationFrame(() => {
+    delete element.dataset.renderQueued;
+    if (!element.classList.contains('typing')) return;
+
+    textBubble.innerHTML = formatMessageIncremental(element.dataset.pendingText);
+
+    // Scroll to keep content visible
+    elements.messages.scrollTop = elements.messages.scrollHeight;
   });
 }
 
+/**
+ * Replace the streaming bubble with the final formatted message
+ * Adds the code the model ran, and notes when the answer was cut off, came
+ * from a fallback model, or the page context had to be trimmed to fit the model.
+ */
+function finishStreamingMessage(id, content, { finishReason, fallbackModel = null, context = null, toolRuns = [] } = {}) {
+  const element = document.getElementById(id);
+  if (!element) return;
+
+  const contentDiv = element.querySelector('.message-content');
+
+  // Remove typing class and footer
+  element.classList.remove('typing');
+  delete element.dataset.pendingText;
+
+  // Final format pass and put in standard message-content
+  contentDiv.innerHTML = formatMessage(content);
+  renderToolRuns(contentDiv, toolRuns);
+
+  // Let the user know the answer was cut off or came from another model
+  const notes = [];
+  if (finishReason === 'length') {
+    notes.push('Response truncated: increase Max Response Tokens in settings for longer answers.');
+  } else if (finishReason === 'cancelled') {
+    notes.push('Stopped.');
+  }
+  if (fallbackModel) {
+    notes.push(`Answered by fallback model ${fallbackModel}.`);
+  }
+  if (context?.summary) {
+    notes.push(`Context trimmed to fit ${context.model} (${formatTokenCount(context.used)} tokens sent): ${context.summary}.`);
+  }
+  if (context?.imagesDropped > 0) {
+    const what = context.imagesDropped === 1 ? 'the image was' : `${context.imagesDropped} images were`;
+    notes.push(`${context.model} can't view images, so ${what} not sent.`);
+  }
+  if (context?.historyDropped > 0) {
+    notes.push(`${context.historyDropped} earlier messages were left out to make room for the page.`);
+  }
+
+  notes.forEach(text => {
+    const note = document.createElement('div');
+    note.className = 'message-note';
+    note.textContent = text;
+    contentDiv.appendChild(note);
+  });
+
+  elements.messages.scrollTop = elements.messages.scrollHeight;
+}
+
+/**
+ * Show the code the model ran and its output in a collapsible block
+ */
+function renderToolRuns(container, runs) {
+  if (!runs?.length) return;
+
+  const details = document.createElement('details');
+  details.className = 'tool-runs';
+
+  const summary = document.createElement('summary');
+  summary.textContent = runs.length === 1
+    ? 'Calculated with JavaScript'
+    : `Calculated with JavaScript (${runs.length} runs)`;
+  details.appendChild(summary);
+
+  runs.forEach(run => {
+    const code = document.createElement('pre');
+    code.className = 'tool-code';
+    code.textContent = run.code;
+
+    const output = document.createElement('pre');
+    output.className = run.error ? 'tool-output error' : 'tool-output';
+    output.textContent = [
+      ...(run.logs || []),
+      run.error ? `Error: ${run.error}` : run.result ?? 'undefined'
+    ].join('\n');
+
+    details.append(code, output);
+  });
+
+  container.appendChild(details);
+}
+
+// [[cite: exact text]] markers the model adds when citations are enabled
+const CITATION_PATTERN = /\[\[cite:\s*([\s\S]+?)\]\]/g;
+
+/**
+ * Swap citation markers in escaped text for placeholders
+ * The chips go back in after the markdown passes, so asterisks and
+ * backticks in the quoted page text stay literal. A quote cited twice
+ * keeps its first number.
+ */
+function extractCitations(formatted) {
+  const quotes = [];
+  const chips = [];
+  const text = formatted.replace(CITATION_PATTERN, (_, quote) => {
+    quote = quote.trim().replace(/"/g, '&quot;');
+    const number = (quotes.indexOf(quote) + 1) || quotes.push(quote);
+    chips.push(`<button class="citation-chip" data-quote="${quote}" title="Show on page: ${quote}">${number}</button>`);
+    return `\u0000${chips.length - 1}\u0000`;
+  });
+  return {
+    text,
+    restore: (html) => html.replace(/\u0000(\d+)\u0000/g, (_, i) => chips[i])
+  };
+}
+
+/**
+ * Highlight a citation's quoted text on the page
+ */
+async function showCitation(chip) {
+  if (chip.classList.contains('pending')) return;
+  chip.classList.remove('found', 'not-found');
+  chip.classList.add('pending');
+
+  // Attribute values come back unescaped
+  const text = chip.dataset.quote;
+  let found = false;
+  try {
+    const response = await safeSendMessage({ action: 'highlightCitation', text });
+    found = !!response?.found;
+  } catch (error) {
+    console.error('Failed to highlight citation:', error);
+  }
+
+  chip.classList.remove('pending');
+  chip.classList.add(found ? 'found' : 'not-found');
+  chip.title = found ? `Show on page: ${text}` : `Not found on page: ${text}`;
+}
+
 /**
  * Format message incrementally (handles partial markdown)
  */
@@ -639,6 +1605,11 @@ function formatMessageIncremental(content) {
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;');
 
+  // Citations (hide one that is still streaming in)
+  formatted = formatted.replace(/\[\[[^\]]*\]?$/, '');
+  const citations = extractCitations(formatted);
+  formatted = citations.text;
+
   // Code blocks (only complete ones)
   formatted = formatted.replace(/```(\w*)\n?([\s\S]*?)```/g, (_, lang, code) => {
     return `<pre><code>${code.trim()}</code></pre>`;
@@ -667,7 +1638,7 @@ function formatMessageIncremental(content) {
   // Line breaks - convert \n to <br>
   formatted = formatted.replace(/\n/g, '<br>');
 
-  return formatted;
+  return citations.restore(formatted);
 }
 
 /**
@@ -680,6 +1651,10 @@ function formatMessage(content) {
     .replace(/</g, '&lt;')
     .replace(/>/g, '&gt;');
 
+  // Citations
+  const citations = extractCitations(formatted);
+  formatted = citations.text;
+
   // Code blocks
   formatted = formatted.replace(/```(\w*)\n?([\s\S]*?)```/g, (_, lang, code) => {
     return `<pre><code>${code.trim()}</code></pre>`;
@@ -708,7 +1683,7 @@ function formatMessage(content) {
   // Line breaks
   formatted = formatted.replace(/\n/g, '<br>');
 
-  return formatted;
+  return citations.restore(formatted);
 }
 
 /**
@@ -790,7 +1765,7 @@ async function saveCurrentChat() {
   try {
     // Generate title from first user message
     const firstUserMsg = conversationHistory.find(m => m.role === 'user');
-    const title = firstUserMsg?.content?.slice(0, 50) || 'New Chat';
+    const title = (firstUserMsg?.display ?? firstUserMsg?.content)?.slice(0, 50) || 'New Chat';
 
     if (currentChatId) {
       // Update existing chat
@@ -841,10 +1816,57 @@ async function loadChat(chatId) {
 
   // Render messages
   conversationHistory.forEach(msg => {
-    addMessage(msg.role === 'user' ? 'user' : 'assistant', msg.content);
+    const messageDiv = addMessage(msg.role === 'user' ? 'user' : 'assistant', msg.display ?? msg.content, msg.attachments, msg.images, msg.selections);
+    renderToolRuns(messageDiv.querySelector('.message-content'), msg.toolRuns);
   });
 }
 
+/**
+ * Continue a quick answer from the in-page Ask AI bubble as a new chat
+ * Left waiting while a response is streaming.
+ */
+async function takeHandoff() {
+  if (isLoading) return;
+  const exchange = await safeSendMessage({ action: 'takeHandoff' }).catch(() => null);
+  if (!exchange) return;
+
+  startNewChat();
+  if (elements.welcome) {
+    elements.welcome.style.display = 'none';
+  }
+
+  const quotes = exchange.selection ? [exchange.selection] : [];
+  conversationHistory = [
+    { role: 'user', content: exchange.userContent || exchange.question, display: exchange.question, selections: quotes },
+    { role: 'assistant', content: exchange.answer }
+  ];
+  addMessage('user', exchange.question, [], [], quotes);
+  addMessage('assistant', exchange.answer);
+  elements.messageInput.focus();
+
+  await saveCurrentChat();
+}
+
+/**
+ * Fill in the prompt for a right-click menu item and attach what it's about
+ * The prompt is selected so typing replaces it; Enter sends it as is.
+ */
+async function takeMenuRequest() {
+  const request = await safeSendMessage({ action: 'takeMenuRequest' }).catch(() => null);
+  if (!request) return;
+
+  elements.messageInput.value = request.prompt;
+  elements.messageInput.dispatchEvent(new Event('input'));
+  elements.messageInput.focus();
+  elements.messageInput.select();
+
+  if (request.selection) {
+    addSelection(request.selection);
+  } else if (request.url) {
+    await addFromUrl(request.url);
+  }
+}
+
 /**
  * Delete a saved chat
  */
@@ -0,0 +1,134 @@
+/**
+ * AI Tab Assistant - Document Parser Utilities
+ * 
+ * Shared helpers for the attachment parsers: XML access that ignores
+ * namespace prefixes, Office package relationships and Markdown output.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+/**
+ * Parse an XML string, throwing on malformed documents
+ */
+export function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    throw new Error('The file contains malformed XML');
+  }
+  return doc;
+}
+
+/**
+ * Elements with a local name, ignoring namespace prefixes
+ */
+export function byName(node, localName) {
+  return Array.from(node.getElementsByTagNameNS('*', localName));
+}
+
+/**
+ * Direct children with a local name
+ */
+export function childrenByName(node, localName) {
+  return Array.from(node.children).filter(child => child.localName === localName);
+}
+
+/**
+ * An attribute by local name, whatever its namespace prefix (r:id, w:val)
+ */
+export function attr(el, localName) {
+  if (!el) return null;
+  for (const attribute of el.attributes) {
+    if (attribute.localName === localName) return attribute.value;
+  }
+  return null;
+}
+
+/**
+ * The r:id of an element, which links it to a part through the relationships
+ * An element may also have a plain id attribute, so the namespace matters.
+ */
+export function relationshipId(el) {
+  for (const attribute of el?.attributes || []) {
+    if (attribute.localName === 'id' && attribute.namespaceURI) return attribute.value;
+  }
+  return null;
+}
+
+/**
+ * Read a relationships part into a Map of id -> absolute part name
+ * Targets are relative to the folder of the part that owns them; external
+ * targets (hyperlinks) are kept as written.
+ */
+export async function readRelationships(zip, partName) {
+  const folder = partName.slice(0, partName.lastIndexOf('/') + 1);
+  const relsName = `${folder}_rels/${partName.slice(folder.length)}.rels`;
+  const doc = await zip.xml(relsName);
+  const rels = new Map();
+  if (!doc) return rels;
+
+  byName(doc, 'Relationship').forEach(rel => {
+    const target = rel.getAttribute('Target');
+    const external = rel.getAttribute('TargetMode') === 'External';
+    rels.set(rel.getAttribute('Id'), external ? target : resolvePath(folder, target));
+  });
+  return rels;
+}
+
+/**
+ * Resolve a relative part path against a folder
+ */
+function resolvePath(folder, target) {
+  const parts = (target.startsWith('/') ? target.slice(1) : folder + target).split('/');
+  const resolved = [];
+  parts.forEach(part => {
+    if (part === '..') resolved.pop();
+    else if (part && part !== '.') resolved.push(part);
+  });
+  return resolved.join('/');
+}
+
+/**
+ * Read the page/slide count Office stores in docProps/app.xml
+ */
+export async function readAppProperty(zip, name) {
+  const doc = await zip.xml('docProps/app.xml');
+  const value = doc && byName(doc, name)[0]?.textContent;
+  return value ? Number(value) || null : null;
+}
+
+/**
+ * Render rows of cell text as a Markdown table, first row as the header
+ */
+export function markdownTable(rows) {
+  const width = Math.max(0, ...rows.map(row => row.length));
+  if (!width) return '';
+
+  const cell = (text) => String(text ?? '').replace(/\s*\n\s*/g, ' ').replace(/\|/g, '\\|').trim();
+  const line = (row) => `| ${Array.from({ length: width }, (_, i) => cell(row[i])).join(' | ')} |`;
+  return [line(rows[0]), `|${' --- |'.repeat(width)}`, ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Collapse runs of blank lines and trailing spaces left by layout
+ */
+export function tidyText(text) {
+  return text
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
@@ -0,0 +1,169 @@
+/**
+ * AI Tab Assistant - Word Document Parser
+ * 
+ * Turns a DOCX file into Markdown: headings from paragraph styles, list
+ * items, links and tables. The document is split into sections at its top
+ * headings so long documents can be trimmed section by section.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { byName, childrenByName, attr, relationshipId, readRelationships, readAppProperty, markdownTable, tidyText } from './common.js';
+
+// Headings at or above this level start a new section
+const SECTION_LEVEL = 2;
+
+/**
+ * Map paragraph style ids to heading levels ("heading 2" -> 2, Title -> 1)
+ */
+async function readHeadingStyles(zip) {
+  const levels = new Map();
+  const doc = await zip.xml('word/styles.xml');
+  if (!doc) return levels;
+
+  byName(doc, 'style').forEach(style => {
+    const id = attr(style, 'styleId');
+    const name = attr(byName(style, 'name')[0], 'val') || '';
+    const outline = attr(byName(style, 'outlineLvl')[0], 'val');
+    const heading = name.match(/^heading (\d)$/i);
+
+    if (heading) levels.set(id, Number(heading[1]));
+    else if (/^title$/i.test(name)) levels.set(id, 1);
+    else if (outline !== null && Number(outline) < 9) levels.set(id, Number(outline) + 1);
+  });
+  return levels;
+}
+
+/**
+ * Text of a paragraph or run container, with links as Markdown
+ * Tracked deletions and field codes are skipped.
+ */
+function inlineText(node, rels) {
+  let text = '';
+  for (const child of node.children) {
+    switch (child.localName) {
+      case 't':
+        text += child.textContent;
+        break;
+      case 'tab':
+        text += '\t';
+        break;
+      case 'br':
+      case 'cr':
+        text += '\n';
+        break;
+      case 'del':
+      case 'instrText':
+      case 'pPr':
+      case 'rPr':
+        break;
+      case 'hyperlink': {
+        const label = inlineText(child, rels);
+        const target = rels.get(relationshipId(child));
+        text += target && /^https?:/i.test(target) && label.trim() ? `[${label}](${target})` : label;
+        break;
+      }
+      default:
+        text += inlineText(child, rels);
+    }
+  }
+  return text;
+}
+
+/**
+ * Markdown for a paragraph, or '' for an empty one
+ * Returns { text, level } where level is the heading level (0 for body text).
+ */
+function readParagraph(p, rels, headingStyles) {
+  const props = childrenByName(p, 'pPr')[0];
+  const text = inlineText(p, rels).trim();
+  if (!text) return { text: '', level: 0 };
+
+  const level = headingStyles.get(attr(props && childrenByName(props, 'pStyle')[0], 'val')) || 0;
+  if (level) return { text: `${'#'.repeat(Math.min(level, 6))} ${text}`, level };
+
+  const numbering = props && childrenByName(props, 'numPr')[0];
+  if (numbering) {
+    const depth = Number(attr(childrenByName(numbering, 'ilvl')[0], 'val')) || 0;
+    return { text: `${'  '.repeat(depth)}- ${text}`, level: 0 };
+  }
+  return { text, level: 0 };
+}
+
+/**
+ * Markdown table from a w:tbl element
+ */
+function readTable(tbl, rels) {
+  const rows = childrenByName(tbl, 'tr').map(tr =>
+    childrenByName(tr, 'tc').map(tc => byName(tc, 'p').map(p => inlineText(p, rels).trim()).filter(Boolean).join(' '))
+  );
+  return markdownTable(rows.filter(row => row.some(Boolean)));
+}
+
+/**
+ * Join blocks with blank lines, keeping consecutive list items together
+ */
+function joinBlocks(blocks) {
+  const isItem = (block) => /^\s*- /.test(block);
+  return blocks.reduce((text, block, i) =>
+    i === 0 ? block : text + (isItem(block) && isItem(blocks[i - 1]) ? '\n' : '\n\n') + block, '');
+}
+
+/**
+ * Parse an opened DOCX package
+ */
+export async function parseDocx(zip) {
+  const doc = await zip.xml('word/document.xml');
+  const body = doc && byName(doc, 'body')[0];
+  if (!body) throw new Error('Not a Word document');
+
+  const [rels, headingStyles, pages] = await Promise.all([
+    readRelationships(zip, 'word/document.xml'),
+    readHeadingStyles(zip),
+    readAppProperty(zip, 'Pages')
+  ]);
+
+  const sections = [{ title: 'opening section', blocks: [] }];
+  for (const child of body.children) {
+    if (child.localName === 'tbl') {
+      sections[sections.length - 1].blocks.push(readTable(child, rels));
+    } else if (child.localName === 'p' || child.localName === 'sdt') {
+      for (const p of child.localName === 'p' ? [child] : byName(child, 'p')) {
+        const { text, level } = readParagraph(p, rels, headingStyles);
+        if (!text) continue;
+        if (level && level <= SECTION_LEVEL) {
+          const title = `section "${text.replace(/^#+\s*/, '').slice(0, 60)}"`;
+          if (sections[sections.length - 1].blocks.length) sections.push({ title, blocks: [] });
+          else sections[sections.length - 1].title = title;
+        }
+        sections[sections.length - 1].blocks.push(text);
+      }
+    }
+  }
+
+  const parts = sections
+    .map(section => ({ title: section.title, text: tidyText(joinBlocks(section.blocks)) }))
+    .filter(part => part.text);
+  if (!parts.length) throw new Error('No text found in this document');
+
+  return {
+    parts,
+    unit: 'section',
+    summary: pages ? `${pages} page${pages === 1 ? '' : 's'}` : `${parts.length} section${parts.length === 1 ? '' : 's'}`
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * AI Tab Assistant - Document Parsers
+ * 
+ * Reads PDF, Word, Excel and PowerPoint attachments into text in the side
+ * panel, with no libraries. Documents come back as parts (pages, sections,
+ * sheets or slides) so the service worker can fit them to the model's
+ * context window a part at a time.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { readZip } from './zip.js';
+import { parsePdf } from './pdf.js';
+import { parseDocx } from './docx.js';
+import { parseXlsx } from './xlsx.js';
+import { parsePptx } from './pptx.js';
+
+// Parsers by file extension
+const PARSERS = {
+  pdf: (buffer) => parsePdf(buffer),
+  docx: (buffer) => parseDocx(readZip(buffer)),
+  xlsx: (buffer) => parseXlsx(readZip(buffer)),
+  xlsm: (buffer) => parseXlsx(readZip(buffer)),
+  pptx: (buffer) => parsePptx(readZip(buffer))
+};
+
+// Extensions accepted by the file picker
+export const DOCUMENT_EXTENSIONS = Object.keys(PARSERS).map(extension => `.${extension}`);
+
+function extensionOf(name) {
+  return name.match(/\.([a-z0-9]+)$/i)?.[1].toLowerCase() || '';
+}
+
+/**
+ * Check whether a file is a document format parsed here
+ */
+export function isParsedDocument(file) {
+  return extensionOf(file.name) in PARSERS;
+}
+
+/**
+ * Parse a document File
+ * Resolves with { parts: [{ title, text }], unit, summary, text } where
+ * unit names what a part is ('page', 'section', 'sheet', 'slide') and
+ * summary is shown in the file chip, e.g. "12 pages".
+ */
+export async function parseDocument(file) {
+  const parse = PARSERS[extensionOf(file.name)];
+  if (!parse) throw new Error(`${file.name} is not a supported document type`);
+
+  const result = await parse(await file.arrayBuffer());
+  return { ...result, text: result.parts.map(part => part.text).join('\n\n') };
+}
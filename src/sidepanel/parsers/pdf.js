@@ -0,0 +1,776 @@
+/**
+ * AI Tab Assistant - PDF Parser
+ * 
+ * Extracts the text of each page of a PDF without a PDF library: objects
+ * are read straight from the file (including compressed object streams),
+ * content streams are inflated with DecompressionStream and text is decoded
+ * through each font's ToUnicode map or encoding. Line breaks and spaces are
+ * inferred from text positions. Scanned pages have no text to extract and
+ * encrypted files are rejected.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { tidyText } from './common.js';
+
+// Deepest nesting of form XObjects followed when collecting text
+const MAX_FORM_DEPTH = 5;
+
+const WHITESPACE = new Set([0, 9, 10, 12, 13, 32]);
+const DELIMITERS = new Set([37, 40, 41, 47, 60, 62, 91, 93, 123, 125]);
+
+const latin1 = new TextDecoder('latin1');
+const macRoman = new TextDecoder('macintosh');
+
+// Glyph names seen in /Differences arrays that aren't the character itself
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", quoteright: '’', quoteleft: '‘', parenleft: '(', parenright: ')', asterisk: '*',
+  plus: '+', comma: ',', hyphen: '-', minus: '−', period: '.', slash: '/', colon: ':', semicolon: ';',
+  less: '<', equal: '=', greater: '>', question: '?', at: '@', bracketleft: '[', backslash: '\\',
+  bracketright: ']', asciicircum: '^', underscore: '_', grave: '`', braceleft: '{', bar: '|',
+  braceright: '}', asciitilde: '~', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5',
+  six: '6', seven: '7', eight: '8', nine: '9', bullet: '•', endash: '–', emdash: '—', ellipsis: '…',
+  quotedblleft: '“', quotedblright: '”', quotesinglbase: '‚', quotedblbase: '„', dagger: '†',
+  daggerdbl: '‡', degree: '°', copyright: '©', registered: '®', trademark: '™', section: '§',
+  paragraph: '¶', multiply: '×', divide: '÷', plusminus: '±', Euro: '€', sterling: '£', yen: '¥',
+  cent: '¢', fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', nbspace: ' ', periodcentered: '·'
+};
+
+// ============ LEXER ============
+
+/**
+ * Tokenizer over PDF bytes
+ * Tokens are { type: 'number' | 'name' | 'string' | 'punct' | 'keyword', value }.
+ */
+function createLexer(bytes, pos = 0) {
+  const skipSpace = () => {
+    while (pos < bytes.length) {
+      if (WHITESPACE.has(bytes[pos])) {
+        pos++;
+      } else if (bytes[pos] === 37) { // % comment
+        while (pos < bytes.length && bytes[pos] !== 10 && bytes[pos] !== 13) pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const readLiteral = () => {
+    const out = [];
+    let depth = 1;
+    while (pos < bytes.length) {
+      let b = bytes[pos++];
+      if (b === 92) { // backslash escape
+        b = bytes[pos++];
+        if (b >= 48 && b <= 55) {
+          let code = b - 48;
+          for (let i = 0; i < 2 && bytes[pos] >= 48 && bytes[pos] <= 55; i++) code = code * 8 + bytes[pos++] - 48;
+          out.push(code & 0xFF);
+          continue;
+        }
+        if (b === 13 || b === 10) { // line continuation
+          if (b === 13 && bytes[pos] === 10) pos++;
+          continue;
+        }
+        out.push({ 110: 10, 114: 13, 116: 9, 98: 8, 102: 12 }[b] ?? b);
+        continue;
+      }
+      if (b === 40) depth++;
+      if (b === 41 && --depth === 0) break;
+      out.push(b);
+    }
+    return Uint8Array.from(out);
+  };
+
+  const readHex = () => {
+    let digits = '';
+    while (pos < bytes.length && bytes[pos] !== 62) {
+      const c = String.fromCharCode(bytes[pos++]);
+      if (/[0-9a-f]/i.test(c)) digits += c;
+    }
+    pos++;
+    if (digits.length % 2) digits += '0';
+    return Uint8Array.from(digits.match(/../g) || [], pair => parseInt(pair, 16));
+  };
+
+  const readWord = () => {
+    const start = pos;
+    while (pos < bytes.length && !WHITESPACE.has(bytes[pos]) && !DELIMITERS.has(bytes[pos])) pos++;
+    return latin1.decode(bytes.subarray(start, pos));
+  };
+
+  const next = () => {
+    skipSpace();
+    if (pos >= bytes.length) return null;
+    const b = bytes[pos];
+
+    if (b === 40) {
+      pos++;
+      return { type: 'string', value: readLiteral() };
+    }
+    if (b === 60) {
+      if (bytes[pos + 1] === 60) {
+        pos += 2;
+        return { type: 'punct', value: '<<' };
+      }
+      pos++;
+      return { type: 'string', value: readHex() };
+    }
+    if (b === 62 && bytes[pos + 1] === 62) {
+      pos += 2;
+      return { type: 'punct', value: '>>' };
+    }
+    if (b === 91 || b === 93 || b === 123 || b === 125) {
+      pos++;
+      return { type: 'punct', value: String.fromCharCode(b) };
+    }
+    if (b === 47) {
+      pos++;
+      return { type: 'name', value: readWord().replace(/#([0-9a-f]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+
+    const word = readWord();
+    if (!word) { // stray delimiter such as an unmatched ')'
+      pos++;
+      return next();
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: 'number', value: Number(word) };
+    return { type: 'keyword', value: word };
+  };
+
+  return {
+    next,
+    get pos() { return pos; },
+    set pos(value) { pos = value; }
+  };
+}
+
+/**
+ * Read one value: numbers, names (as strings), strings (as byte arrays),
+ * arrays, dictionaries (as objects), references ({ ref }) and keywords
+ * ({ keyword }, used for operators in content streams)
+ */
+function parseValue(lexer, token = lexer.next()) {
+  if (!token) return null;
+
+  switch (token.type) {
+    case 'number': {
+      // "12 0 R" is a reference
+      const saved = lexer.pos;
+      const generation = lexer.next();
+      const r = generation?.type === 'number' ? lexer.next() : null;
+      if (r?.type === 'keyword' && r.value === 'R' && Number.isInteger(token.value)) return { ref: token.value };
+      lexer.pos = saved;
+      return token.value;
+    }
+    case 'name':
+    case 'string':
+      return token.value;
+    case 'punct':
+      if (token.value === '[') {
+        const array = [];
+        for (let t = lexer.next(); t && !(t.type === 'punct' && t.value === ']'); t = lexer.next()) {
+          array.push(parseValue(lexer, t));
+        }
+        return array;
+      }
+      if (token.value === '<<') {
+        const dict = {};
+        for (let t = lexer.next(); t && !(t.type === 'punct' && t.value === '>>'); t = lexer.next()) {
+          if (t.type === 'name') dict[t.value] = parseValue(lexer);
+        }
+        return dict;
+      }
+      return { keyword: token.value };
+    default:
+      if (token.value === 'true') return true;
+      if (token.value === 'false') return false;
+      if (token.value === 'null') return null;
+      return { keyword: token.value };
+  }
+}
+
+// ============ OBJECTS AND STREAMS ============
+
+/**
+ * Inflate zlib data, keeping whatever decoded before any corruption
+ * PDF writers often leave junk after the deflate stream or omit the
+ * zlib header, which DecompressionStream rejects outright.
+ */
+async function inflateLoose(bytes) {
+  for (const format of ['deflate', 'deflate-raw']) {
+    const chunks = [];
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(format)).getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+      }
+    } catch {
+      // Keep the chunks decoded so far
+    }
+    if (chunks.length) return concatBytes(chunks);
+  }
+  return new Uint8Array(0);
+}
+
+function concatBytes(chunks) {
+  const out = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach(chunk => {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return out;
+}
+
+function decodeAsciiHex(bytes) {
+  const digits = latin1.decode(bytes).split('>')[0].replace(/[^0-9a-f]/gi, '');
+  return Uint8Array.from((digits.length % 2 ? digits + '0' : digits).match(/../g) || [], pair => parseInt(pair, 16));
+}
+
+function decodeAscii85(bytes) {
+  const text = latin1.decode(bytes).replace(/^<~/, '').split('~>')[0].replace(/\s/g, '');
+  const out = [];
+  let group = [];
+  const flush = (count) => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) value = value * 85 + (group[i] ?? 84);
+    for (let i = 0; i < count - 1; i++) out.push((value >>> (24 - i * 8)) & 0xFF);
+    group = [];
+  };
+  for (const c of text) {
+    if (c === 'z' && !group.length) {
+      out.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(c.charCodeAt(0) - 33);
+    if (group.length === 5) flush(5);
+  }
+  if (group.length) flush(group.length);
+  return Uint8Array.from(out);
+}
+
+/**
+ * Read every object in the file by scanning for "n g obj" headers
+ * Scanning instead of trusting the cross-reference table copes with
+ * damaged files; objects packed in object streams are unpacked after.
+ * Returns a Map of object number -> { value, data } (data for streams).
+ */
+async function readObjects(bytes) {
+  const text = latin1.decode(bytes);
+  const objects = new Map();
+  const pattern = /(\d+)\s+\d+\s+obj\b/g;
+
+  let match;
+  while ((match = pattern.exec(text))) {
+    const lexer = createLexer(bytes, match.index + match[0].length);
+    const value = parseValue(lexer);
+    const entry = { value };
+    let end = lexer.pos;
+
+    const keyword = lexer.next();
+    if (keyword?.type === 'keyword' && keyword.value === 'stream' && value && typeof value === 'object') {
+      let start = lexer.pos;
+      if (bytes[start] === 13) start++;
+      if (bytes[start] === 10) start++;
+
+      // Trust /Length only when endstream follows it; it may also be an indirect reference
+      let length = typeof value.Length === 'number' ? value.Length : -1;
+      if (length < 0 || !text.slice(start + length, start + length + 12).includes('endstream')) {
+        const endstream = text.indexOf('endstream', start);
+        length = (endstream < 0 ? bytes.length : endstream) - start;
+      }
+      entry.data = bytes.subarray(start, start + length);
+      end = start + length;
+    }
+
+    objects.set(Number(match[1]), entry);
+    pattern.lastIndex = end;
+  }
+
+  // Unpack object streams (PDF 1.5+ keeps most small objects in them)
+  for (const entry of [...objects.values()]) {
+    if (entry.value?.Type !== 'ObjStm' || !entry.data) continue;
+    const data = await decodeStream(entry, objects);
+    if (!data) continue;
+
+    const lexer = createLexer(data);
+    const count = resolve(entry.value.N, objects) || 0;
+    const first = resolve(entry.value.First, objects) || 0;
+    const offsets = [];
+    for (let i = 0; i < count; i++) {
+      const number = lexer.next()?.value;
+      const offset = lexer.next()?.value;
+      offsets.push([number, offset]);
+    }
+    offsets.forEach(([number, offset]) => {
+      if (objects.has(number) || typeof offset !== 'number') return;
+      lexer.pos = first + offset;
+      objects.set(number, { value: parseValue(lexer) });
+    });
+  }
+
+  return objects;
+}
+
+/**
+ * Follow references to the value they point at
+ */
+function resolve(value, objects, seen = 0) {
+  if (value && typeof value === 'object' && 'ref' in value && seen < 32) {
+    return resolve(objects.get(value.ref)?.value ?? null, objects, seen + 1);
+  }
+  return value;
+}
+
+/**
+ * Decode a stream's data through its filters
+ * Returns null for filters that can't hold text (images) or aren't supported.
+ */
+async function decodeStream(entry, objects) {
+  if (!entry?.data) return null;
+  const filter = resolve(entry.value.Filter, objects);
+  const filters = Array.isArray(filter) ? filter : filter ? [filter] : [];
+
+  let data = entry.data;
+  for (const name of filters) {
+    const type = resolve(name, objects);
+    if (type === 'FlateDecode' || type === 'Fl') data = await inflateLoose(data);
+    else if (type === 'ASCIIHexDecode' || type === 'AHx') data = decodeAsciiHex(data);
+    else if (type === 'ASCII85Decode' || type === 'A85') data = decodeAscii85(data);
+    else return null;
+  }
+  return data;
+}
+
+// ============ FONTS ============
+
+/**
+ * Unicode text for a glyph name from a /Differences array
+ */
+function glyphToUnicode(name) {
+  const base = name.split('.')[0];
+  if (GLYPH_NAMES[base]) return GLYPH_NAMES[base];
+  if (base.length === 1) return base;
+
+  const uni = base.match(/^uni((?:[0-9A-F]{4})+)$/i);
+  if (uni) return String.fromCharCode(...uni[1].match(/.{4}/g).map(hex => parseInt(hex, 16)));
+  const u = base.match(/^u([0-9A-F]{4,6})$/i);
+  if (u) return String.fromCodePoint(parseInt(u[1], 16));
+  return '';
+}
+
+function bytesToNumber(bytes) {
+  return bytes.reduce((value, b) => value * 256 + b, 0);
+}
+
+function utf16be(bytes) {
+  if (bytes.length % 2) return latin1.decode(bytes);
+  let text = '';
+  for (let i = 0; i < bytes.length; i += 2) text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  return text;
+}
+
+/**
+ * Parse a ToUnicode CMap into { map, ranges }
+ * map is keyed "length:code"; ranges are the codespace ranges that say how
+ * many bytes each character code takes.
+ */
+function parseCMap(bytes) {
+  const map = new Map();
+  const ranges = [];
+  const lexer = createLexer(bytes);
+  let operands = [];
+
+  for (let token = lexer.next(); token; token = lexer.next()) {
+    const value = parseValue(lexer, token);
+    if (!value?.keyword) {
+      operands.push(value);
+      continue;
+    }
+
+    if (value.keyword === 'endcodespacerange') {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        ranges.push({ length: operands[i].length, low: bytesToNumber(operands[i]), high: bytesToNumber(operands[i + 1]) });
+      }
+    } else if (value.keyword === 'endbfchar') {
+      for (let i = 0; i + 1 < operands.length; i += 2) {
+        if (operands[i] instanceof Uint8Array && operands[i + 1] instanceof Uint8Array) {
+          map.set(`${operands[i].length}:${bytesToNumber(operands[i])}`, utf16be(operands[i + 1]));
+        }
+      }
+    } else if (value.keyword === 'endbfrange') {
+      for (let i = 0; i + 2 < operands.length; i += 3) {
+        const [low, high, target] = operands.slice(i, i + 3);
+        if (!(low instanceof Uint8Array) || !(high instanceof Uint8Array)) continue;
+        const start = bytesToNumber(low);
+        const end = Math.min(bytesToNumber(high), start + 0xFFFF);
+
+        for (let code = start; code <= end; code++) {
+          let text;
+          if (Array.isArray(target)) {
+            text = target[code - start] instanceof Uint8Array ? utf16be(target[code - start]) : undefined;
+          } else if (target instanceof Uint8Array) {
+            // Increment the last UTF-16 unit of the destination
+            const base = utf16be(target);
+            text = base.slice(0, -1) + String.fromCharCode(base.charCodeAt(base.length - 1) + code - start);
+          }
+          if (text !== undefined) map.set(`${low.length}:${code}`, text);
+        }
+      }
+    }
+    operands = [];
+  }
+
+  return { map, ranges };
+}
+
+/**
+ * Glyph widths in thousandths of the font size, from /Widths or a CID font's /W
+ */
+function readWidths(font, descendant, objects) {
+  const widths = new Map();
+
+  if (descendant) {
+    const w = resolve(descendant.W, objects) || [];
+    for (let i = 0; i < w.length;) {
+      const first = resolve(w[i], objects);
+      const next = resolve(w[i + 1], objects);
+      if (Array.isArray(next)) {
+        next.forEach((width, j) => widths.set(first + j, resolve(width, objects)));
+        i += 2;
+      } else {
+        const last = next;
+        const width = resolve(w[i + 2], objects);
+        for (let code = first; code <= last && code - first < 0xFFFF; code++) widths.set(code, width);
+        i += 3;
+      }
+    }
+    return { widths, fallback: resolve(descendant.DW, objects) ?? 1000 };
+  }
+
+  const firstChar = resolve(font.FirstChar, objects) || 0;
+  (resolve(font.Widths, objects) || []).forEach((width, i) => widths.set(firstChar + i, resolve(width, objects)));
+  const descriptor = resolve(font.FontDescriptor, objects);
+  return { widths, fallback: resolve(descriptor?.MissingWidth, objects) || 500 };
+}
+
+/**
+ * Build a decoder for a font: bytes -> [{ text, width, space, unknown }]
+ * Composite fonts without a ToUnicode map only have glyph ids, which
+ * can't be turned back into text; those glyphs come back unknown.
+ */
+async function loadFont(font, objects) {
+  const subtype = resolve(font.Subtype, objects);
+  const composite = subtype === 'Type0';
+  const descendant = composite ? resolve(resolve(font.DescendantFonts, objects)?.[0], objects) : null;
+
+  const toUnicodeEntry = font.ToUnicode?.ref ? objects.get(font.ToUnicode.ref) : null;
+  const toUnicodeData = toUnicodeEntry ? await decodeStream(toUnicodeEntry, objects) : null;
+  const cmap = toUnicodeData ? parseCMap(toUnicodeData) : null;
+
+  // Simple fonts: base encoding plus /Differences
+  const differences = new Map();
+  let baseEncoding = null;
+  const encoding = resolve(font.Encoding, objects);
+  if (encoding && typeof encoding === 'object' && !Array.isArray(encoding) && !(encoding instanceof Uint8Array)) {
+    baseEncoding = resolve(encoding.BaseEncoding, objects);
+    let code = 0;
+    (resolve(encoding.Differences, objects) || []).forEach(item => {
+      if (typeof item === 'number') code = item;
+      else if (typeof item === 'string') differences.set(code++, glyphToUnicode(item));
+    });
+  } else if (typeof encoding === 'string') {
+    baseEncoding = encoding;
+  }
+  const decodeByte = (code) => {
+    if (differences.has(code)) return differences.get(code);
+    return baseEncoding === 'MacRomanEncoding' ? macRoman.decode(Uint8Array.of(code)) : latin1.decode(Uint8Array.of(code));
+  };
+
+  const { widths, fallback } = readWidths(font, descendant, objects);
+  const fontMatrix = resolve(font.FontMatrix, objects);
+  const widthScale = subtype === 'Type3' && fontMatrix ? fontMatrix[0] * 1000 : 1;
+
+  // How many bytes the next character code takes
+  const codeLength = (bytes, i) => {
+    if (cmap?.ranges.length) {
+      for (const range of cmap.ranges) {
+        if (i + range.length > bytes.length) continue;
+        const code = bytesToNumber(bytes.subarray(i, i + range.length));
+        if (code >= range.low && code <= range.high) return range.length;
+      }
+    }
+    return composite ? 2 : 1;
+  };
+
+  return (bytes) => {
+    const glyphs = [];
+    for (let i = 0; i < bytes.length;) {
+      const length = Math.min(codeLength(bytes, i), bytes.length - i);
+      const code = bytesToNumber(bytes.subarray(i, i + length));
+      i += length;
+
+      let text = cmap?.map.get(`${length}:${code}`);
+      const unknown = text === undefined && composite;
+      if (text === undefined) text = composite ? '' : decodeByte(code);
+      glyphs.push({
+        text,
+        width: (widths.get(code) ?? fallback) * widthScale,
+        space: length === 1 && code === 32,
+        unknown
+      });
+    }
+    return glyphs;
+  };
+}
+
+// ============ CONTENT STREAMS ============
+
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[1] * n[2], m[0] * n[1] + m[1] * n[3],
+    m[2] * n[0] + m[3] * n[2], m[2] * n[1] + m[3] * n[3],
+    m[4] * n[0] + m[5] * n[2] + n[4], m[4] * n[1] + m[5] * n[3] + n[5]
+  ];
+}
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * Run a content stream, collecting positioned text runs into items
+ * Each item is { text, x, y, endX, size } in page space.
+ */
+async function collectText(data, resources, context, ctm = IDENTITY, depth = 0) {
+  const { objects, fonts, items } = context;
+  const lexer = createLexer(data);
+  const stack = [];
+  let operands = [];
+
+  let state = { ctm, font: null, size: 0, charSpacing: 0, wordSpacing: 0, scale: 1, leading: 0 };
+  let tm = IDENTITY;
+  let lm = IDENTITY;
+
+  const fontResources = resolve(resources?.Font, objects) || {};
+  const xobjects = resolve(resources?.XObject, objects) || {};
+
+  const getFont = async (name) => {
+    const font = resolve(fontResources[name], objects);
+    if (!font) return null;
+    if (!fonts.has(font)) fonts.set(font, await loadFont(font, objects));
+    return fonts.get(font);
+  };
+
+  const moveLine = (tx, ty) => {
+    lm = multiply([1, 0, 0, 1, tx, ty], lm);
+    tm = lm;
+  };
+
+  const show = (bytes) => {
+    if (!state.font || !(bytes instanceof Uint8Array)) return;
+    const matrix = multiply(tm, state.ctm);
+    const size = state.size * Math.hypot(matrix[2], matrix[3]);
+    const glyphs = state.font(bytes);
+    context.unreadable += glyphs.filter(glyph => glyph.unknown).length;
+
+    let advance = 0;
+    glyphs.forEach(glyph => {
+      advance += (glyph.width / 1000) * state.size + state.charSpacing + (glyph.space ? state.wordSpacing : 0);
+    });
+    advance *= state.scale;
+
+    const end = multiply([1, 0, 0, 1, advance, 0], matrix);
+    items.push({ text: glyphs.map(glyph => glyph.text).join(''), x: matrix[4], y: matrix[5], endX: end[4], size: size || 1 });
+    tm = multiply([1, 0, 0, 1, advance, 0], tm);
+  };
+
+  for (let token = lexer.next(); token; token = lexer.next()) {
+    const value = parseValue(lexer, token);
+    if (!value?.keyword) {
+      operands.push(value);
+      continue;
+    }
+
+    const op = value.keyword;
+    const n = (i) => Number(operands[i]) || 0;
+
+    switch (op) {
+      case 'q': stack.push({ ...state }); break;
+      case 'Q': if (stack.length) state = stack.pop(); break;
+      case 'cm': state.ctm = multiply(operands.slice(0, 6).map(Number), state.ctm); break;
+      case 'BT': tm = lm = IDENTITY; break;
+      case 'Tf':
+        state.font = await getFont(operands[0]);
+        state.size = n(1);
+        break;
+      case 'Tc': state.charSpacing = n(0); break;
+      case 'Tw': state.wordSpacing = n(0); break;
+      case 'Tz': state.scale = n(0) / 100; break;
+      case 'TL': state.leading = n(0); break;
+      case 'Td': moveLine(n(0), n(1)); break;
+      case 'TD':
+        state.leading = -n(1);
+        moveLine(n(0), n(1));
+        break;
+      case 'Tm': tm = lm = operands.slice(0, 6).map(Number); break;
+      case 'T*': moveLine(0, -state.leading); break;
+      case 'Tj': show(operands[0]); break;
+      case "'":
+        moveLine(0, -state.leading);
+        show(operands[0]);
+        break;
+      case '"':
+        state.wordSpacing = n(0);
+        state.charSpacing = n(1);
+        moveLine(0, -state.leading);
+        show(operands[2]);
+        break;
+      case 'TJ':
+        (Array.isArray(operands[0]) ? operands[0] : []).forEach(item => {
+          if (typeof item === 'number') tm = multiply([1, 0, 0, 1, (-item / 1000) * state.size * state.scale, 0], tm);
+          else show(item);
+        });
+        break;
+      case 'Do': {
+        const entry = xobjects[operands[0]]?.ref ? objects.get(xobjects[operands[0]].ref) : null;
+        if (depth < MAX_FORM_DEPTH && resolve(entry?.value?.Subtype, objects) === 'Form') {
+          const form = await decodeStream(entry, objects);
+          const matrix = resolve(entry.value.Matrix, objects) || IDENTITY;
+          if (form) {
+            await collectText(form, resolve(entry.value.Resources, objects) || resources, context,
+              multiply(matrix.map(Number), state.ctm), depth + 1);
+          }
+        }
+        break;
+      }
+      case 'BI': {
+        // Skip inline image data up to the EI operator
+        let pos = lexer.pos;
+        while (pos < data.length - 2 &&
+          !(WHITESPACE.has(data[pos]) && data[pos + 1] === 69 && data[pos + 2] === 73 &&
+            (pos + 3 >= data.length || WHITESPACE.has(data[pos + 3])))) pos++;
+        lexer.pos = pos + 3;
+        break;
+      }
+    }
+    operands = [];
+  }
+}
+
+/**
+ * Join positioned text runs into lines and paragraphs
+ */
+function layoutText(items) {
+  let text = '';
+  let last = null;
+
+  for (const item of items) {
+    if (!item.text) continue;
+    if (last) {
+      const size = Math.max(item.size, last.size);
+      const lineGap = Math.abs(item.y - last.y);
+      if (lineGap > size * 0.5) {
+        text += lineGap > size * 2 ? '\n\n' : '\n';
+      } else if (item.x - last.endX > size * 0.15 && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+        text += ' ';
+      }
+    }
+    text += item.text;
+    last = item;
+  }
+  return tidyText(text.replace(/\u0000/g, ''));
+}
+
+/**
+ * List the page dictionaries in order, with inherited resources filled in
+ */
+function listPages(node, objects, inherited = null, pages = [], seen = new Set()) {
+  if (!node || seen.has(node)) return pages;
+  seen.add(node);
+
+  const resources = resolve(node.Resources, objects) || inherited;
+  if (resolve(node.Type, objects) === 'Page' || (!node.Kids && node.Contents)) {
+    pages.push({ node, resources });
+    return pages;
+  }
+  (resolve(node.Kids, objects) || []).forEach(kid => listPages(resolve(kid, objects), objects, resources, pages, seen));
+  return pages;
+}
+
+/**
+ * Parse a PDF from an ArrayBuffer
+ */
+export async function parsePdf(buffer) {
+  const bytes = new Uint8Array(buffer);
+  if (!latin1.decode(bytes.subarray(0, 1024)).includes('%PDF-')) throw new Error('Not a PDF file');
+
+  // Encrypted files need the password-derived key even to read their text.
+  // The trailer is at the end, or also near the start in linearized files.
+  const trailers = latin1.decode(bytes.subarray(0, 4096)) + latin1.decode(bytes.subarray(Math.max(0, bytes.length - 4096)));
+  if (/\/Encrypt\s*(\d+\s+\d+\s+R|<<)/.test(trailers)) {
+    throw new Error('This PDF is encrypted; save an unprotected copy and attach that instead');
+  }
+
+  const objects = await readObjects(bytes);
+  const catalog = [...objects.values()].map(entry => entry.value).filter(value => value?.Type === 'Catalog').pop();
+  if (!catalog) throw new Error('Could not find the pages of this PDF');
+
+  const pages = listPages(resolve(catalog.Pages, objects), objects);
+  const context = { objects, fonts: new Map(), items: [], unreadable: 0 };
+  const parts = [];
+  let emptyPages = 0;
+
+  for (const [index, page] of pages.entries()) {
+    context.items = [];
+    context.unreadable = 0;
+    const contents = resolve(page.node.Contents, objects);
+    const refs = Array.isArray(contents) ? contents : [page.node.Contents];
+    const streams = await Promise.all(refs.map(ref => decodeStream(ref?.ref ? objects.get(ref.ref) : null, objects)));
+    const data = concatBytes(streams.filter(Boolean).flatMap(stream => [stream, Uint8Array.of(10)]));
+
+    try {
+      await collectText(data, page.resources, context);
+    } catch (error) {
+      console.warn(`Could not read page ${index + 1} of the PDF:`, error);
+    }
+
+    const text = layoutText(context.items);
+    if (!text) emptyPages++;
+
+    let note = '';
+    if (context.unreadable > 0) {
+      note = '\n\n[Some text on this page uses a font without a character map and could not be read]';
+    } else if (!text) {
+      note = '[No text on this page; it may be a scanned image]';
+    }
+    parts.push({ title: `page ${index + 1}`, text: `### Page ${index + 1}\n\n${text}${note}`.trim() });
+  }
+
+  if (!parts.length || emptyPages === parts.length) {
+    throw new Error('No text found in this PDF. Scanned documents need a vision model: open it in a tab and use a screenshot instead');
+  }
+
+  return {
+    parts,
+    unit: 'page',
+    summary: `${parts.length} page${parts.length === 1 ? '' : 's'}`
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * AI Tab Assistant - Presentation Parser
+ * 
+ * Turns a PPTX deck into a slide outline: each slide's title, its text
+ * as nested bullets, tables and the speaker notes.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { byName, childrenByName, attr, relationshipId, readRelationships, markdownTable, tidyText } from './common.js';
+
+/**
+ * Text of a DrawingML paragraph (runs, fields and line breaks)
+ */
+function paragraphText(p) {
+  return Array.from(p.children).map(child => {
+    if (child.localName === 'r' || child.localName === 'fld') return childrenByName(child, 't')[0]?.textContent || '';
+    if (child.localName === 'br') return '\n';
+    return '';
+  }).join('').trim();
+}
+
+/**
+ * Placeholder type of a shape ('title', 'body', ...) or null for a plain text box
+ */
+function placeholderType(sp) {
+  const ph = byName(sp, 'ph')[0];
+  return ph ? attr(ph, 'type') || 'body' : null;
+}
+
+/**
+ * Collect a slide's title and outline lines from its shape tree, in order
+ */
+function readShapes(node, slide) {
+  for (const child of node.children) {
+    if (child.localName === 'grpSp') {
+      readShapes(child, slide);
+    } else if (child.localName === 'sp') {
+      const body = childrenByName(child, 'txBody')[0];
+      if (!body) continue;
+
+      const type = placeholderType(child);
+      const paragraphs = childrenByName(body, 'p')
+        .map(p => ({ text: paragraphText(p), level: Number(attr(childrenByName(p, 'pPr')[0], 'lvl')) || 0 }))
+        .filter(p => p.text);
+
+      if ((type === 'title' || type === 'ctrTitle') && !slide.title) {
+        slide.title = paragraphs.map(p => p.text).join(' ');
+      } else if (type !== 'sldNum' && type !== 'dt' && type !== 'ftr') {
+        paragraphs.forEach(p => slide.lines.push(`${'  '.repeat(p.level)}- ${p.text.replace(/\n/g, ' ')}`));
+      }
+    } else if (child.localName === 'graphicFrame') {
+      const tbl = byName(child, 'tbl')[0];
+      if (!tbl) continue;
+      const rows = childrenByName(tbl, 'tr').map(tr =>
+        childrenByName(tr, 'tc').map(tc => byName(tc, 'p').map(paragraphText).filter(Boolean).join(' '))
+      );
+      slide.lines.push('', markdownTable(rows), '');
+    }
+  }
+}
+
+/**
+ * Speaker notes text for a slide, if it has any
+ */
+async function readNotes(zip, slidePath) {
+  const rels = await readRelationships(zip, slidePath);
+  const notesPath = [...rels.values()].find(path => path.includes('notesSlides/'));
+  const doc = notesPath && await zip.xml(notesPath);
+  if (!doc) return '';
+
+  return byName(doc, 'sp')
+    .filter(sp => placeholderType(sp) === 'body')
+    .flatMap(sp => byName(sp, 'p').map(paragraphText))
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Parse an opened PPTX package
+ */
+export async function parsePptx(zip) {
+  const presentation = await zip.xml('ppt/presentation.xml');
+  if (!presentation) throw new Error('Not a PowerPoint presentation');
+
+  const rels = await readRelationships(zip, 'ppt/presentation.xml');
+  const slidePaths = byName(presentation, 'sldId').map(sldId => rels.get(relationshipId(sldId))).filter(Boolean);
+  const parts = [];
+
+  for (const [index, path] of slidePaths.entries()) {
+    const doc = await zip.xml(path);
+    const tree = doc && byName(doc, 'spTree')[0];
+    if (!tree) continue;
+
+    const slide = { title: '', lines: [] };
+    readShapes(tree, slide);
+    const notes = await readNotes(zip, path);
+
+    const hidden = attr(doc.documentElement, 'show') === '0' ? ' (hidden)' : '';
+    const heading = `## Slide ${index + 1}${slide.title ? `: ${slide.title}` : ''}${hidden}`;
+    const text = tidyText([heading, ...slide.lines, notes ? `\nSpeaker notes: ${notes}` : ''].join('\n'));
+    parts.push({ title: `slide ${index + 1}`, text });
+  }
+
+  if (!parts.length) throw new Error('No slides found in this presentation');
+
+  return {
+    parts,
+    unit: 'slide',
+    summary: `${parts.length} slide${parts.length === 1 ? '' : 's'}`
+  };
+}
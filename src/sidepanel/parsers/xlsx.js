@@ -0,0 +1,190 @@
+/**
+ * AI Tab Assistant - Spreadsheet Parser
+ * 
+ * Turns each visible sheet of an XLSX workbook into a Markdown table.
+ * Shared strings, booleans, percentages and date-formatted numbers are
+ * rendered the way Excel displays them.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { byName, childrenByName, attr, relationshipId, readRelationships, markdownTable } from './common.js';
+
+// Rows kept per sheet; the context packer trims further to fit the model
+const MAX_SHEET_ROWS = 2000;
+
+// Built-in number formats that display dates/times or percentages
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+const PERCENT_FORMAT_IDS = new Set([9, 10]);
+
+/**
+ * Text of a shared or inline string, without phonetic guides
+ */
+function stringText(si) {
+  return byName(si, 't')
+    .filter(t => t.parentNode.localName !== 'rPh')
+    .map(t => t.textContent)
+    .join('');
+}
+
+/**
+ * Classify each cell style as 'date', 'percent' or null from its number format
+ */
+async function readCellFormats(zip) {
+  const doc = await zip.xml('xl/styles.xml');
+  if (!doc) return [];
+
+  const custom = new Map(byName(doc, 'numFmt').map(fmt => [Number(attr(fmt, 'numFmtId')), attr(fmt, 'formatCode') || '']));
+  const cellXfs = byName(doc, 'cellXfs')[0];
+  if (!cellXfs) return [];
+
+  return childrenByName(cellXfs, 'xf').map(xf => {
+    const id = Number(attr(xf, 'numFmtId')) || 0;
+    if (DATE_FORMAT_IDS.has(id)) return 'date';
+    if (PERCENT_FORMAT_IDS.has(id)) return 'percent';
+
+    // Ignore quoted literals, colours and locale tags before looking for date parts
+    const code = (custom.get(id) || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+    if (/%/.test(code)) return 'percent';
+    if (/[dmyhs]/i.test(code) && !/^general$/i.test(code)) return 'date';
+    return null;
+  });
+}
+
+/**
+ * Convert an Excel serial date to ISO text (date only when there's no time part)
+ */
+function serialToDate(serial, date1904) {
+  const days = serial + (date1904 ? 1462 : 0) - 25569;
+  const date = new Date(Math.round(days * 86400000));
+  if (isNaN(date)) return String(serial);
+  const iso = date.toISOString();
+  return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Zero-based column index from a cell reference ("C7" -> 2)
+ */
+function columnIndex(ref) {
+  const letters = ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || '';
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Display text of one cell
+ */
+function cellText(c, sharedStrings, formats, date1904) {
+  const type = attr(c, 't');
+  const value = childrenByName(c, 'v')[0]?.textContent ?? '';
+
+  switch (type) {
+    case 's':
+      return sharedStrings[Number(value)] ?? '';
+    case 'inlineStr':
+      return childrenByName(c, 'is')[0] ? stringText(childrenByName(c, 'is')[0]) : '';
+    case 'b':
+      return value === '1' ? 'TRUE' : 'FALSE';
+    case 'e':
+    case 'str':
+      return value;
+  }
+
+  if (value === '') return '';
+  const number = Number(value);
+  const format = formats[Number(attr(c, 's')) || 0];
+  if (format === 'date') return serialToDate(number, date1904);
+  if (format === 'percent') return `${+(number * 100).toFixed(4)}%`;
+  return value;
+}
+
+/**
+ * Read a worksheet into rows of display text, dropping empty rows and columns
+ * Returns { rows, total } where total counts every non-empty row.
+ */
+function readSheetRows(doc, sharedStrings, formats, date1904) {
+  const rows = [];
+  let total = 0;
+  let width = 0;
+
+  for (const row of byName(doc, 'row')) {
+    const cells = [];
+    childrenByName(row, 'c').forEach((c, i) => {
+      const ref = attr(c, 'r');
+      const text = cellText(c, sharedStrings, formats, date1904);
+      if (text !== '') cells[ref ? columnIndex(ref) : i] = text;
+    });
+    if (!cells.length) continue;
+
+    total++;
+    if (rows.length < MAX_SHEET_ROWS) {
+      rows.push(cells);
+      width = Math.max(width, cells.length);
+    }
+  }
+
+  // Leading columns that are empty in every row (sheets often start at B2)
+  let first = 0;
+  while (first < width && rows.every(row => row[first] === undefined)) first++;
+
+  return {
+    rows: rows.map(row => Array.from({ length: width - first }, (_, i) => row[first + i] ?? '')),
+    total
+  };
+}
+
+/**
+ * Parse an opened XLSX package
+ */
+export async function parseXlsx(zip) {
+  const workbook = await zip.xml('xl/workbook.xml');
+  if (!workbook) throw new Error('Not an Excel workbook');
+
+  const [rels, shared, formats] = await Promise.all([
+    readRelationships(zip, 'xl/workbook.xml'),
+    zip.xml('xl/sharedStrings.xml'),
+    readCellFormats(zip)
+  ]);
+  const sharedStrings = shared ? childrenByName(shared.documentElement, 'si').map(stringText) : [];
+  const workbookPr = byName(workbook, 'workbookPr')[0];
+  const date1904 = ['1', 'true'].includes(attr(workbookPr, 'date1904'));
+
+  const sheets = byName(workbook, 'sheet').filter(sheet => !/hidden/i.test(attr(sheet, 'state') || ''));
+  const parts = [];
+
+  for (const sheet of sheets) {
+    const name = attr(sheet, 'name') || `Sheet ${parts.length + 1}`;
+    const doc = await zip.xml(rels.get(relationshipId(sheet)) || '');
+    if (!doc) continue;
+
+    const { rows, total } = readSheetRows(doc, sharedStrings, formats, date1904);
+    if (!rows.length) continue;
+
+    const count = total - 1;
+    const heading = `### Sheet: ${name} (${count.toLocaleString()} data row${count === 1 ? '' : 's'})`;
+    const note = total > rows.length ? `\n\n[First ${rows.length.toLocaleString()} of ${total.toLocaleString()} rows]` : '';
+    parts.push({ title: `sheet "${name}"`, text: `${heading}\n\n${markdownTable(rows)}${note}` });
+  }
+
+  if (!parts.length) throw new Error('No data found in this workbook');
+
+  return {
+    parts,
+    unit: 'sheet',
+    summary: `${parts.length} sheet${parts.length === 1 ? '' : 's'}`
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * AI Tab Assistant - Zip Reader
+ * 
+ * Reads entries out of zip archives (the container behind DOCX, XLSX and
+ * PPTX) using the browser's DecompressionStream.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+import { parseXml } from './common.js';
+
+const decoder = new TextDecoder();
+
+/**
+ * Inflate raw deflate data
+ */
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Open a zip archive from an ArrayBuffer
+ * Returns { names, has(name), bytes(name), text(name), xml(name) }; the
+ * readers resolve with null for entries that don't exist.
+ */
+export function readZip(buffer) {
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+
+  // End of central directory: last 22 bytes plus up to 64 KB of comment
+  let end = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new Error('Not a valid Office file (zip directory missing)');
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (offset === 0xFFFFFFFF) throw new Error('Files over 4 GB are not supported');
+
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== 0x02014B50) break;
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    entries.set(name, {
+      flags: view.getUint16(offset + 8, true),
+      method: view.getUint16(offset + 10, true),
+      size: view.getUint32(offset + 20, true),
+      localOffset: view.getUint32(offset + 42, true)
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  const readBytes = async (name) => {
+    const entry = entries.get(name.replace(/^\//, ''));
+    if (!entry) return null;
+    if (entry.flags & 1) throw new Error('Password-protected files are not supported');
+
+    // The local header's name and extra field lengths can differ from the central ones
+    const local = entry.localOffset;
+    const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+    const data = bytes.subarray(start, start + entry.size);
+
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return inflate(data);
+    throw new Error(`Unsupported zip compression method ${entry.method}`);
+  };
+
+  const readText = async (name) => {
+    const data = await readBytes(name);
+    return data ? decoder.decode(data) : null;
+  };
+
+  return {
+    names: [...entries.keys()],
+    has: (name) => entries.has(name.replace(/^\//, '')),
+    bytes: readBytes,
+    text: readText,
+    xml: async (name) => {
+      const text = await readText(name);
+      return text ? parseXml(text) : null;
+    }
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * AI Tab Assistant - Sandbox Runner
+ * 
+ * Runs model-written code in the sandboxed computation page, hosted in a
+ * hidden iframe in the side panel, and relays the result.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+const SANDBOX_URL = '../sandbox/sandbox.html';
+
+// Backstop in case the sandbox itself stops responding; runs time out
+// inside the sandbox well before this
+const RESPONSE_TIMEOUT = 20000;
+
+let frame = null;
+let frameReady = null;
+let nextRunId = 1;
+const pendingRuns = new Map();
+
+window.addEventListener('message', (event) => {
+  if (!frame || event.source !== frame.contentWindow) return;
+  const { id, ...run } = event.data || {};
+  pendingRuns.get(id)?.(run);
+});
+
+/**
+ * Create the sandbox iframe on first use
+ */
+function loadSandbox() {
+  if (frameReady) return frameReady;
+
+  frame = document.createElement('iframe');
+  frame.src = SANDBOX_URL;
+  frame.hidden = true;
+  frame.setAttribute('aria-hidden', 'true');
+  frameReady = new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+  document.body.appendChild(frame);
+  return frameReady;
+}
+
+/**
+ * Throw away an unresponsive sandbox so the next run starts fresh
+ */
+function resetSandbox() {
+  frame?.remove();
+  frame = null;
+  frameReady = null;
+}
+
+/**
+ * Run code against { tables, metrics } in the sandbox
+ * Resolves with { result, logs } or { error, logs }; never rejects.
+ */
+export async function runInSandbox(code, data) {
+  await loadSandbox();
+  const id = nextRunId++;
+
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      pendingRuns.delete(id);
+      resetSandbox();
+      resolve({ error: 'The sandbox did not respond', logs: [] });
+    }, RESPONSE_TIMEOUT);
+
+    pendingRuns.set(id, (run) => {
+      clearTimeout(timer);
+      pendingRuns.delete(id);
+      resolve(run);
+    });
+
+    frame.contentWindow.postMessage({ id, code, data }, '*');
+  });
+}
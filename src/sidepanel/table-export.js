@@ -0,0 +1,300 @@
+/**
+ * AI Tab Assistant - Table Export
+ * 
+ * Serializes extracted tables for download and the clipboard: CSV, TSV,
+ * JSON, HTML (for pasting into spreadsheets) and XLSX. The XLSX writer
+ * builds a minimal uncompressed workbook, so no library is needed.
+ * 
+ * @copyright 2025 Volar Agency (https://thevolar.com)
+ * @license MIT
+ * 
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ * 
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ * 
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT.
+ */
+
+const encoder = new TextEncoder();
+
+// XLSX cell styles, indexes into cellXfs in styles.xml
+const STYLE_HEADER = 1;
+const STYLE_PERCENT = 2;
+const STYLE_CURRENCY = 3;
+const STYLE_DATE = 4;
+
+/**
+ * Column names for a table: typed column names, headers, or Column N
+ */
+function columnNames(table) {
+  if (table.columns?.length) return table.columns.map(column => column.name);
+  const width = Math.max(table.headers?.length || 0, ...(table.rows || []).map(row => row.length), 0);
+  return Array.from({ length: width }, (_, i) => table.headers?.[i] || `Column ${i + 1}`);
+}
+
+/**
+ * Pad rows to the table width
+ */
+function tableRows(table, width) {
+  return (table.rows || []).map(row => Array.from({ length: width }, (_, i) => row[i] ?? ''));
+}
+
+/**
+ * Serialize as CSV (RFC 4180) or TSV
+ */
+export function tableToDelimited(table, delimiter = ',') {
+  const names = columnNames(table);
+  const escape = delimiter === '\t'
+    ? (cell) => String(cell).replace(/[\t\r\n]+/g, ' ')
+    : (cell) => /[",\r\n]/.test(cell) || String(cell).includes(delimiter) ? `"${String(cell).replace(/"/g, '""')}"` : String(cell);
+
+  return [names, ...tableRows(table, names.length)]
+    .map(row => row.map(escape).join(delimiter))
+    .join('\r\n');
+}
+
+/**
+ * Serialize as JSON: one object per row, with numbers and dates normalized
+ * where the column type is known
+ */
+export function tableToJSON(table, meta = {}) {
+  const names = columnNames(table);
+  const rows = tableRows(table, names.length).map((row, r) => Object.fromEntries(names.map((name, i) => {
+    const value = table.values?.[r]?.[i];
+    return [name, value === undefined ? row[i] : value];
+  })));
+
+  return JSON.stringify({
+    ...meta,
+    caption: table.caption || '',
+    columns: table.columns?.map(({ name, type, currency }) => ({ name, type, ...(currency ? { currency } : {}) })) ||
+      names.map(name => ({ name, type: 'text' })),
+    rows
+  }, null, 2);
+}
+
+/**
+ * Escape text for HTML and XML
+ */
+function escapeXml(text) {
+  return String(text)
+    // Control characters are not allowed in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Serialize as an HTML table, which spreadsheets paste cell by cell
+ */
+export function tableToHTML(table) {
+  const names = columnNames(table);
+  const cells = (row, tag) => row.map(cell => `<${tag}>${escapeXml(cell)}</${tag}>`).join('');
+  return `<table><thead><tr>${cells(names, 'th')}</tr></thead><tbody>${
+    tableRows(table, names.length).map(row => `<tr>${cells(row, 'td')}</tr>`).join('')
+  }</tbody></table>`;
+}
+
+/**
+ * Spreadsheet column letters: 0 -> A, 26 -> AA
+ */
+function columnLetter(index) {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+/**
+ * Excel date serial for YYYY-MM-DD
+ */
+function excelDate(iso) {
+  const [year, month, day] = iso.split('-').map(Number);
+  return (Date.UTC(year, month - 1, day) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+/**
+ * One XLSX cell; typed columns become real numbers and dates
+ */
+function sheetCell(ref, text, value, column) {
+  const string = () => text === '' ? '' : `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+
+  if (value === null || value === undefined || !column || column.type === 'text') return string();
+  switch (column.type) {
+    case 'number':
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    case 'percent':
+      return `<c r="${ref}" s="${STYLE_PERCENT}"><v>${value / 100}</v></c>`;
+    case 'currency':
+      return `<c r="${ref}" s="${STYLE_CURRENCY}"><v>${value}</v></c>`;
+    case 'date':
+      return `<c r="${ref}" s="${STYLE_DATE}"><v>${excelDate(value)}</v></c>`;
+    default:
+      return string();
+  }
+}
+
+/**
+ * Worksheet XML for a table
+ */
+function sheetXml(table) {
+  const names = columnNames(table);
+  const header = `<row r="1">${names.map((name, i) =>
+    `<c r="${columnLetter(i)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXml(name)}</t></is></c>`).join('')}</row>`;
+
+  const rows = tableRows(table, names.length).map((row, r) => `<row r="${r + 2}">${row.map((cell, i) =>
+    sheetCell(`${columnLetter(i)}${r + 2}`, cell, table.values?.[r]?.[i], table.columns?.[i])).join('')}</row>`);
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+    `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+    `<sheetData>${header}${rows.join('')}</sheetData></worksheet>`;
+}
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">` +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="5">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  '</cellXfs></styleSheet>';
+
+/**
+ * Serialize as an XLSX workbook with one sheet
+ * Returns the file as a Uint8Array.
+ */
+export function tableToXLSX(table) {
+  const sheetName = (table.caption || 'Table').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Table';
+
+  return zip([
+    ['[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+      '</Types>'],
+    ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>'],
+    ['xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">` +
+      `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+    ['xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+      '</Relationships>'],
+    ['xl/worksheets/sheet1.xml', sheetXml(table)],
+    ['xl/styles.xml', STYLES_XML]
+  ]);
+}
+
+// ============ ZIP (stored, no compression) ============
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a zip archive from [name, text] entries
+ */
+function zip(entries) {
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const files = entries.map(([name, text]) => ({ name: encoder.encode(name), data: encoder.encode(text) }));
+  const localSize = files.reduce((total, file) => total + 30 + file.name.length + file.data.length, 0);
+  const centralSize = files.reduce((total, file) => total + 46 + file.name.length, 0);
+  const buffer = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(buffer.buffer);
+
+  let offset = 0;
+  let central = localSize;
+  files.forEach(file => {
+    const crc = crc32(file.data);
+
+    // Local file header
+    view.setUint32(offset, 0x04034B50, true);
+    view.setUint16(offset + 4, 20, true);
+    view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+    view.setUint16(offset + 8, 0, true); // Stored
+    view.setUint16(offset + 10, time, true);
+    view.setUint16(offset + 12, date, true);
+    view.setUint32(offset + 14, crc, true);
+    view.setUint32(offset + 18, file.data.length, true);
+    view.setUint32(offset + 22, file.data.length, true);
+    view.setUint16(offset + 26, file.name.length, true);
+    view.setUint16(offset + 28, 0, true);
+    buffer.set(file.name, offset + 30);
+    buffer.set(file.data, offset + 30 + file.name.length);
+
+    // Central directory entry
+    view.setUint32(central, 0x02014B50, true);
+    view.setUint16(central + 4, 20, true);
+    view.setUint16(central + 6, 20, true);
+    view.setUint16(central + 8, 0x0800, true);
+    view.setUint16(central + 10, 0, true);
+    view.setUint16(central + 12, time, true);
+    view.setUint16(central + 14, date, true);
+    view.setUint32(central + 16, crc, true);
+    view.setUint32(central + 20, file.data.length, true);
+    view.setUint32(central + 24, file.data.length, true);
+    view.setUint16(central + 28, file.name.length, true);
+    view.setUint32(central + 42, offset, true);
+    buffer.set(file.name, central + 46);
+
+    offset += 30 + file.name.length + file.data.length;
+    central += 46 + file.name.length;
+  });
+
+  // End of central directory
+  view.setUint32(central, 0x06054B50, true);
+  view.setUint16(central + 8, files.length, true);
+  view.setUint16(central + 10, files.length, true);
+  view.setUint32(central + 12, centralSize, true);
+  view.setUint32(central + 16, localSize, true);
+
+  return buffer;
+}
+
+/**
+ * File name for an exported table, from its caption or position
+ */
+export function tableFileName(table, index, extension) {
+  const base = (table.caption || `table-${index + 1}`)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || `table-${index + 1}`;
+  return `${base}.${extension}`;
+}